@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const User = require('../Models/user');
+const Professional = require('../Models/professional');
+const Session = require('../Models/session');
+const AuditLog = require('../Models/auditLog');
+const { config } = require('../config/config');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { logger } = require('../utils/logger');
+const { sendEmail } = require('../utils/notifications');
+const { issueImpersonationToken } = require('../utils/tokens');
+const { revokeSession, revokeUserSessions } = require('../utils/sessions');
+
+const USER_FIELDS = '-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes';
+
+// Users have no createdAt; their ObjectId holds the creation time (in seconds)
+const idCreatedAt = (date, edge) => mongoose.Types.ObjectId.createFromTime(
+  Math.floor(new Date(date).getTime() / 1000) + (edge === 'end' ? 1 : 0)
+);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Suspension that has not expired yet
+const activeSuspension = (kind, now) => ({
+  'suspension.kind': kind,
+  $or: [{ 'suspension.expiresAt': null }, { 'suspension.expiresAt': { $gt: now } }]
+});
+
+const STATUS_FILTERS = {
+  active: (now) => ({
+    'deletion.scheduledFor': null,
+    $or: [{ 'suspension.kind': null }, { 'suspension.expiresAt': { $lte: now } }]
+  }),
+  suspended: (now) => activeSuspension('suspended', now),
+  banned: (now) => activeSuspension('banned', now),
+  pending_deletion: () => ({ 'deletion.scheduledFor': { $ne: null } })
+};
+
+const findTarget = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+  }
+  return user;
+};
+
+// Search users with filters
+const searchUsers = async (req, res) => {
+  try {
+    const {
+      q,
+      role,
+      city,
+      status,
+      emailVerified,
+      createdFrom,
+      createdTo,
+      page = 1,
+      limit = config.pagination.defaultLimit
+    } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const pageSize = Math.min(parseInt(limit, 10), config.pagination.maxLimit);
+    const conditions = [];
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      conditions.push({ $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }] });
+    }
+    if (role) {
+      conditions.push({ role });
+    }
+    if (city) {
+      conditions.push({ cityId: city });
+    }
+    if (emailVerified !== undefined) {
+      conditions.push({ emailVerified: emailVerified === 'true' });
+    }
+    if (createdFrom || createdTo) {
+      const _id = {};
+      if (createdFrom) _id.$gte = idCreatedAt(createdFrom);
+      if (createdTo) _id.$lt = idCreatedAt(createdTo, 'end');
+      conditions.push({ _id });
+    }
+    if (status) {
+      conditions.push(STATUS_FILTERS[status](new Date()));
+    }
+
+    const query = conditions.length ? { $and: conditions } : {};
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(USER_FIELDS)
+        .populate('cityId', 'name')
+        .sort({ _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / pageSize);
+
+    res.status(200).json({
+      results: users.map(user => ({
+        ...user,
+        createdAt: user._id.getTimestamp(),
+        suspended: User.isSuspended(user)
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages,
+        hasMore: pageNumber < totalPages
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// User details with active sessions and recent audit entries
+const getUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id)
+      .select(USER_FIELDS)
+      .populate('cityId', 'name')
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [sessions, auditLog] = await Promise.all([
+      Session.findActiveByUser(user._id).lean(),
+      AuditLog.find({ targetType: 'User', targetId: user._id })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .populate('actor', 'firstName lastName email')
+        .lean()
+    ]);
+
+    res.status(200).json({
+      user: { ...user, createdAt: user._id.getTimestamp(), suspended: User.isSuspended(user) },
+      sessions,
+      auditLog
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Suspend or ban a user, hiding their listing and ending their sessions
+const suspendUser = async (req, res) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot suspend your own account' });
+    }
+
+    const { kind = 'suspended', reason } = req.body;
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+
+    user.suspension = {
+      kind,
+      reason,
+      expiresAt,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id
+    };
+    await user.save();
+
+    await Professional.updateOne({ userId: user._id }, { suspension: { active: true, expiresAt } });
+    const revoked = await revokeUserSessions(user._id, { reason: 'revoked' });
+
+    await AuditLog.record(kind === 'banned' ? 'user.banned' : 'user.suspended', {
+      actor: req.user._id,
+      targetType: 'User',
+      targetId: user._id,
+      details: { reason, expiresAt, sessionsRevoked: revoked },
+      ip: req.ip
+    });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: kind === 'banned' ? 'החשבון שלך נחסם' : 'החשבון שלך הושעה',
+        template: 'account-suspended',
+        context: {
+          recipientName: user.firstName,
+          banned: kind === 'banned',
+          reason,
+          expiresAt: expiresAt && expiresAt.toLocaleString('he-IL')
+        }
+      });
+    } catch (error) {
+      logger.error('Error sending suspension email:', error);
+    }
+
+    logger.info('User suspended:', { userId: user._id, kind, by: req.user._id });
+
+    res.status(200).json({ message: `User ${kind}`, suspension: user.suspension });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Lift a suspension or ban
+const reinstateUser = async (req, res) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    if (!user.suspension?.kind) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    const previous = user.suspension.kind;
+    user.suspension = undefined;
+    await user.save();
+
+    await Professional.updateOne({ userId: user._id }, { $unset: { suspension: '' } });
+
+    await AuditLog.record('user.reinstated', {
+      actor: req.user._id,
+      targetType: 'User',
+      targetId: user._id,
+      details: { previous, reason: req.body.reason },
+      ip: req.ip
+    });
+
+    logger.info('User reinstated:', { userId: user._id, by: req.user._id });
+
+    res.status(200).json({ message: 'User reinstated' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// End every session of a user
+const forceLogout = async (req, res) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'revoked' });
+
+    await AuditLog.record('user.force_logout', {
+      actor: req.user._id,
+      targetType: 'User',
+      targetId: user._id,
+      details: { sessionsRevoked: revoked },
+      ip: req.ip
+    });
+
+    res.status(200).json({ message: 'User logged out', revoked });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Start a short-lived support session acting as another user
+const impersonateUser = async (req, res) => {
+  try {
+    const user = await findTarget(req, res);
+    if (!user) return;
+
+    // No impersonating staff, which would allow privilege escalation
+    if (hasPermission(user, PERMISSIONS.USER_IMPERSONATE) || hasPermission(user, PERMISSIONS.USER_MANAGE)) {
+      return res.status(403).json({ message: 'This user cannot be impersonated' });
+    }
+    if (!user.isActive || User.isSuspended(user)) {
+      return res.status(400).json({ message: 'User is inactive or suspended' });
+    }
+
+    const { reason } = req.body;
+    const { token, sessionId, expiresAt } = await issueImpersonationToken(user, req.user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await AuditLog.record('user.impersonation_started', {
+      actor: req.user._id,
+      targetType: 'User',
+      targetId: user._id,
+      details: { reason, sessionId, expiresAt },
+      ip: req.ip
+    });
+
+    logger.info('Impersonation started:', { userId: user._id, by: req.user._id, sessionId });
+
+    res.status(200).json({
+      accessToken: token,
+      expiresAt,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// End the current impersonation session
+const endImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonatedBy) {
+      return res.status(400).json({ message: 'Not an impersonation session' });
+    }
+
+    await revokeSession(req.sessionId, 'logout');
+
+    await AuditLog.record('user.impersonation_ended', {
+      actor: req.impersonatedBy,
+      targetType: 'User',
+      targetId: req.user._id,
+      details: { sessionId: req.sessionId },
+      ip: req.ip
+    });
+
+    res.status(200).json({ message: 'Impersonation ended' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  searchUsers,
+  getUser,
+  suspendUser,
+  reinstateUser,
+  forceLogout,
+  impersonateUser,
+  endImpersonation
+};
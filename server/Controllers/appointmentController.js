@@ -1,117 +1,240 @@
 const { google } = require('googleapis');
-const moment = require('moment');
 const Appointment = require('../Models/appointment');
 const Professional = require('../Models/professional');
 const Service = require('../Models/service');
+const Schedule = require('../Models/schedule');
+const SlotHold = require('../Models/slotHold');
 const User = require('../Models/user');
-const { sendEmail, sendSMS } = require('../utils/notifications');
+const NotificationPreference = require('../Models/notificationPreference');
+const { templates } = require('../utils/notifications');
+const { invalidateSlots } = require('../utils/slots');
+const {
+  holdSlot,
+  releaseHold,
+  bookAppointment,
+  rescheduleAppointment,
+  decideReschedule
+} = require('../utils/booking');
+const { APIError } = require('../middleware/errorMiddleware');
+const { config } = require('../config/config');
+const { logger } = require('../utils/logger');
+const { ROLES } = require('../config/roles');
+const { NOTIFICATION_EVENTS } = require('../config/notifications');
+
+// Google Calendar client authorized with the tokens stored at Google login
+const getCalendarForUser = async (userId) => {
+  const user = await User.findById(userId)
+    .select('+oauth.google.accessToken +oauth.google.refreshToken +oauth.google.expiresAt');
+
+  const googleAccount = user?.oauth?.google;
+  if (!googleAccount?.id || !googleAccount.scope?.includes('calendar')) {
+    return null;
+  }
+
+  const oauth2Client = new google.auth.OAuth2(
+    config.oauth.google.clientId,
+    config.oauth.google.clientSecret,
+    config.oauth.google.callbackURL
+  );
 
-// Google Calendar setup
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
+  oauth2Client.setCredentials({
+    access_token: googleAccount.accessToken,
+    refresh_token: googleAccount.refreshToken,
+    expiry_date: googleAccount.expiresAt?.getTime()
+  });
 
-const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  // Persist access tokens refreshed by the client
+  oauth2Client.on('tokens', async (tokens) => {
+    try {
+      const update = {
+        'oauth.google.accessToken': tokens.access_token,
+        'oauth.google.expiresAt': tokens.expiry_date ? new Date(tokens.expiry_date) : undefined
+      };
+      if (tokens.refresh_token) {
+        update['oauth.google.refreshToken'] = tokens.refresh_token;
+      }
+      await User.updateOne({ _id: userId }, update);
+    } catch (error) {
+      logger.error('Failed to store refreshed Google tokens:', error);
+    }
+  });
+
+  return google.calendar({ version: 'v3', auth: oauth2Client });
+};
+
+// Move the linked Google Calendar event to the appointment's time
+const moveCalendarEvent = async (appointment) => {
+  if (!appointment.googleEventId) {
+    return;
+  }
+
+  try {
+    const calendar = await getCalendarForUser(appointment.googleCalendarUser);
+    if (!calendar) {
+      throw new Error('Google Calendar no longer connected');
+    }
+
+    await calendar.events.patch({
+      calendarId: 'primary',
+      eventId: appointment.googleEventId,
+      resource: {
+        start: { dateTime: appointment.startTime.toISOString(), timeZone: 'Asia/Jerusalem' },
+        end: { dateTime: appointment.endTime.toISOString(), timeZone: 'Asia/Jerusalem' }
+      },
+    });
+  } catch (error) {
+    console.error('Google Calendar update error:', error);
+  }
+};
+
+// Appointment with both parties, and the caller's side of it
+const findAppointmentForParty = async (appointmentId, user) => {
+  const appointment = await Appointment.findById(appointmentId)
+    .populate({ path: 'professional', populate: { path: 'userId', select: 'firstName lastName email phone' } })
+    .populate('client')
+    .populate('service');
+  if (!appointment) {
+    return {};
+  }
+
+  const isProfessional = Boolean(appointment.professional?.userId?._id.equals(user._id));
+  const isClient = Boolean(appointment.client?._id.equals(user._id));
+  return { appointment, isProfessional, isClient };
+};
 
 const appointmentController = {
-  // Create new appointment
+  // Create new appointment, from a hold (holdId) or directly (professionalId, serviceId, startTime)
   create: async (req, res) => {
     try {
-      const { professionalId, serviceId, startTime, notes } = req.body;
+      const { holdId, notes } = req.body;
       const clientId = req.user._id;
+      let { professionalId, serviceId, startTime } = req.body;
+
+      if (holdId) {
+        const hold = await SlotHold.findOne({ _id: holdId, client: clientId });
+        if (!hold) {
+          return res.status(410).json({ message: 'Hold expired or not found', code: 'HOLD_EXPIRED' });
+        }
+        ({ professional: professionalId, service: serviceId, startTime } = hold);
+      }
 
       // Validate professional and service
       const [professional, service] = await Promise.all([
-        Professional.findById(professionalId),
-        Service.findById(serviceId)
+        Professional.findById(professionalId).populate('userId', 'firstName lastName email phone'),
+        Service.findOne({ _id: serviceId, professionalId })
       ]);
 
       if (!professional || !service) {
         return res.status(404).json({ message: 'Professional or service not found' });
       }
 
-      // Check if timeslot is available
-      const endTime = moment(startTime).add(service.duration, 'minutes').toDate();
-      const overlapping = await Appointment.findOverlapping(professionalId, startTime, endTime);
-
-      if (overlapping.length > 0) {
-        return res.status(400).json({ message: 'Time slot is not available' });
-      }
+      // Reminders follow the client's lead times on the channels they enabled
+      const preferences = await NotificationPreference.forUser(clientId);
+      const reminderChannels = preferences.channelsFor(NOTIFICATION_EVENTS.APPOINTMENT_REMINDER);
 
-      // Create appointment
-      const appointment = new Appointment({
-        professional: professionalId,
+      // Working hours, notice, buffers and other bookings are checked in one transaction
+      const appointment = await bookAppointment({
+        professionalId: professional._id,
+        service,
         client: clientId,
-        service: serviceId,
         startTime,
+        holdId
+      }, {
         notes,
-        reminders: [
-          { type: 'email', minutesBefore: 1440 }, // 24 hours
-          { type: 'sms', minutesBefore: 120 }     // 2 hours
-        ]
+        reminders: preferences.reminders
+          .filter(reminder => reminderChannels.includes(reminder.channel))
+          .map(reminder => ({ type: reminder.channel, minutesBefore: reminder.minutesBefore }))
       });
 
-      await appointment.save();
-
       // Send notifications
-      await Promise.all([
-        sendEmail({
-          to: req.user.email,
-          subject: 'אישור קביעת תור',
-          template: 'appointment-confirmation',
-          data: {
-            appointmentId: appointment._id,
-            professionalName: `${professional.user.firstName} ${professional.user.lastName}`,
-            serviceName: service.name,
-            dateTime: moment(startTime).format('DD/MM/YYYY HH:mm')
-          }
-        }),
-        sendEmail({
-          to: professional.user.email,
-          subject: 'תור חדש נקבע',
-          template: 'new-appointment-notification',
-          data: {
-            appointmentId: appointment._id,
-            clientName: `${req.user.firstName} ${req.user.lastName}`,
-            serviceName: service.name,
-            dateTime: moment(startTime).format('DD/MM/YYYY HH:mm')
-          }
-        })
-      ]);
+      await templates.appointmentCreated({
+        appointment,
+        service,
+        client: req.user,
+        professionalUser: professional.userId
+      });
 
       res.status(201).json(appointment);
     } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
       console.error('Appointment creation error:', error);
       res.status(500).json({ message: 'Failed to create appointment' });
     }
   },
 
+  // Reserve a slot for a few minutes while the client completes the booking
+  createHold: async (req, res) => {
+    try {
+      const { professionalId, serviceId, startTime } = req.body;
+
+      const service = await Service.findOne({ _id: serviceId, professionalId });
+      if (!service) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+      if (!service.isAvailable) {
+        return res.status(400).json({ message: 'Service is not available for booking' });
+      }
+
+      const hold = await holdSlot({ professionalId, service, client: req.user._id, startTime });
+
+      res.status(201).json({
+        holdId: hold._id,
+        professional: hold.professional,
+        service: hold.service,
+        startTime: hold.startTime,
+        endTime: hold.endTime,
+        expiresAt: hold.expiresAt
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+      console.error('Slot hold error:', error);
+      res.status(500).json({ message: 'Failed to hold slot' });
+    }
+  },
+
+  // Give up a hold before it expires
+  releaseHold: async (req, res) => {
+    try {
+      await releaseHold(req.params.holdId, req.user._id);
+      res.json({ message: 'Hold released' });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+      console.error('Release hold error:', error);
+      res.status(500).json({ message: 'Failed to release hold' });
+    }
+  },
+
   // Sync with Google Calendar
   syncWithGoogle: async (req, res) => {
     try {
-      const { appointmentId } = req.params;
-      const appointment = await Appointment.findById(appointmentId)
-        .populate('professional')
-        .populate('client')
-        .populate('service');
+      const { appointment, isProfessional, isClient } = await findAppointmentForParty(req.params.appointmentId, req.user);
 
       if (!appointment) {
         return res.status(404).json({ message: 'Appointment not found' });
       }
 
+      // Only the parties may put it in their calendar
+      if (!isProfessional && !isClient) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
       // Check if user has Google Calendar connected
-      const user = await User.findById(req.user._id);
-      if (!user.googleToken) {
+      const calendar = await getCalendarForUser(req.user._id);
+      if (!calendar) {
         return res.status(400).json({ message: 'Google Calendar not connected' });
       }
 
-      oauth2Client.setCredentials(user.googleToken);
-
       // Create event in Google Calendar
+      // Named after the other party
+      const otherParty = isProfessional ? appointment.client : appointment.professional?.userId;
       const event = {
-        summary: `תור עם ${appointment.professional.user.firstName} ${appointment.professional.user.lastName}`,
+        summary: `תור עם ${[otherParty?.firstName, otherParty?.lastName].filter(Boolean).join(' ')}`,
         description: `שירות: ${appointment.service.name}\nהערות: ${appointment.notes || ''}`,
         start: {
           dateTime: appointment.startTime.toISOString(),
@@ -136,6 +259,7 @@ const appointmentController = {
       });
 
       appointment.googleEventId = response.data.id;
+      appointment.googleCalendarUser = req.user._id;
       await appointment.save();
 
       res.json({ message: 'Successfully synced with Google Calendar' });
@@ -148,22 +272,14 @@ const appointmentController = {
   // Update appointment status
   updateStatus: async (req, res) => {
     try {
-      const { appointmentId } = req.params;
       const { status, notes } = req.body;
-
-      const appointment = await Appointment.findById(appointmentId)
-        .populate('professional')
-        .populate('client')
-        .populate('service');
+      const { appointment, isProfessional, isClient } = await findAppointmentForParty(req.params.appointmentId, req.user);
 
       if (!appointment) {
         return res.status(404).json({ message: 'Appointment not found' });
       }
 
       // Check permissions
-      const isProfessional = appointment.professional._id.equals(req.user._id);
-      const isClient = appointment.client._id.equals(req.user._id);
-
       if (!isProfessional && !isClient) {
         return res.status(403).json({ message: 'Not authorized' });
       }
@@ -177,10 +293,16 @@ const appointmentController = {
       if (notes) appointment.notes = notes;
 
       await appointment.save();
+      invalidateSlots(appointment.professional._id);
 
       // Update Google Calendar if event exists
       if (appointment.googleEventId) {
         try {
+          const calendar = await getCalendarForUser(appointment.googleCalendarUser);
+          if (!calendar) {
+            throw new Error('Google Calendar no longer connected');
+          }
+
           if (status === 'cancelled') {
             await calendar.events.delete({
               calendarId: 'primary',
@@ -201,38 +323,17 @@ const appointmentController = {
       }
 
       // Send notifications
-      const notificationPromises = [];
+      const parties = {
+        appointment,
+        client: appointment.client,
+        professionalUser: appointment.professional.userId
+      };
       if (status === 'confirmed') {
-        notificationPromises.push(
-          sendEmail({
-            to: appointment.client.email,
-            subject: 'התור שלך אושר',
-            template: 'appointment-confirmed',
-            data: {
-              appointmentId: appointment._id,
-              professionalName: `${appointment.professional.user.firstName} ${appointment.professional.user.lastName}`,
-              serviceName: appointment.service.name,
-              dateTime: moment(appointment.startTime).format('DD/MM/YYYY HH:mm')
-            }
-          })
-        );
+        await templates.appointmentConfirmed(parties);
       } else if (status === 'cancelled') {
-        notificationPromises.push(
-          sendEmail({
-            to: isProfessional ? appointment.client.email : appointment.professional.user.email,
-            subject: 'התור בוטל',
-            template: 'appointment-cancelled',
-            data: {
-              appointmentId: appointment._id,
-              canceller: isProfessional ? 'המקצוען' : 'הלקוח',
-              dateTime: moment(appointment.startTime).format('DD/MM/YYYY HH:mm')
-            }
-          })
-        );
+        await templates.appointmentCancelled({ ...parties, cancelledByProfessional: isProfessional, reason: notes });
       }
 
-      await Promise.all(notificationPromises);
-
       res.json(appointment);
     } catch (error) {
       console.error('Appointment update error:', error);
@@ -240,10 +341,109 @@ const appointmentController = {
     }
   },
 
+  // Move an appointment to a new time (either party), directly or pending the other party's approval
+  reschedule: async (req, res) => {
+    try {
+      const { startTime, reason } = req.body;
+      const { appointment, isProfessional, isClient } = await findAppointmentForParty(req.params.appointmentId, req.user);
+
+      if (!appointment) {
+        return res.status(404).json({ message: 'Appointment not found' });
+      }
+      if (!isProfessional && !isClient) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      const schedule = await Schedule.findOne({ professional: appointment.professional._id });
+      const { appointment: updated, reschedule } = await rescheduleAppointment(
+        appointment._id,
+        appointment.professional._id,
+        startTime,
+        {
+          requestedBy: req.user._id,
+          byProfessional: isProfessional,
+          reason,
+          needsApproval: Boolean(schedule?.rescheduleApproval)
+        }
+      );
+
+      const parties = {
+        appointment: updated,
+        service: appointment.service,
+        client: appointment.client,
+        professionalUser: appointment.professional.userId,
+        reschedule
+      };
+      if (reschedule.status === 'pending') {
+        await templates.appointmentRescheduleRequested(parties);
+      } else {
+        await moveCalendarEvent(updated);
+        await templates.appointmentRescheduled(parties);
+      }
+
+      res.json(updated);
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+      console.error('Appointment reschedule error:', error);
+      res.status(500).json({ message: 'Failed to reschedule appointment' });
+    }
+  },
+
+  // Approve or decline a pending reschedule; the requester can only withdraw it
+  respondToReschedule: async (req, res) => {
+    try {
+      const { approve } = req.body;
+      const { appointment, isProfessional, isClient } = await findAppointmentForParty(req.params.appointmentId, req.user);
+
+      if (!appointment) {
+        return res.status(404).json({ message: 'Appointment not found' });
+      }
+      if (!isProfessional && !isClient) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      const pending = appointment.pendingReschedule;
+      const isRequester = pending && pending.byProfessional === isProfessional;
+      if (approve && isRequester) {
+        return res.status(403).json({ message: 'Only the other party can approve the new time' });
+      }
+
+      const { appointment: updated, reschedule } = await decideReschedule(
+        appointment._id,
+        appointment.professional._id,
+        approve
+      );
+
+      const parties = {
+        appointment: updated,
+        service: appointment.service,
+        client: appointment.client,
+        professionalUser: appointment.professional.userId,
+        reschedule
+      };
+      if (approve) {
+        await moveCalendarEvent(updated);
+        await templates.appointmentRescheduled(parties);
+      } else if (!isRequester) {
+        await templates.appointmentRescheduleDeclined(parties);
+      }
+
+      res.json(updated);
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+      console.error('Reschedule response error:', error);
+      res.status(500).json({ message: 'Failed to respond to reschedule' });
+    }
+  },
+
   // Get upcoming appointments
   getUpcoming: async (req, res) => {
     try {
-      const userType = req.user.status === 'מקצוען' ? 'professional' : 'client';
+      const userType = req.user.role === ROLES.PROFESSIONAL ? 'professional' : 'client';
       const appointments = await Appointment.findUpcoming(req.user._id, userType);
       res.json(appointments);
     } catch (error) {
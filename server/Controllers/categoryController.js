@@ -159,8 +159,8 @@ exports.deleteCategory = async (req, res) => {
     }
 
     // Check if category has professionals
-    const professionalCount = await category.professionalCount;
-    if (professionalCount > 0) {
+    await category.populate('professionalCount');
+    if (category.professionalCount > 0) {
       return res.status(400).json({
         message: 'לא ניתן למחוק קטגוריה שיש בה מקצוענים פעילים'
       });
@@ -203,7 +203,7 @@ exports.getCategoryStats = async (req, res) => {
         $lookup: {
           from: 'professionals',
           localField: '_id',
-          foreignField: 'categoryId',
+          foreignField: 'categories',
           as: 'professionals'
         }
       },
@@ -211,6 +211,15 @@ exports.getCategoryStats = async (req, res) => {
         $project: {
           name: 1,
           totalProfessionals: { $size: '$professionals' },
+          primaryProfessionals: {
+            $size: {
+              $filter: {
+                input: '$professionals',
+                as: 'pro',
+                cond: { $eq: ['$$pro.primaryCategory', '$_id'] }
+              }
+            }
+          },
           activeProfessionals: {
             $size: {
               $filter: {
@@ -0,0 +1,251 @@
+const Professional = require('../Models/professional');
+const { config } = require('../config/config');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { APIError } = require('../middleware/errorMiddleware');
+const { storeDocument, documentUrl, removeDocuments } = require('../utils/documents');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CERTIFICATION_FIELDS = ['name', 'issuer', 'number', 'issuedAt', 'expiresAt'];
+
+// Profile of the owner; reviewers may manage any profile
+const findManagedProfessional = async (req, res) => {
+  const professional = await Professional.findById(req.params.id);
+  if (!professional) {
+    res.status(404).json({ message: 'Professional not found' });
+    return null;
+  }
+
+  if (professional.userId.toString() !== String(req.user._id) && !hasPermission(req.user, PERMISSIONS.PROFESSIONAL_VERIFY)) {
+    res.status(403).json({ message: 'Not authorized to manage these certifications' });
+    return null;
+  }
+  return professional;
+};
+
+const findCertification = (professional, req, res) => {
+  const certification = professional.certifications.id(req.params.certificationId);
+  if (!certification) {
+    res.status(404).json({ message: 'Certification not found' });
+  }
+  return certification;
+};
+
+// Fields from the body; only reviewers decide which licences are mandatory
+const applyFields = (certification, req) => {
+  CERTIFICATION_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => certification.set(field, req.body[field] || undefined));
+
+  if (req.body.mandatory !== undefined && hasPermission(req.user, PERMISSIONS.PROFESSIONAL_VERIFY)) {
+    certification.mandatory = req.body.mandatory;
+  }
+};
+
+const handleError = (res, err) => {
+  if (err instanceof APIError) {
+    return res.status(err.status).json({ message: err.message, code: err.code });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Invalid certification', error: err.message });
+  }
+  res.status(500).json({ message: 'Server error', error: err.message });
+};
+
+// Add a certification, optionally with its document
+const addCertification = async (req, res) => {
+  let document;
+
+  try {
+    const professional = await findManagedProfessional(req, res);
+    if (!professional) return;
+
+    professional.certifications.push({});
+    const certification = professional.certifications[professional.certifications.length - 1];
+    applyFields(certification, req);
+
+    if (req.file) {
+      document = await storeDocument(req.file, `certifications/${professional._id}`);
+      certification.document = document;
+    }
+
+    await professional.save();
+    res.status(201).json(certification.toJSON());
+  } catch (err) {
+    if (document) {
+      await removeDocuments([document]);
+    }
+    handleError(res, err);
+  }
+};
+
+// Update or renew a certification; a new expiry date restarts the reminders
+const updateCertification = async (req, res) => {
+  let document;
+
+  try {
+    const professional = await findManagedProfessional(req, res);
+    if (!professional) return;
+
+    const certification = findCertification(professional, req, res);
+    if (!certification) return;
+
+    const previousExpiry = certification.expiresAt?.getTime();
+    const previousKey = certification.document?.key;
+    applyFields(certification, req);
+
+    if (certification.expiresAt?.getTime() !== previousExpiry) {
+      certification.remindersSent = [];
+      certification.lapsedAt = undefined;
+    }
+
+    if (req.file) {
+      document = await storeDocument(req.file, `certifications/${professional._id}`);
+      certification.document = document;
+    }
+
+    await professional.save();
+
+    if (document && previousKey) {
+      await removeDocuments([{ key: previousKey }]);
+    }
+
+    res.status(200).json(certification.toJSON());
+  } catch (err) {
+    if (document) {
+      await removeDocuments([document]);
+    }
+    handleError(res, err);
+  }
+};
+
+// Remove a certification and its document
+const deleteCertification = async (req, res) => {
+  try {
+    const professional = await findManagedProfessional(req, res);
+    if (!professional) return;
+
+    const certification = findCertification(professional, req, res);
+    if (!certification) return;
+
+    const documentKey = certification.document?.key;
+    certification.deleteOne();
+    await professional.save();
+
+    if (documentKey) {
+      await removeDocuments([{ key: documentKey }]);
+    }
+
+    res.status(200).json({ message: 'Certification deleted' });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Redirect to a short-lived link to the certification document
+const getCertificationDocument = async (req, res) => {
+  try {
+    const professional = await findManagedProfessional(req, res);
+    if (!professional) return;
+
+    const certification = findCertification(professional, req, res);
+    if (!certification) return;
+
+    if (!certification.document?.key) {
+      return res.status(404).json({ message: 'No document attached' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, await documentUrl(certification.document));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Certifications expiring within `days` (and ones already lapsed with `lapsed=true`)
+const getExpiringCertifications = async (req, res) => {
+  try {
+    const {
+      days = Math.max(...config.certifications.reminderDays, 30),
+      mandatory,
+      lapsed,
+      page = 1,
+      limit = config.pagination.defaultLimit
+    } = req.query;
+
+    const now = new Date();
+    const pageNumber = parseInt(page, 10);
+    const pageSize = Math.min(parseInt(limit, 10), config.pagination.maxLimit);
+
+    const expiresAt = { $lte: new Date(now.getTime() + parseInt(days, 10) * DAY) };
+    if (lapsed !== 'true') {
+      expiresAt.$gt = now;
+    }
+    const match = { 'certifications.expiresAt': expiresAt };
+    if (mandatory !== undefined) {
+      match['certifications.mandatory'] = mandatory === 'true';
+    }
+
+    const [result] = await Professional.aggregate([
+      { $match: { certifications: { $elemMatch: { expiresAt } } } },
+      { $unwind: '$certifications' },
+      { $match: match },
+      { $sort: { 'certifications.expiresAt': 1 } },
+      {
+        $facet: {
+          results: [
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize },
+            { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 0,
+                professional: '$_id',
+                isVerified: 1,
+                user: { _id: 1, firstName: 1, lastName: 1, email: 1 },
+                certification: {
+                  _id: '$certifications._id',
+                  name: '$certifications.name',
+                  issuer: '$certifications.issuer',
+                  number: '$certifications.number',
+                  expiresAt: '$certifications.expiresAt',
+                  mandatory: '$certifications.mandatory',
+                  remindersSent: '$certifications.remindersSent',
+                  lapsedAt: '$certifications.lapsedAt'
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(total / pageSize);
+
+    res.status(200).json({
+      results: result.results.map(entry => ({
+        ...entry,
+        daysLeft: Math.ceil((entry.certification.expiresAt - now) / DAY)
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages,
+        hasMore: pageNumber < totalPages
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  addCertification,
+  updateCertification,
+  deleteCertification,
+  getCertificationDocument,
+  getExpiringCertifications
+};
@@ -1,12 +1,13 @@
 const Comment = require('../Models/comment');
 const User = require('../Models/user');
 const Professional = require('../Models/professional');
-const { sendNotification } = require('../utils/notifications');
+const { sendNotification, templates } = require('../utils/notifications');
 const mongoose = require('mongoose');
+const { PERMISSIONS, hasPermission, rolesWithPermission } = require('../config/roles');
 
 // Helper function to check if user can modify comment
 const canModifyComment = (user, comment) => {
-  return user.role === 'admin' || comment.user.equals(user._id);
+  return hasPermission(user, PERMISSIONS.COMMENT_MODERATE) || comment.user.equals(user._id);
 };
 
 exports.createComment = async (req, res) => {
@@ -15,7 +16,8 @@ exports.createComment = async (req, res) => {
     const { content, rating } = req.body;
 
     // Check if professional exists
-    const professional = await Professional.findById(professionalId);
+    const professional = await Professional.findById(professionalId)
+      .populate('userId', 'firstName lastName email phone');
     if (!professional) {
       return res.status(404).json({ message: 'המקצוען לא נמצא' });
     }
@@ -40,13 +42,9 @@ exports.createComment = async (req, res) => {
     await comment.save();
 
     // Send notification to professional
-    await sendNotification({
-      type: 'newComment',
-      recipient: professional,
-      commentAuthor: req.user,
-      professional,
-      commentId: comment._id
-    });
+    if (professional.userId) {
+      await templates.newComment({ comment, author: req.user, professionalUser: professional.userId });
+    }
 
     // Populate user details
     await comment.populate('user', 'firstName lastName profilePicture');
@@ -160,7 +158,9 @@ exports.reportComment = async (req, res) => {
 
     // Notify admins if report threshold reached
     if (comment.reports.length >= 3) {
-      const admins = await User.find({ role: 'admin' });
+      const admins = await User.find({
+        role: { $in: rolesWithPermission(PERMISSIONS.COMMENT_MODERATE) }
+      });
       for (const admin of admins) {
         await sendNotification({
           type: 'reportedComment',
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Favorite = require('../Models/favorite');
+const Professional = require('../Models/professional');
+
+// List favorites of the current user, optionally one named list
+const getFavorites = async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.list) {
+      query.lists = req.query.list;
+    }
+
+    const favorites = await Favorite.find(query)
+      .sort({ createdAt: -1 })
+      .populate({
+        path: 'professional',
+        select: 'userId categories primaryCategory rating totalRatings hourlyRate isVerified',
+        populate: [
+          { path: 'userId', select: 'firstName lastName profilePicture cityId' },
+          { path: 'categories', select: 'name' }
+        ]
+      })
+      .lean();
+
+    // Profiles deleted since they were saved are skipped
+    res.status(200).json(favorites
+      .filter(favorite => favorite.professional)
+      .map(favorite => ({
+        professional: favorite.professional,
+        lists: favorite.lists,
+        savedAt: favorite.createdAt
+      })));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Save a professional, optionally into a named list
+const addFavorite = async (req, res) => {
+  try {
+    const { professionalId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(professionalId) || !(await Professional.exists({ _id: professionalId }))) {
+      return res.status(404).json({ message: 'Professional not found' });
+    }
+
+    const update = { $setOnInsert: { user: req.user._id, professional: professionalId } };
+    if (req.body.list) {
+      update.$addToSet = { lists: req.body.list };
+    }
+
+    const favorite = await Favorite.findOneAndUpdate(
+      { user: req.user._id, professional: professionalId },
+      update,
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).json({ professional: favorite.professional, lists: favorite.lists, savedAt: favorite.createdAt });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Remove a professional from one list, or from favorites altogether
+const removeFavorite = async (req, res) => {
+  try {
+    const { professionalId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      return res.status(404).json({ message: 'Favorite not found' });
+    }
+
+    const filter = { user: req.user._id, professional: professionalId };
+
+    if (req.query.list) {
+      const favorite = await Favorite.findOneAndUpdate(filter, { $pull: { lists: req.query.list } }, { new: true });
+      if (!favorite) {
+        return res.status(404).json({ message: 'Favorite not found' });
+      }
+      return res.status(200).json({ professional: favorite.professional, lists: favorite.lists, savedAt: favorite.createdAt });
+    }
+
+    const result = await Favorite.deleteOne(filter);
+    if (!result.deletedCount) {
+      return res.status(404).json({ message: 'Favorite not found' });
+    }
+
+    res.status(200).json({ message: 'Favorite removed' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Named lists of the current user with their sizes
+const getFavoriteLists = async (req, res) => {
+  try {
+    const lists = await Favorite.aggregate([
+      { $match: { user: req.user._id } },
+      { $unwind: '$lists' },
+      { $group: { _id: '$lists', count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.status(200).json(lists.map(list => ({ name: list._id, count: list.count, updatedAt: list.updatedAt })));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Rename a list
+const renameFavoriteList = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const newName = req.body.name;
+
+    const inList = { user: req.user._id, lists: name };
+    const { modifiedCount } = await Favorite.updateMany(inList, { $addToSet: { lists: newName } });
+    if (!modifiedCount && !(await Favorite.exists(inList))) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    if (newName !== name) {
+      await Favorite.updateMany(inList, { $pull: { lists: name } });
+    }
+
+    res.status(200).json({ message: 'List renamed', name: newName });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Delete a list (the professionals stay in favorites)
+const deleteFavoriteList = async (req, res) => {
+  try {
+    const { modifiedCount } = await Favorite.updateMany(
+      { user: req.user._id, lists: req.params.name },
+      { $pull: { lists: req.params.name } }
+    );
+    if (!modifiedCount) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    res.status(200).json({ message: 'List deleted' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+  getFavoriteLists,
+  renameFavoriteList,
+  deleteFavoriteList
+};
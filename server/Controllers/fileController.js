@@ -0,0 +1,26 @@
+const { APIError } = require('../middleware/errorMiddleware');
+const { assertKey, verifySignedFileUrl, sendStoredFile } = require('../utils/storage');
+
+// Private file behind a signed URL (local storage driver)
+const downloadSignedFile = async (req, res) => {
+  try {
+    const key = assertKey(req.params[0]);
+    if (!verifySignedFileUrl(key, req.query)) {
+      return res.status(403).json({ message: 'Link is invalid or has expired' });
+    }
+
+    await sendStoredFile(res, key, {
+      cacheControl: 'private, no-store',
+      filename: req.query.filename
+    });
+  } catch (err) {
+    if (err instanceof APIError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  downloadSignedFile
+};
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const NotificationPreference = require('../Models/notificationPreference');
+const { CHANNELS, NOTIFICATION_EVENTS } = require('../config/notifications');
+
+const QUIET_HOURS_FIELDS = ['enabled', 'start', 'end', 'timezone'];
+
+// Effective channels per event, with the defaults filled in
+const formatPreferences = (preferences) => ({
+  events: Object.fromEntries(Object.values(NOTIFICATION_EVENTS).map(event => {
+    const channels = preferences.channelsFor(event);
+    return [event, Object.fromEntries(Object.values(CHANNELS).map(channel => [channel, channels.includes(channel)]))];
+  })),
+  quietHours: preferences.quietHours,
+  reminders: preferences.reminders,
+  updatedAt: preferences.updatedAt
+});
+
+// Notification preferences of the current user
+const getPreferences = async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.forUser(req.user._id);
+    res.status(200).json(formatPreferences(preferences));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Partial update; a channel set to null goes back to the event default
+const updatePreferences = async (req, res) => {
+  try {
+    const { events = {}, quietHours = {}, reminders } = req.body;
+    const preferences = await NotificationPreference.forUser(req.user._id);
+
+    Object.entries(events).forEach(([event, channels]) => {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        preferences.set(`events.${event}.${channel}`, enabled === null ? undefined : enabled);
+      });
+    });
+
+    QUIET_HOURS_FIELDS
+      .filter(field => quietHours[field] !== undefined)
+      .forEach(field => preferences.set(`quietHours.${field}`, quietHours[field]));
+
+    if (reminders) {
+      preferences.reminders = reminders;
+    }
+
+    await preferences.save();
+    res.status(200).json(formatPreferences(preferences));
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: 'Invalid notification preferences', error: err.message });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,396 @@
+const mongoose = require('mongoose');
+const PortfolioAlbum = require('../Models/portfolioAlbum');
+const { config } = require('../config/config');
+const { APIError } = require('../middleware/errorMiddleware');
+const {
+  PORTFOLIO_VARIANTS,
+  IMAGE_FORMATS,
+  imageCacheControl,
+  detectImageType,
+  isImageHash,
+  portfolioImageKey,
+  processPortfolioImage
+} = require('../utils/images');
+const {
+  VIDEO_FORMATS,
+  portfolioVideoKey,
+  storePortfolioVideo,
+  formatAlbum,
+  getPortfolio: findPortfolio,
+  removePortfolioFiles
+} = require('../utils/portfolio');
+const { sendStoredFile } = require('../utils/storage');
+
+// Media may be embedded by the client app on another origin
+const MEDIA_HEADERS = { 'Cross-Origin-Resource-Policy': 'cross-origin' };
+
+const handleError = (res, err) => {
+  if (err instanceof APIError) {
+    return res.status(err.status).json({ message: err.message, code: err.code });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Invalid portfolio album', error: err.message });
+  }
+  res.status(500).json({ message: 'Server error', error: err.message });
+};
+
+// Album of the professional in the route (ownership is checked by the router)
+const findAlbum = async (req, res) => {
+  const album = mongoose.Types.ObjectId.isValid(req.params.albumId)
+    ? await PortfolioAlbum.findOne({ _id: req.params.albumId, professional: req.params.id })
+    : null;
+  if (!album) {
+    res.status(404).json({ message: 'Album not found' });
+  }
+  return album;
+};
+
+const findItem = (album, itemId, res) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) ? album.items.id(itemId) : null;
+  if (!item) {
+    res.status(404).json({ message: 'Item not found' });
+  }
+  return item;
+};
+
+// The given ids must be exactly the current ones, in the new order
+const isPermutation = (ids, current) => Array.isArray(ids) &&
+  ids.length === current.length &&
+  new Set(ids.map(String)).size === ids.length &&
+  current.every(id => ids.map(String).includes(id.toString()));
+
+// Detach an item and its partner from a before/after pair
+const clearPair = (album, item) => {
+  const partner = item.pair?.item && album.items.id(item.pair.item);
+  if (partner) {
+    partner.pair = undefined;
+  }
+  item.pair = undefined;
+};
+
+// Images are re-encoded like profile pictures; they get the image size limit
+const storeImage = async (file) => {
+  if (file.size > config.upload.maxFileSize) {
+    throw new APIError('הקובץ גדול מדי', 413, 'FILE_TOO_LARGE');
+  }
+  return processPortfolioImage(file.buffer);
+};
+
+// Portfolio albums of a professional
+const getPortfolio = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Professional not found' });
+    }
+    res.status(200).json(await findPortfolio(req.params.id));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Create an album at the end of the portfolio
+const createAlbum = async (req, res) => {
+  try {
+    const albums = await PortfolioAlbum.find({ professional: req.params.id }).select('position');
+    if (albums.length >= PortfolioAlbum.MAX_ALBUMS) {
+      return res.status(400).json({ message: `A portfolio holds at most ${PortfolioAlbum.MAX_ALBUMS} albums` });
+    }
+
+    const album = await PortfolioAlbum.create({
+      professional: req.params.id,
+      title: req.body.title,
+      description: req.body.description,
+      position: albums.reduce((max, album) => Math.max(max, album.position + 1), 0)
+    });
+
+    res.status(201).json(formatAlbum(album));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Update title, description or cover; a null cover goes back to the first image
+const updateAlbum = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    ['title', 'description']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => album.set(field, req.body[field]));
+
+    if (req.body.coverItemId !== undefined) {
+      if (req.body.coverItemId === null) {
+        album.coverItem = undefined;
+      } else {
+        const item = findItem(album, req.body.coverItemId, res);
+        if (!item) return;
+        album.coverItem = item._id;
+      }
+    }
+
+    await album.save();
+    res.status(200).json(formatAlbum(album));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Delete an album with the files only it uses
+const deleteAlbum = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    await album.deleteOne();
+    await removePortfolioFiles(album.items);
+
+    res.status(200).json({ message: 'Album deleted' });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Reorder albums: `albumIds` lists every album of the professional
+const reorderAlbums = async (req, res) => {
+  try {
+    const albums = await PortfolioAlbum.find({ professional: req.params.id }).select('_id');
+    const { albumIds } = req.body;
+
+    if (!isPermutation(albumIds, albums.map(album => album._id))) {
+      return res.status(400).json({ message: 'albumIds must list every album exactly once' });
+    }
+
+    await PortfolioAlbum.bulkWrite(albumIds.map((id, position) => ({
+      updateOne: {
+        filter: { _id: id, professional: req.params.id },
+        update: { position }
+      }
+    })));
+
+    res.status(200).json(await findPortfolio(req.params.id));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Add an image, or a video with an optional poster image
+const addItem = async (req, res) => {
+  let item;
+
+  try {
+    const file = req.files?.file?.[0];
+    const poster = req.files?.poster?.[0];
+    if (!file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    if (album.items.length >= PortfolioAlbum.MAX_ITEMS) {
+      return res.status(400).json({ message: `An album holds at most ${PortfolioAlbum.MAX_ITEMS} items` });
+    }
+
+    if (detectImageType(file.buffer)) {
+      if (poster) {
+        return res.status(400).json({ message: 'A poster can only be added to a video' });
+      }
+      item = { type: 'image', hash: await storeImage(file), size: file.size };
+    } else {
+      const video = await storePortfolioVideo(file.buffer);
+      item = { type: 'video', ...video, size: file.size };
+      if (poster) {
+        item.poster = await storeImage(poster);
+      }
+    }
+    item.caption = req.body.caption;
+
+    // Atomic so concurrent uploads cannot overfill the album
+    const updated = await PortfolioAlbum.findOneAndUpdate(
+      { _id: album._id, [`items.${PortfolioAlbum.MAX_ITEMS - 1}`]: { $exists: false } },
+      { $push: { items: item } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      await removePortfolioFiles([item]);
+      return res.status(400).json({ message: `An album holds at most ${PortfolioAlbum.MAX_ITEMS} items` });
+    }
+
+    res.status(201).json(formatAlbum(updated).items.at(-1));
+  } catch (err) {
+    // Files of an item that was not saved are orphans unless shared
+    if (item?.hash) {
+      await removePortfolioFiles([item]);
+    }
+    handleError(res, err);
+  }
+};
+
+// Update an item caption
+const updateItem = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const item = findItem(album, req.params.itemId, res);
+    if (!item) return;
+
+    item.caption = req.body.caption || undefined;
+    await album.save();
+
+    res.status(200).json(formatAlbum(album).items.find(entry => entry._id.equals(item._id)));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Remove an item; its pair and the cover choice are cleared with it
+const deleteItem = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const item = findItem(album, req.params.itemId, res);
+    if (!item) return;
+
+    clearPair(album, item);
+    if (album.coverItem?.equals(item._id)) {
+      album.coverItem = undefined;
+    }
+    item.deleteOne();
+    await album.save();
+    await removePortfolioFiles([item]);
+
+    res.status(200).json({ message: 'Item deleted' });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Reorder items: `itemIds` lists every item of the album
+const reorderItems = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const { itemIds } = req.body;
+    if (!isPermutation(itemIds, album.items.map(item => item._id))) {
+      return res.status(400).json({ message: 'itemIds must list every item exactly once' });
+    }
+
+    album.items = itemIds.map(id => album.items.id(id));
+    await album.save();
+
+    res.status(200).json(formatAlbum(album));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Pair two images as before/after shots, replacing earlier pairs of either
+const pairItems = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const before = findItem(album, req.body.beforeItemId, res);
+    if (!before) return;
+    const after = findItem(album, req.body.afterItemId, res);
+    if (!after) return;
+
+    if (before._id.equals(after._id)) {
+      return res.status(400).json({ message: 'An item cannot be paired with itself' });
+    }
+    if (before.type !== 'image' || after.type !== 'image') {
+      return res.status(400).json({ message: 'Only images can be paired' });
+    }
+
+    clearPair(album, before);
+    clearPair(album, after);
+    before.pair = { item: after._id, role: 'before' };
+    after.pair = { item: before._id, role: 'after' };
+    await album.save();
+
+    res.status(200).json(formatAlbum(album));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Split a before/after pair
+const unpairItem = async (req, res) => {
+  try {
+    const album = await findAlbum(req, res);
+    if (!album) return;
+
+    const item = findItem(album, req.params.itemId, res);
+    if (!item) return;
+
+    clearPair(album, item);
+    await album.save();
+
+    res.status(200).json(formatAlbum(album));
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+// Serve a portfolio image variant (content-hashed, cached for long)
+const getPortfolioImage = async (req, res) => {
+  const { hash, size, format } = req.params;
+  if (!isImageHash(hash) || !PORTFOLIO_VARIANTS[size] || !IMAGE_FORMATS[format]) {
+    return res.status(404).json({ message: 'Image not found' });
+  }
+
+  try {
+    await sendStoredFile(res, portfolioImageKey(hash, size, format), {
+      contentType: IMAGE_FORMATS[format].contentType,
+      cacheControl: imageCacheControl(),
+      headers: MEDIA_HEADERS
+    });
+  } catch (err) {
+    if (err instanceof APIError) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Serve a portfolio video (content-hashed, cached for long)
+const getPortfolioVideo = async (req, res) => {
+  const { hash, format } = req.params;
+  // Video keys use the same content hash format as images
+  if (!isImageHash(hash) || !VIDEO_FORMATS[format]) {
+    return res.status(404).json({ message: 'Video not found' });
+  }
+
+  try {
+    await sendStoredFile(res, portfolioVideoKey(hash, format), {
+      contentType: VIDEO_FORMATS[format].contentType,
+      cacheControl: imageCacheControl(),
+      headers: MEDIA_HEADERS
+    });
+  } catch (err) {
+    if (err instanceof APIError) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getPortfolio,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum,
+  reorderAlbums,
+  addItem,
+  updateItem,
+  deleteItem,
+  reorderItems,
+  pairItems,
+  unpairItem,
+  getPortfolioImage,
+  getPortfolioVideo
+};
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../Models/user');
+const DataExport = require('../Models/dataExport');
+const { APIError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { hashToken } = require('../utils/tokens');
+const { requestExport } = require('../utils/dataExport');
+const { sendStoredFile } = require('../utils/storage');
+const { scheduleDeletion, cancelDeletion } = require('../utils/accountDeletion');
+
+// Public fields of an export job
+const formatExport = (job) => ({
+  id: job._id,
+  status: job.status,
+  fileSize: job.fileSize,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  downloadedAt: job.downloadedAt
+});
+
+// Queue an export unless one is already running for the user
+const startExport = async (res, userId, requestedBy) => {
+  const running = await DataExport.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] }
+  });
+  if (running) {
+    return res.status(409).json({
+      message: 'A data export is already in progress',
+      export: formatExport(running)
+    });
+  }
+
+  const job = await requestExport(userId, requestedBy);
+  logger.info('Data export requested:', { userId, requestedBy, exportId: job._id });
+
+  res.status(202).json({
+    message: 'Data export started, a download link will be emailed when it is ready',
+    export: formatExport(job)
+  });
+};
+
+// Request an export of the current user's data
+const requestOwnExport = async (req, res) => {
+  try {
+    await startExport(res, req.user._id, req.user._id);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// DPO: request an export on behalf of a user
+const requestUserExport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.exists({ _id: req.params.id });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await startExport(res, user._id, req.user._id);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// List exports of the current user
+const getExports = async (req, res) => {
+  try {
+    const jobs = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.status(200).json(jobs.map(formatExport));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Download an archive with the emailed token
+const downloadExport = async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    const job = await DataExport.findOne({
+      _id: req.params.id,
+      downloadTokenHash: hashToken(String(token))
+    }).select('+fileKey');
+
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    if (job.status !== 'ready' || job.isExpired) {
+      return res.status(410).json({ message: 'This download link has expired' });
+    }
+
+    job.downloadedAt = new Date();
+    await job.save();
+
+    logger.info('Data export downloaded:', { exportId: job._id, ip: req.ip });
+
+    await sendStoredFile(res, job.fileKey, {
+      contentType: 'application/zip',
+      filename: `my-professional-data-${job.createdAt.toISOString().slice(0, 10)}.zip`
+    });
+  } catch (err) {
+    if (err instanceof APIError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Schedule deletion of the current user's account
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Accounts with a password must confirm it
+    if (user.password) {
+      const isMatch = await bcrypt.compare(req.body.password || '', user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(409).json({
+        message: 'Account deletion is already scheduled',
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
+
+    const scheduledFor = await scheduleDeletion(user, { ip: req.ip });
+
+    res.status(202).json({
+      message: 'Account deletion scheduled',
+      scheduledFor
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Cancel a scheduled deletion of the current user's account
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!await cancelDeletion(user, { ip: req.ip })) {
+      return res.status(400).json({ message: 'No account deletion is scheduled' });
+    }
+
+    res.status(200).json({ message: 'Account deletion cancelled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  requestOwnExport,
+  requestUserExport,
+  getExports,
+  downloadExport,
+  requestAccountDeletion,
+  cancelAccountDeletion
+};
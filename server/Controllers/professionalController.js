@@ -1,16 +1,39 @@
+const mongoose = require('mongoose');
 const Professional = require('../Models/professional');
 const User = require('../Models/user');
+const Favorite = require('../Models/favorite');
+const Appointment = require('../Models/appointment');
+const Schedule = require('../Models/schedule');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
+const { removeVerificationRequests } = require('../utils/verification');
+const { removeDocuments } = require('../utils/documents');
+const { getPortfolio, removePortfolio } = require('../utils/portfolio');
+const { resolveProfessionalCategories, withoutCategories } = require('../utils/categories');
+const { resolveServiceArea, defaultServiceArea } = require('../utils/serviceAreas');
+const { APIError } = require('../middleware/errorMiddleware');
+
+// Verification is only granted through an approved request, and the
+// service area is set through its own endpoint
+const withoutManagedFields = ({ isVerified, verifiedAt, serviceArea, ...data }) => data;
 
 // Get all professionals with optional filters
 const getAllProfessionals = async (req, res) => {
   try {
-    const { category, city, minRating, maxPrice, search } = req.query;
-    let query = {};
+    const { category, city, minRating, maxPrice, search, verified } = req.query;
+    // Hide listings of suspended users
+    let query = { $and: [Professional.notSuspendedQuery()] };
 
     // Build query based on filters
-    if (category) query.category = category;
+    if (category) {
+      if (!mongoose.Types.ObjectId.isValid(category)) {
+        return res.status(400).json({ message: 'Invalid category' });
+      }
+      // Cast for the aggregate path, which does not cast like find()
+      query.categories = new mongoose.Types.ObjectId(category);
+    }
     if (minRating) query.rating = { $gte: parseFloat(minRating) };
     if (maxPrice) query.hourlyRate = { $lte: parseFloat(maxPrice) };
+    if (verified === 'true') query.isVerified = true;
 
     // If city filter is provided, join with User model to filter by city
     let professionals;
@@ -37,12 +60,14 @@ const getAllProfessionals = async (req, res) => {
             }),
             ...query
           }
-        }
+        },
+        // Certification documents are private
+        { $project: { 'certifications.document': 0, 'certifications.remindersSent': 0 } }
       ]);
     } else {
       professionals = await Professional.find(query)
         .populate('userId', 'firstName lastName email cityId')
-        .populate('category')
+        .populate('categories')
         .sort('-rating');
     }
 
@@ -57,14 +82,57 @@ const getProfessionalById = async (req, res) => {
   try {
     const professional = await Professional.findById(req.params.id)
       .populate('userId', 'firstName lastName email cityId')
-      .populate('category')
+      .populate('categories')
+      .populate('serviceArea.cities', 'name district')
       .populate('reviews');
     
     if (!professional) {
       return res.status(404).json({ message: 'Professional not found' });
     }
+
+    const result = professional.toJSON();
+    result.portfolio = await getPortfolio(professional._id);
+    if (req.user) {
+      result.favorited = Boolean(await Favorite.exists({ user: req.user._id, professional: professional._id }));
+    }
     
-    res.status(200).json(professional);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Stats for the profile owner (favorites, ratings, appointments)
+const getProfessionalStats = async (req, res) => {
+  try {
+    const professional = await Professional.findById(req.params.id);
+    if (!professional) {
+      return res.status(404).json({ message: 'Professional not found' });
+    }
+
+    if (professional.userId.toString() !== String(req.user._id) && !hasPermission(req.user, PERMISSIONS.USER_READ)) {
+      return res.status(403).json({ message: 'Not authorized to view these stats' });
+    }
+
+    const [favorites, appointments] = await Promise.all([
+      Favorite.countDocuments({ professional: professional._id }),
+      Appointment.aggregate([
+        { $match: { professional: professional._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      favorites,
+      rating: professional.rating,
+      totalRatings: professional.totalRatings,
+      appointments: appointments.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {
+        pending: 0,
+        confirmed: 0,
+        completed: 0,
+        cancelled: 0
+      })
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -79,14 +147,23 @@ const addProfessional = async (req, res) => {
       return res.status(400).json({ message: 'User is already a professional' });
     }
 
-    const newProfessional = new Professional(req.body);
+    const categories = await resolveProfessionalCategories(req.body);
+    const owner = await User.findById(req.body.userId).select('cityId');
+    const newProfessional = new Professional({
+      ...withoutCategories(withoutManagedFields(req.body)),
+      ...categories,
+      serviceArea: await defaultServiceArea(owner?.cityId)
+    });
     await newProfessional.save();
 
-    // Update user status
-    await User.findByIdAndUpdate(req.body.userId, { status: 'מקצוען' });
+    // Update user role
+    await User.findByIdAndUpdate(req.body.userId, { role: ROLES.PROFESSIONAL });
 
     res.status(201).json(newProfessional);
   } catch (err) {
+    if (err instanceof APIError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     res.status(400).json({ message: 'Failed to add professional', error: err.message });
   }
 };
@@ -94,11 +171,17 @@ const addProfessional = async (req, res) => {
 // Update professional
 const updateProfessional = async (req, res) => {
   try {
+    const current = await Professional.findById(req.params.id).select('categories primaryCategory subcategories');
+    if (!current) {
+      return res.status(404).json({ message: 'Professional not found' });
+    }
+
+    const categories = await resolveProfessionalCategories(req.body, current);
     const updatedProfessional = await Professional.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { ...withoutCategories(withoutManagedFields(req.body)), ...categories },
       { new: true, runValidators: true }
-    ).populate('category');
+    ).populate('categories');
 
     if (!updatedProfessional) {
       return res.status(404).json({ message: 'Professional not found' });
@@ -106,6 +189,9 @@ const updateProfessional = async (req, res) => {
 
     res.status(200).json(updatedProfessional);
   } catch (err) {
+    if (err instanceof APIError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
     res.status(400).json({ message: 'Failed to update professional', error: err.message });
   }
 };
@@ -118,32 +204,41 @@ const deleteProfessional = async (req, res) => {
       return res.status(404).json({ message: 'Professional not found' });
     }
 
-    // Update user status back to regular user
-    await User.findByIdAndUpdate(professional.userId, { status: 'לקוח רגיל' });
+    // Update user role back to client
+    await User.findByIdAndUpdate(professional.userId, { role: ROLES.CLIENT });
 
     await Professional.findByIdAndDelete(req.params.id);
+    await Favorite.deleteMany({ professional: professional._id });
+    await removeVerificationRequests(professional._id);
+    await removeDocuments(professional.certifications
+      .filter(certification => certification.document?.key)
+      .map(certification => certification.document));
+    await removePortfolio(professional._id);
+    await Schedule.deleteOne({ professional: professional._id });
     res.status(200).json({ message: 'Professional profile deleted successfully' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
-// Update availability
-const updateAvailability = async (req, res) => {
+// Set where the professional works (base location and radius, cities, districts)
+const updateServiceArea = async (req, res) => {
   try {
-    const { availability } = req.body;
     const professional = await Professional.findById(req.params.id);
-
     if (!professional) {
       return res.status(404).json({ message: 'Professional not found' });
     }
 
-    professional.availability = availability;
+    professional.serviceArea = await resolveServiceArea(req.body, professional);
     await professional.save();
+    await professional.populate('serviceArea.cities', 'name district');
 
-    res.status(200).json(professional);
+    res.status(200).json(professional.serviceArea);
   } catch (err) {
-    res.status(400).json({ message: 'Failed to update availability', error: err.message });
+    if (err instanceof APIError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    res.status(400).json({ message: 'Failed to update service area', error: err.message });
   }
 };
 
@@ -210,10 +305,11 @@ const deleteService = async (req, res) => {
 module.exports = {
   getAllProfessionals,
   getProfessionalById,
+  getProfessionalStats,
   addProfessional,
   updateProfessional,
   deleteProfessional,
-  updateAvailability,
+  updateServiceArea,
   addService,
   updateService,
   deleteService
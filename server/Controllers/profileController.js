@@ -1,48 +1,109 @@
 const User = require('../Models/user');
-const fs = require('fs');
-const path = require('path');
+const { APIError } = require('../middleware/errorMiddleware');
+const {
+  PROFILE_VARIANTS,
+  IMAGE_FORMATS,
+  imageCacheControl,
+  isImageHash,
+  profilePictureKey,
+  profilePictureUrl,
+  processProfilePicture,
+  removeProfilePicture
+} = require('../utils/images');
+const { sendStoredFile } = require('../utils/storage');
+
+// Images may be embedded by the client app on another origin
+const IMAGE_HEADERS = { 'Cross-Origin-Resource-Policy': 'cross-origin' };
 
 // העלאת תמונת פרופיל
 const uploadProfilePicture = async (req, res) => {
   try {
+    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+
     const user = await User.findById(req.params.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
 
+    const previous = user.profilePicture;
+    user.profilePicture = await processProfilePicture(req.file.buffer);
+    await user.save();
+
     // אם קיימת תמונה קודמת, מוחקים אותה
-    if (user.profilePicture) {
-      fs.unlinkSync(user.profilePicture);
+    if (previous && previous !== user.profilePicture) {
+      await removeProfilePicture(previous, user._id);
     }
 
-    user.profilePicture = req.file.path;
-    await user.save();
-
-    res.status(200).json({ message: 'Profile picture uploaded successfully', filePath: req.file.path });
+    res.status(200).json({
+      message: 'Profile picture uploaded successfully',
+      profilePicture: user.profilePicture,
+      urls: Object.fromEntries(Object.keys(PROFILE_VARIANTS)
+        .map(size => [size, profilePictureUrl(user.profilePicture, size)]))
+    });
   } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({ message: 'Failed to upload profile picture. Please try again.' });
   }
 };
 
-// שליפת תמונת פרופיל לפי ID משתמש
+// שליפת תמונת פרופיל לפי ID משתמש - מפנה לגרסה המבוקשת
 const getProfilePicture = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).select('profilePicture');
     if (!user || !user.profilePicture) return res.status(404).json({ message: 'No profile picture found' });
 
-    res.sendFile(path.resolve(user.profilePicture));
+    // Uploads from before processing existed have a single original file
+    if (!isImageHash(user.profilePicture)) {
+      return await sendStoredFile(res, profilePictureKey(user.profilePicture), { headers: IMAGE_HEADERS });
+    }
+
+    const size = PROFILE_VARIANTS[req.query.size] ? req.query.size : 'medium';
+    const format = IMAGE_FORMATS[req.query.format]
+      ? req.query.format
+      : (req.accepts(['image/webp', 'image/jpeg']) === 'image/webp' ? 'webp' : 'jpg');
+
+    // The picture behind this URL changes, the variant URL never does
+    res.set({ 'Cache-Control': 'no-cache', Vary: 'Accept' });
+    res.redirect(302, profilePictureUrl(user.profilePicture, size, format));
   } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(404).json({ message: 'No profile picture found' });
+    }
     res.status(500).json({ message: 'Failed to retrieve profile picture. Please try again.' });
   }
 };
 
+// הגשת גרסה של תמונה לפי hash - התוכן לעולם לא משתנה
+const serveProfilePictureVariant = async (req, res) => {
+  const { hash, size, format } = req.params;
+  if (!isImageHash(hash) || !PROFILE_VARIANTS[size] || !IMAGE_FORMATS[format]) {
+    return res.status(404).json({ message: 'Image not found' });
+  }
+
+  try {
+    await sendStoredFile(res, profilePictureKey(hash, size, format), {
+      contentType: IMAGE_FORMATS[format].contentType,
+      cacheControl: imageCacheControl(),
+      headers: IMAGE_HEADERS
+    });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    res.status(500).json({ message: 'Failed to retrieve image. Please try again.' });
+  }
+};
+
 // מחיקת תמונת פרופיל
 const deleteProfilePicture = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user || !user.profilePicture) return res.status(404).json({ message: 'No profile picture found' });
 
-    fs.unlinkSync(user.profilePicture); // מוחקים את התמונה מהשרת
+    const previous = user.profilePicture;
     user.profilePicture = null;
     await user.save();
+    await removeProfilePicture(previous, user._id); // מוחקים את התמונה מהשרת
 
     res.status(200).json({ message: 'Profile picture deleted successfully' });
   } catch (error) {
@@ -53,5 +114,6 @@ const deleteProfilePicture = async (req, res) => {
 module.exports = {
   uploadProfilePicture,
   getProfilePicture,
+  serveProfilePictureVariant,
   deleteProfilePicture
 };
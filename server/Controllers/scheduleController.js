@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Professional = require('../Models/professional');
+const Schedule = require('../Models/schedule');
+const Service = require('../Models/service');
+const { APIError } = require('../middleware/errorMiddleware');
+const { findSlots, invalidateSlots } = require('../utils/slots');
+
+const SCHEDULE_FIELDS = [
+  'timezone',
+  'weeklyHours',
+  'overrides',
+  'vacations',
+  'holidays',
+  'bufferMinutes',
+  'minNoticeMinutes',
+  'rescheduleApproval'
+];
+
+const byDate = (field) => (a, b) => a[field].localeCompare(b[field]);
+const withoutNote = ({ note, ...entry }) => entry;
+
+// Schedule in calendar order; notes are only for the owner
+const formatSchedule = (schedule, { owner = false } = {}) => {
+  const data = schedule.toObject();
+  const overrides = data.overrides.sort(byDate('date'));
+  const vacations = data.vacations.sort(byDate('start'));
+
+  return {
+    timezone: data.timezone,
+    weeklyHours: data.weeklyHours.sort((a, b) => a.day - b.day),
+    overrides: owner ? overrides : overrides.map(withoutNote),
+    vacations: owner ? vacations : vacations.map(withoutNote),
+    holidays: data.holidays.sort(byDate('date')),
+    bufferMinutes: data.bufferMinutes,
+    minNoticeMinutes: data.minNoticeMinutes,
+    rescheduleApproval: data.rescheduleApproval,
+    updatedAt: data.updatedAt
+  };
+};
+
+const findProfessional = async (req, res) => {
+  const professional = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Professional.findById(req.params.id).select('userId')
+    : null;
+  if (!professional) {
+    res.status(404).json({ message: 'Professional not found' });
+  }
+  return professional;
+};
+
+// Working hours of a professional; empty until they are set
+const getSchedule = async (req, res) => {
+  try {
+    const professional = await findProfessional(req, res);
+    if (!professional) return;
+
+    const schedule = await Schedule.findOne({ professional: professional._id }) ||
+      new Schedule({ professional: professional._id });
+    const owner = Boolean(req.user) && professional.userId.toString() === String(req.user._id);
+
+    res.status(200).json(formatSchedule(schedule, { owner }));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Replace the sections that are sent (weekly hours, overrides, vacations, holidays, booking rules)
+const updateSchedule = async (req, res) => {
+  try {
+    const professional = await findProfessional(req, res);
+    if (!professional) return;
+
+    const schedule = await Schedule.findOne({ professional: professional._id }) ||
+      new Schedule({ professional: professional._id });
+
+    SCHEDULE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => schedule.set(field, req.body[field]));
+
+    await schedule.save();
+    invalidateSlots(professional._id);
+    res.status(200).json(formatSchedule(schedule, { owner: true }));
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: 'Invalid schedule', error: err.message });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Free start times for one of the professional's services (?serviceId=&from=&to=)
+const getSlots = async (req, res) => {
+  try {
+    const professional = await findProfessional(req, res);
+    if (!professional) return;
+
+    const service = await Service.findOne({ _id: req.query.serviceId, professionalId: professional._id });
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    if (!service.isAvailable) {
+      return res.status(400).json({ message: 'Service is not available for booking' });
+    }
+
+    const schedule = await Schedule.findOne({ professional: professional._id });
+    if (!schedule) {
+      return res.status(200).json({ serviceId: service._id, duration: service.duration, slots: [] });
+    }
+
+    const { from, to } = req.query;
+    const result = await findSlots(schedule, service, { from, to });
+
+    res.status(200).json({ serviceId: service._id, duration: service.duration, ...result });
+  } catch (err) {
+    if (err instanceof APIError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getSchedule,
+  updateSchedule,
+  getSlots
+};
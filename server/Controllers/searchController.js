@@ -1,9 +1,12 @@
+const mongoose = require('mongoose');
 const Professional = require('../Models/professional');
+const Favorite = require('../Models/favorite');
 const Category = require('../Models/category');
 const City = require('../Models/city');
 const { logger } = require('../utils/logger');
 const { config } = require('../config/config');
 const { APIError } = require('../middleware/errorMiddleware');
+const { resolveSearchArea, servingAreaStages } = require('../utils/serviceAreas');
 
 /**
  * Search professionals with filters
@@ -14,16 +17,23 @@ exports.searchProfessionals = async (req, res, next) => {
       query = '',
       category,
       city,
+      lat,
+      lng,
+      radius,
       page = 1,
       limit = config.pagination.defaultLimit,
-      sort = 'rating',
-      order = 'desc'
+      sort,
+      order
     } = req.query;
+    const pageNumber = parseInt(page, 10);
+    const pageSize = parseInt(limit, 10);
 
     // Build search query
     const searchQuery = {
       isActive: true,
-      isVerified: true
+      isVerified: true,
+      // Hide listings of suspended users
+      $and: [Professional.notSuspendedQuery()]
     };
 
     // Add text search if query provided
@@ -35,72 +45,117 @@ exports.searchProfessionals = async (req, res, next) => {
       ];
     }
 
-    // Add category filter
+    // Add category filter (cast for the aggregation path)
     if (category) {
-      searchQuery.categories = category;
+      searchQuery.categories = new mongoose.Types.ObjectId(category);
     }
 
-    // Add city filter
-    if (city) {
-      searchQuery.city = city;
-    }
+    // A city or a point limits results to professionals serving it
+    const area = await resolveSearchArea({ lat, lng, city });
 
-    // Build sort options
+    // Build sort options; searches by place default to the nearest first
+    const sortBy = sort || (area ? 'distance' : 'rating');
+    const direction = (order || (sortBy === 'distance' ? 'asc' : 'desc')) === 'desc' ? -1 : 1;
     const sortOptions = {};
-    switch (sort) {
+    switch (sortBy) {
+      case 'distance':
+        break;
       case 'rating':
-        sortOptions.averageRating = order === 'desc' ? -1 : 1;
+        sortOptions.averageRating = direction;
         break;
       case 'reviews':
-        sortOptions.reviewCount = order === 'desc' ? -1 : 1;
+        sortOptions.reviewCount = direction;
         break;
       case 'price':
-        sortOptions['services.price'] = order === 'desc' ? -1 : 1;
+        sortOptions['services.price'] = direction;
         break;
       default:
         sortOptions.createdAt = -1;
     }
+    if (area) {
+      sortOptions.distance = sortBy === 'distance' ? direction : 1;
+    }
 
     // Execute search with pagination
-    const [professionals, total] = await Promise.allSettled([
-      Professional.find(searchQuery)
-        .populate('categories', 'name')
-        .populate('city', 'name')
-        .sort(sortOptions)
-        .skip((page - 1) * limit)
-        .limit(limit)
-        .lean(),
-      Professional.countDocuments(searchQuery)
-    ]);
-
-    // Check for errors in the search promise
-    if (professionals.status === 'rejected') {
-      logger.error('Search error occurred while processing the request:', professionals.reason);
+    let professionals;
+    let total;
+    try {
+      if (area) {
+        const [result] = await Professional.aggregate([
+          ...servingAreaStages(area, searchQuery, { maxDistance: radius && parseFloat(radius) }),
+          { $sort: sortOptions },
+          {
+            $facet: {
+              results: [{ $skip: (pageNumber - 1) * pageSize }, { $limit: pageSize }],
+              total: [{ $count: 'count' }]
+            }
+          }
+        ]);
+        professionals = await Professional.populate(result.results, [
+          { path: 'categories', select: 'name' },
+          { path: 'serviceArea.cities', select: 'name' }
+        ]);
+        total = result.total[0]?.count || 0;
+      } else {
+        [professionals, total] = await Promise.all([
+          Professional.find(searchQuery)
+            .populate('categories', 'name')
+            .populate('serviceArea.cities', 'name')
+            .sort(sortOptions)
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+          Professional.countDocuments(searchQuery)
+        ]);
+      }
+    } catch (error) {
+      logger.error('Search error occurred while processing the request:', error);
       throw new APIError('Error executing search query', 500);
     }
 
     // Calculate pagination info
-    const totalPages = Math.ceil(total / limit);
-    const hasMore = page < totalPages;
+    const totalPages = Math.ceil(total / pageSize);
+    const hasMore = pageNumber < totalPages;
+
+    const favorited = await Favorite.favoritedIds(
+      req.user?._id,
+      professionals.map(professional => professional._id)
+    );
 
     // Format response
-    const results = professionals.value.map(professional => ({
+    const results = professionals.map(professional => ({
       id: professional._id,
       name: professional.name,
       description: professional.description,
       categories: professional.categories,
-      city: professional.city,
+      primaryCategory: professional.primaryCategory,
+      serviceArea: {
+        radiusKm: professional.serviceArea?.radiusKm,
+        cities: professional.serviceArea?.cities || [],
+        districts: professional.serviceArea?.districts || []
+      },
+      // Kilometers from the professional's base to the searched place
+      ...(area && { distance: Math.round(professional.distance / 100) / 10 }),
       averageRating: professional.averageRating,
       reviewCount: professional.reviewCount,
       services: professional.services,
-      imageUrl: professional.imageUrl
+      imageUrl: professional.imageUrl,
+      isVerified: professional.isVerified,
+      ...(req.user && { favorited: favorited.has(String(professional._id)) })
     }));
 
     res.status(200).json({
       results,
+      // Where the searched point was placed
+      ...(area && {
+        area: {
+          coordinates: area.coordinates,
+          city: area.city && { _id: area.city._id, name: area.city.name, district: area.city.district }
+        }
+      }),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page: pageNumber,
+        limit: pageSize,
         total,
         totalPages,
         hasMore
@@ -112,6 +167,7 @@ exports.searchProfessionals = async (req, res, next) => {
       query,
       category,
       city,
+      ...(lat !== undefined && { lat, lng, radius }),
       resultsCount: results.length,
       total
     });
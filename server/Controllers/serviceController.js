@@ -1,5 +1,17 @@
 const Service = require('../Models/service');
 const Professional = require('../Models/professional');
+const { APIError } = require('../middleware/errorMiddleware');
+const {
+  SERVICE_IMAGE_VARIANTS,
+  IMAGE_FORMATS,
+  imageCacheControl,
+  isImageHash,
+  serviceImageKey,
+  serviceImageUrl,
+  processServiceImage,
+  removeServiceImage
+} = require('../utils/images');
+const { sendStoredFile } = require('../utils/storage');
 
 // Get all services for a professional
 const getProfessionalServices = async (req, res) => {
@@ -31,7 +43,7 @@ const createService = async (req, res) => {
     }
 
     // Verify user owns this professional profile
-    if (professional.userId.toString() !== req.user.id) {
+    if (professional.userId.toString() !== String(req.user._id)) {
       return res.status(403).json({ message: 'Not authorized to add services for this professional' });
     }
 
@@ -76,7 +88,7 @@ const updateService = async (req, res) => {
 
     // Verify professional exists and user has permission
     const professional = await Professional.findById(professionalId);
-    if (!professional || professional.userId.toString() !== req.user.id) {
+    if (!professional || professional.userId.toString() !== String(req.user._id)) {
       return res.status(403).json({ message: 'Not authorized to update this service' });
     }
 
@@ -115,7 +127,7 @@ const deleteService = async (req, res) => {
 
     // Verify professional exists and user has permission
     const professional = await Professional.findById(professionalId);
-    if (!professional || professional.userId.toString() !== req.user.id) {
+    if (!professional || professional.userId.toString() !== String(req.user._id)) {
       return res.status(403).json({ message: 'Not authorized to delete this service' });
     }
 
@@ -133,7 +145,10 @@ const deleteService = async (req, res) => {
       }
     }
 
-    await service.remove();
+    await service.deleteOne();
+    for (const image of service.images) {
+      await removeServiceImage(image, service._id);
+    }
 
     res.status(200).json({ message: 'Service deleted successfully' });
   } catch (error) {
@@ -183,7 +198,7 @@ const toggleAvailability = async (req, res) => {
 
     // Verify professional exists and user has permission
     const professional = await Professional.findById(professionalId);
-    if (!professional || professional.userId.toString() !== req.user.id) {
+    if (!professional || professional.userId.toString() !== String(req.user._id)) {
       return res.status(403).json({ message: 'Not authorized to update this service' });
     }
 
@@ -200,11 +215,113 @@ const toggleAvailability = async (req, res) => {
   }
 };
 
+// Service owned by the current user, or an error response
+const findOwnedService = async (req, res) => {
+  const { professionalId, serviceId } = req.params;
+
+  const service = await Service.findById(serviceId);
+  if (!service || service.professionalId.toString() !== professionalId) {
+    res.status(404).json({ message: 'Service not found for this professional' });
+    return null;
+  }
+
+  const professional = await Professional.findById(professionalId);
+  if (!professional || professional.userId.toString() !== String(req.user._id)) {
+    res.status(403).json({ message: 'Not authorized to update this service' });
+    return null;
+  }
+
+  return service;
+};
+
+// Add an image to a service gallery
+const addServiceImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const service = await findOwnedService(req, res);
+    if (!service) return;
+
+    const hash = await processServiceImage(req.file.buffer);
+    service.images.push({
+      hash,
+      url: serviceImageUrl(hash),
+      caption: req.body.caption
+    });
+    await service.save();
+
+    res.status(201).json(service.images[service.images.length - 1]);
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    console.error('Error adding service image:', error);
+    res.status(500).json({
+      message: 'Error adding service image',
+      error: error.message
+    });
+  }
+};
+
+// Remove an image from a service gallery
+const deleteServiceImage = async (req, res) => {
+  try {
+    const service = await findOwnedService(req, res);
+    if (!service) return;
+
+    const image = service.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    image.deleteOne();
+    await service.save();
+    await removeServiceImage(image, service._id);
+
+    res.status(200).json({ message: 'Image deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting service image:', error);
+    res.status(500).json({
+      message: 'Error deleting service image',
+      error: error.message
+    });
+  }
+};
+
+// Serve a service image variant (content-hashed, cached for long)
+const getServiceImage = async (req, res) => {
+  const { hash, size, format } = req.params;
+  if (!isImageHash(hash) || !SERVICE_IMAGE_VARIANTS[size] || !IMAGE_FORMATS[format]) {
+    return res.status(404).json({ message: 'Image not found' });
+  }
+
+  try {
+    await sendStoredFile(res, serviceImageKey(hash, size, format), {
+      contentType: IMAGE_FORMATS[format].contentType,
+      cacheControl: imageCacheControl(),
+      headers: { 'Cross-Origin-Resource-Policy': 'cross-origin' }
+    });
+  } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    res.status(500).json({
+      message: 'Error fetching image',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getProfessionalServices,
   createService,
   updateService,
   deleteService,
   getService,
-  toggleAvailability
+  toggleAvailability,
+  addServiceImage,
+  deleteServiceImage,
+  getServiceImage
 };
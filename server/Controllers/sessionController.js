@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Session = require('../Models/session');
+const { logger } = require('../utils/logger');
+const { revokeSession, revokeUserSessions } = require('../utils/sessions');
+
+// List active sessions of the current user
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.status(200).json(sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.lastSeenIp || session.createdByIp,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      impersonated: Boolean(session.impersonatedBy),
+      current: String(session._id) === String(req.sessionId)
+    })));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Revoke one session (revoking the current one logs out)
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked');
+
+    logger.info('Session revoked:', { userId: req.user._id, sessionId: session._id });
+
+    res.status(200).json({ message: 'Session revoked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Revoke every session except the current one
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, {
+      except: req.sessionId,
+      reason: 'revoked'
+    });
+
+    logger.info('Other sessions revoked:', { userId: req.user._id, revoked });
+
+    res.status(200).json({ message: 'Other sessions revoked', revoked });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getSessions,
+  deleteSession,
+  deleteOtherSessions
+};
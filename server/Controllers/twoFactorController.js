@@ -0,0 +1,214 @@
+const User = require('../Models/user');
+const SecurityPolicy = require('../Models/securityPolicy');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { issueTokens } = require('../utils/tokens');
+const { logger } = require('../utils/logger');
+const { ROLES } = require('../config/roles');
+
+const ISSUER = 'My Professional';
+
+// Get two-factor status of the current user
+const getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt,
+      required: await SecurityPolicy.requiresTwoFactor(user),
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Start enrollment - generate a secret and otpauth URI
+const setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.set('twoFactor.pendingSecret', secret);
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUrl: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Confirm enrollment with a first code and hand out recovery codes
+const enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({ message: 'Two-factor setup has not been started' });
+    }
+
+    const step = verifyCode(pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.set('twoFactor.secret', pendingSecret);
+    user.set('twoFactor.pendingSecret', undefined);
+    user.set('twoFactor.enabled', true);
+    user.set('twoFactor.enabledAt', new Date());
+    user.set('twoFactor.lastUsedStep', step);
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    logger.info('Two-factor authentication enabled:', { userId: user._id });
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    };
+
+    // Enrollment was the last step of a login
+    if (req.twoFactorSetupChallenge) {
+      Object.assign(response, await issueTokens(user, {
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      }));
+    }
+
+    res.status(200).json(response);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Turn two-factor off (not allowed when the role requires it)
+const disable = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await SecurityPolicy.requiresTwoFactor(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (!user.verifySecondFactor({ code, recoveryCode })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.set('twoFactor', { enabled: false });
+    await user.save();
+
+    logger.info('Two-factor authentication disabled:', { userId: user._id });
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Replace recovery codes
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.verifySecondFactor({ code })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({ recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Admin: get two-factor policy
+const getPolicy = async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    res.status(200).json({
+      twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+      availableRoles: Object.values(ROLES),
+      updatedAt: policy.updatedAt
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Admin: set the roles for which two-factor is mandatory
+const updatePolicy = async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+    const availableRoles = Object.values(ROLES);
+
+    if (!Array.isArray(twoFactorRequiredRoles) ||
+        twoFactorRequiredRoles.some(role => !availableRoles.includes(role))) {
+      return res.status(400).json({ message: 'Invalid roles', availableRoles });
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    policy.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    logger.info('Two-factor policy updated:', {
+      updatedBy: req.user._id,
+      roles: policy.twoFactorRequiredRoles
+    });
+
+    res.status(200).json({ twoFactorRequiredRoles: policy.twoFactorRequiredRoles });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  getPolicy,
+  updatePolicy
+};
@@ -1,58 +1,92 @@
 const User = require('../Models/user');
 const Professional = require('../Models/professional');
+const SecurityPolicy = require('../Models/securityPolicy');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const multer = require('multer');
-const path = require('path');
-
-// Set up storage engine for multer
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, './server/uploads/');
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + path.extname(file.originalname));
-  }
-});
+const crypto = require('crypto');
+const { config } = require('../config/config');
+const { logger } = require('../utils/logger');
+const { sendEmail } = require('../utils/notifications');
+const {
+  setNonceCookie,
+  readNonceCookie,
+  clearNonceCookie,
+  getAuthorizationUrl,
+  handleCallback
+} = require('../utils/oauth');
+const {
+  registerLoginAttempt,
+  recordLoginSuccess,
+  unlockAccount
+} = require('../utils/loginProtection');
+const { scheduleDeletion, deleteAccount } = require('../utils/accountDeletion');
+const { resolveProfessionalCategories, withoutCategories } = require('../utils/categories');
+const { defaultServiceArea } = require('../utils/serviceAreas');
+const { APIError } = require('../middleware/errorMiddleware');
+const { imageUpload } = require('../middleware/uploadMiddleware');
+const { processProfilePicture, removeProfilePicture } = require('../utils/images');
+const { ROLES, PERMISSIONS, LEGACY_STATUS_ROLES, hasPermission } = require('../config/roles');
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
 
-// Initialize upload
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 1024 * 1024 * 5 }, // 5MB limit
-  fileFilter: function (req, file, cb) {
-    checkFileType(file, cb);
-  }
-}).single('profilePicture');
+// Profile picture sent along with profile updates
+const upload = imageUpload('profilePicture');
 
-// Check file type
-function checkFileType(file, cb) {
-  const filetypes = /jpeg|jpg|png|gif/;
-  const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = filetypes.test(file.mimetype);
+// Hash a plain-text password
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
 
-  if (mimetype && extname) {
-    return cb(null, true);
-  } else {
-    cb('Error: Images only!');
-  }
-}
+// Set a new password and invalidate every existing session
+const setPassword = async (user, password) => {
+  user.password = await hashPassword(password);
+  // Back-date by a second so tokens issued right after the change stay valid
+  user.passwordChangedAt = new Date(Date.now() - 1000);
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  await revokeAllUserTokens(user._id, 'password_change');
+};
 
-// Generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user._id,
-      status: user.status 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
-  );
+// Email a signed verification link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generateEmailVerificationToken(user);
+
+  user.verificationEmailSentAt = new Date();
+  await user.save();
+
+  await sendEmail({
+    to: user.email,
+    subject: 'אימות כתובת אימייל',
+    template: 'email-verification',
+    context: {
+      recipientName: user.firstName,
+      verificationUrl: `${config.client.url}/verify-email?token=${verificationToken}`,
+      expiresIn: config.jwt.emailVerificationExpiry
+    }
+  });
 };
 
+// Request details stored alongside refresh tokens
+const getClientMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
 // Get all users
 const getAllUsers = async (req, res) => {
   try {
-    const users = await User.find().populate('cityId');
+    const users = await User.find().select('-password').populate('cityId');
     res.status(200).json(users);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -62,7 +96,7 @@ const getAllUsers = async (req, res) => {
 // Get user by ID
 const getUserById = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).populate('cityId');
+    const user = await User.findById(req.params.id).select('-password').populate('cityId');
     if (!user) return res.status(404).json({ message: 'User not found' });
     res.status(200).json(user);
   } catch (err) {
@@ -70,18 +104,31 @@ const getUserById = async (req, res) => {
   }
 };
 
+// Profile fields a user may change; everything else has its own flow
+// (email verification, password change, 2FA, suspension, deletion)
+const UPDATABLE_USER_FIELDS = ['firstName', 'lastName', 'phone', 'cityId', 'professionalDetails'];
+
 // Update user
 const updateUser = async (req, res) => {
   upload(req, res, async (err) => {
     if (err) {
-      return res.status(400).json({ error: err });
+      return res.status(err.status || 400).json({ error: err.message });
     }
 
     try {
-      const updateData = { ...req.body };
-      
+      // Role changes are reserved for user managers
+      const fields = hasPermission(req.user, PERMISSIONS.USER_MANAGE)
+        ? [...UPDATABLE_USER_FIELDS, 'role']
+        : UPDATABLE_USER_FIELDS;
+      // Pictures are only set from a processed upload
+      const updateData = Object.fromEntries(fields
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]]));
+
+      let previousPicture;
       if (req.file) {
-        updateData.profilePicture = req.file.path;
+        updateData.profilePicture = await processProfilePicture(req.file.buffer);
+        previousPicture = (await User.findById(req.params.id).select('profilePicture'))?.profilePicture;
       }
 
       const updatedUser = await User.findByIdAndUpdate(
@@ -91,31 +138,52 @@ const updateUser = async (req, res) => {
           new: true,
           runValidators: true,
         }
-      );
+      ).select('-password');
 
       if (!updatedUser) {
         return res.status(404).json({ message: 'User not found' });
       }
 
+      if (previousPicture && previousPicture !== updatedUser.profilePicture) {
+        await removeProfilePicture(previousPicture, updatedUser._id);
+      }
+
       res.status(200).json(updatedUser);
     } catch (err) {
-      res.status(400).json({ error: err.message });
+      res.status(err instanceof APIError ? err.status : 400).json({ error: err.message });
     }
   });
 };
 
-// Delete user
+// Delete user (admin) - scheduled after the grace period unless `immediate` is set
 const deleteUser = async (req, res) => {
   try {
-    const deletedUser = await User.findByIdAndDelete(req.params.id);
-    if (!deletedUser) return res.status(404).json({ message: 'User not found' });
-    
-    // If user was a professional, delete their professional profile too
-    if (deletedUser.status === 'מקצוען') {
-      await Professional.findOneAndDelete({ userId: deletedUser._id });
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const meta = { actor: req.user._id, ip: req.ip };
+
+    if (req.query.immediate === 'true') {
+      const summary = await deleteAccount(user._id, meta);
+      return res.status(200).json({ message: 'User deleted successfully', summary });
     }
-    
-    res.status(200).json({ message: 'User deleted successfully' });
+
+    const scheduledFor = await scheduleDeletion(user, { requestedBy: req.user._id, ip: req.ip });
+    res.status(202).json({ message: 'User deletion scheduled', scheduledFor });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Unlock an account locked by failed logins (admin)
+const unlockUser = async (req, res) => {
+  try {
+    const user = await unlockAccount(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    logger.info('Account unlocked:', { userId: user._id, unlockedBy: req.user._id });
+
+    res.status(200).json({ message: 'Account unlocked successfully' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -124,7 +192,16 @@ const deleteUser = async (req, res) => {
 // Sign up new user
 const signUp = async (req, res) => {
   try {
-    const { email, password, status, professionalDetails, ...userData } = req.body;
+    // Only these fields are taken from the request; the rest (verification,
+    // 2FA, suspension...) is never set by the client
+    const { email, password, role: requestedRole, status, professionalDetails, firstName, lastName, phone, cityId } = req.body;
+
+    // Only client and professional accounts can be self-registered.
+    // `status` is still accepted from older clients.
+    const role = requestedRole || LEGACY_STATUS_ROLES[status] || ROLES.CLIENT;
+    if (![ROLES.CLIENT, ROLES.PROFESSIONAL].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
     
     // Check if email exists
     const existingUser = await User.findOne({ email });
@@ -133,56 +210,77 @@ const signUp = async (req, res) => {
     }
 
     // Validate required fields
-    if (!email || !password || !userData.firstName || !userData.lastName || !userData.cityId) {
+    if (!email || !password || !firstName || !lastName || !cityId) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
     // Validate professional details if registering as professional
-    if (status === 'מקצוען') {
-      if (!professionalDetails || !professionalDetails.category || !professionalDetails.experienceYears) {
+    let professionalCategories;
+    if (role === ROLES.PROFESSIONAL) {
+      if (!professionalDetails || !professionalDetails.experienceYears) {
+        return res.status(400).json({ message: 'Missing required professional details' });
+      }
+      professionalCategories = await resolveProfessionalCategories(professionalDetails);
+      if (!professionalCategories) {
         return res.status(400).json({ message: 'Missing required professional details' });
       }
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await hashPassword(password);
 
     // Create user
     const newUser = new User({
-      ...userData,
+      firstName,
+      lastName,
+      phone,
+      cityId,
       email,
       password: hashedPassword,
-      status
+      role
     });
 
     await newUser.save();
 
+    // Account stays unverified until the emailed link is used
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      logger.error('Verification email failed:', error);
+    }
+
     // If professional, create professional profile
-    if (status === 'מקצוען') {
+    if (role === ROLES.PROFESSIONAL) {
       const professional = new Professional({
         userId: newUser._id,
-        ...professionalDetails
+        ...withoutCategories(professionalDetails),
+        ...professionalCategories,
+        serviceArea: await defaultServiceArea(newUser.cityId)
       });
       await professional.save();
     }
 
-    // Generate token
-    const token = generateToken(newUser);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(newUser, getClientMeta(req));
 
     res.status(201).json({
       message: 'User signed up successfully',
       token,
+      refreshToken,
       user: {
         _id: newUser._id,
         firstName: newUser.firstName,
         lastName: newUser.lastName,
         email: newUser.email,
-        status: newUser.status
+        role: newUser.role,
+        emailVerified: newUser.emailVerified
       }
     });
 
   } catch (error) {
+    if (error instanceof APIError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
     console.error('Signup error:', error);
     res.status(500).json({ 
       message: 'Error signing up user', 
@@ -195,50 +293,465 @@ const signUp = async (req, res) => {
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
+    const ip = req.ip;
 
     // Find user by email
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid email or password' });
+
+    // Counted before the password check
+    const block = await registerLoginAttempt({ user, ip });
+    if (block) {
+      return sendLoginBlocked(res, block);
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    // Social login accounts have no password until one is set
+    const isMatch = Boolean(user?.password) && await bcrypt.compare(password, user.password);
     if (!isMatch) {
       return res.status(400).json({ message: 'Invalid email or password' });
     }
+    await recordLoginSuccess({ user, ip });
+
+    if (User.isSuspended(user)) {
+      return sendSuspended(res, user);
+    }
+
+    // Password is correct, a second factor may still be needed
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.status(200).json(challenge);
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Second login step - verify TOTP or recovery code
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    const decoded = verifyTwoFactorChallenge(challengeToken, 'login');
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const block = await registerLoginAttempt({ user, ip: req.ip });
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    if (!user.verifySecondFactor({ code, recoveryCode })) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    await user.save();
+    await recordLoginSuccess({ user, ip: req.ip });
+
+    await sendLoginResponse(req, res, user);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Response for a login to a suspended or banned account
+const sendSuspended = (res, user) => {
+  return res.status(403).json({
+    message: user.suspension.kind === 'banned' ? 'Account banned' : 'Account suspended',
+    code: 'ACCOUNT_SUSPENDED',
+    reason: user.suspension.reason,
+    expiresAt: user.suspension.expiresAt
+  });
+};
+
+// Response for a login rejected by brute-force protection
+const sendLoginBlocked = (res, { reason, retryAfter }) => {
+  const messages = {
+    ip_locked: 'Too many failed login attempts from this address',
+    account_locked: 'Account temporarily locked due to too many failed login attempts',
+    too_many_attempts: 'Too many failed login attempts, please wait before trying again'
+  };
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: messages[reason],
+    code: reason.toUpperCase(),
+    retryAfter
+  });
+};
+
+// Challenge response when the account needs a second factor, or null
+const getTwoFactorChallenge = async (user) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      message: 'Two-factor authentication code required',
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user, 'login')
+    };
+  }
+
+  if (await SecurityPolicy.requiresTwoFactor(user)) {
+    return {
+      message: 'Two-factor authentication must be set up for this account',
+      twoFactorSetupRequired: true,
+      challengeToken: generateTwoFactorChallenge(user, 'setup')
+    };
+  }
+
+  return null;
+};
+
+// Issue tokens and send the logged in user
+const sendLoginResponse = async (req, res, user) => {
+  if (User.isSuspended(user)) {
+    return sendSuspended(res, user);
+  }
+
+  // Get professional details if user is a professional
+  let professionalDetails = null;
+  if (user.role === ROLES.PROFESSIONAL) {
+    professionalDetails = await Professional.findOne({ userId: user._id });
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user, getClientMeta(req));
+
+  res.status(200).json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      professionalDetails
+    }
+  });
+};
+
+// Exchange a refresh token for a new token pair
+const refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken: token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(token, getClientMeta(req));
+
+    res.status(200).json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Logout - revoke the refresh token family of this login
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken: token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    await revokeRefreshToken(token);
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Send a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the email exists
+    const response = { message: 'If the email is registered, a reset link has been sent' };
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetToken = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + config.security.passwordResetExpiry);
+    await user.save();
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'איפוס סיסמה',
+        template: 'password-reset',
+        context: {
+          recipientName: user.firstName,
+          resetUrl: `${config.client.url}/reset-password?token=${resetToken}`,
+          expiresInMinutes: Math.round(config.security.passwordResetExpiry / 60000)
+        }
+      });
+    } catch (error) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      // Still the generic response, so the status does not reveal the account
+      logger.error('Password reset email failed:', error);
+    }
+
+    res.status(200).json(response);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Reset password using the emailed token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    await setPassword(user, password);
+
+    res.status(200).json({ message: 'Password has been reset successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Change password of the authenticated user
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    // Get professional details if user is a professional
-    let professionalDetails = null;
-    if (user.status === 'מקצוען') {
-      professionalDetails = await Professional.findOne({ userId: user._id });
+    if (!user.password) {
+      return res.status(400).json({ message: 'No password is set for this account, use password reset instead' });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    await setPassword(user, newPassword);
+
+    // Keep the current client signed in with a fresh token pair
+    const { token, refreshToken } = await issueTokens(user, getClientMeta(req));
 
     res.status(200).json({
-      message: 'Login successful',
+      message: 'Password changed successfully',
       token,
-      user: {
-        _id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        status: user.status,
-        professionalDetails
-      }
+      refreshToken
     });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
+// Verify email address using the emailed token
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const decoded = verifyEmailVerificationToken(token);
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Verification link is invalid' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Resend the verification email (throttled per account)
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the email exists
+    const response = { message: 'If the account needs verification, an email has been sent' };
+    if (!user || user.emailVerified) {
+      return res.status(200).json(response);
+    }
+
+    const interval = config.security.verificationResendInterval;
+    const elapsed = user.verificationEmailSentAt
+      ? Date.now() - user.verificationEmailSentAt.getTime()
+      : Infinity;
+
+    if (elapsed < interval) {
+      const retryAfter = Math.ceil((interval - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Please wait before requesting another verification email',
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json(response);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Find the user for a social login, linking or creating one if needed
+const findOrCreateOAuthUser = async (provider, profile, tokens) => {
+  let user = await User.findOne({ [`oauth.${provider}.id`]: profile.id });
+
+  if (!user) {
+    if (!profile.email) {
+      throw new APIError('לא התקבלה כתובת אימייל מהספק', 400, 'OAUTH_EMAIL_REQUIRED');
+    }
+
+    user = await User.findOne({ email: profile.email });
+
+    // Only link to an existing account when the provider verified the email
+    if (user && !profile.emailVerified) {
+      throw new APIError('כתובת האימייל לא אומתה אצל הספק', 409, 'OAUTH_EMAIL_NOT_VERIFIED');
+    }
+
+    if (!user) {
+      user = new User({
+        firstName: profile.firstName || profile.email.split('@')[0],
+        lastName: profile.lastName,
+        email: profile.email
+      });
+    }
+  }
+
+  user.set(`oauth.${provider}.id`, profile.id);
+  user.set(`oauth.${provider}.accessToken`, tokens.accessToken);
+  user.set(`oauth.${provider}.expiresAt`, tokens.expiresAt);
+  // Google only returns a refresh token on consent, keep the previous one otherwise
+  if (tokens.refreshToken) {
+    user.set(`oauth.${provider}.refreshToken`, tokens.refreshToken);
+  }
+  if (tokens.scope) {
+    user.set(`oauth.${provider}.scope`, tokens.scope);
+  }
+
+  if (profile.emailVerified && profile.email === user.email && !user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+  return user;
+};
+
+// Redirect to the social login provider
+const oauthRedirect = (provider) => (req, res, next) => {
+  try {
+    const nonce = setNonceCookie(res);
+    res.redirect(getAuthorizationUrl(provider, nonce));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Handle the provider callback and hand tokens to the client
+const oauthCallback = (provider) => async (req, res) => {
+  const nonce = readNonceCookie(req);
+  clearNonceCookie(res);
+
+  try {
+    if (req.query.error) {
+      throw new APIError('ההתחברות בוטלה', 400, 'OAUTH_DENIED');
+    }
+
+    const { profile, tokens } = await handleCallback(provider, { ...req.query, nonce });
+    const user = await findOrCreateOAuthUser(provider, profile, tokens);
+
+    if (user.isActive === false) {
+      throw new APIError('חשבון משתמש לא פעיל', 401, 'USER_INACTIVE');
+    }
+    if (User.isSuspended(user)) {
+      throw new APIError('החשבון הושעה', 403, 'ACCOUNT_SUSPENDED');
+    }
+
+    // Tokens go in the fragment so they never reach server logs
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      const params = new URLSearchParams({
+        challengeToken: challenge.challengeToken,
+        [challenge.twoFactorRequired ? 'twoFactorRequired' : 'twoFactorSetupRequired']: 'true',
+        provider
+      });
+      return res.redirect(`${config.client.url}/oauth/callback#${params.toString()}`);
+    }
+
+    const { token, refreshToken } = await issueTokens(user, getClientMeta(req));
+
+    const params = new URLSearchParams({ token, refreshToken, provider });
+    res.redirect(`${config.client.url}/oauth/callback#${params.toString()}`);
+  } catch (err) {
+    logger.warn('OAuth login failed:', { provider, code: err.code, message: err.message });
+    const params = new URLSearchParams({ error: err.code || 'OAUTH_FAILED' });
+    res.redirect(`${config.client.url}/login?${params.toString()}`);
+  }
+};
+
 module.exports = {
   signUp,
   login,
+  loginTwoFactor,
+  refreshToken,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerificationEmail,
+  oauthRedirect,
+  oauthCallback,
   getAllUsers,
   getUserById,
   updateUser,
-  deleteUser
+  deleteUser,
+  unlockUser
 };
@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const Professional = require('../Models/professional');
+const VerificationRequest = require('../Models/verificationRequest');
+const AuditLog = require('../Models/auditLog');
+const { config } = require('../config/config');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { APIError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { storeDocument, documentUrl, removeDocuments } = require('../utils/documents');
+const { sendVerificationEmail } = require('../utils/verification');
+
+// Request with signed download URLs; internal notes only for reviewers
+const formatRequest = async (request, { reviewer = false } = {}) => {
+  const { notes, ...data } = request.toObject ? request.toObject() : request;
+  const documents = await Promise.all(data.documents.map(async ({ key, ...document }) => ({
+    ...document,
+    url: await documentUrl({ key, filename: document.filename })
+  })));
+
+  return {
+    ...data,
+    documents,
+    ...(reviewer && { notes })
+  };
+};
+
+const findRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Verification request not found' });
+    return null;
+  }
+
+  const request = await VerificationRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ message: 'Verification request not found' });
+  }
+  return request;
+};
+
+// Submit licences and certificates for review
+const submitVerification = async (req, res) => {
+  let documents = [];
+
+  try {
+    const professional = await Professional.findById(req.params.id).populate('userId', 'firstName email');
+    if (!professional) {
+      return res.status(404).json({ message: 'Professional not found' });
+    }
+
+    if (await VerificationRequest.exists({ professional: professional._id, status: 'pending' })) {
+      return res.status(409).json({ message: 'A verification request is already pending' });
+    }
+
+    const files = VerificationRequest.DOCUMENT_KINDS
+      .flatMap(kind => (req.files?.[kind] || []).map(file => ({ kind, file })));
+    if (!files.length) {
+      return res.status(400).json({ message: 'At least one licence or certificate is required' });
+    }
+
+    for (const { kind, file } of files) {
+      documents.push({ kind, ...(await storeDocument(file, `verification/${professional._id}`)) });
+    }
+
+    const request = await VerificationRequest.create({
+      professional: professional._id,
+      submittedBy: req.user._id,
+      documents,
+      message: req.body.message
+    });
+    documents = [];
+
+    await sendVerificationEmail(professional.userId, request);
+    logger.info('Verification request submitted:', { professionalId: professional._id, requestId: request._id });
+
+    res.status(201).json(await formatRequest(request));
+  } catch (err) {
+    // Files of a request that was not saved are orphans
+    await removeDocuments(documents);
+
+    if (err instanceof APIError) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'A verification request is already pending' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Verification status and request history of a professional
+const getVerification = async (req, res) => {
+  try {
+    const professional = await Professional.findById(req.params.id);
+    if (!professional) {
+      return res.status(404).json({ message: 'Professional not found' });
+    }
+
+    const reviewer = hasPermission(req.user, PERMISSIONS.PROFESSIONAL_VERIFY);
+    if (professional.userId.toString() !== String(req.user._id) && !reviewer) {
+      return res.status(403).json({ message: 'Not authorized to view this verification' });
+    }
+
+    const requests = await VerificationRequest.find({ professional: professional._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      isVerified: professional.isVerified,
+      verifiedAt: professional.verifiedAt,
+      requests: await Promise.all(requests.map(request => formatRequest(request, { reviewer })))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Review queue, oldest pending requests first
+const getQueue = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = config.pagination.defaultLimit } = req.query;
+    const pageNumber = parseInt(page, 10);
+    const pageSize = Math.min(parseInt(limit, 10), config.pagination.maxLimit);
+    const query = { status };
+
+    const [requests, total] = await Promise.all([
+      VerificationRequest.find(query)
+        .select('-documents.key -notes')
+        .populate({
+          path: 'professional',
+          select: 'userId categories primaryCategory isVerified',
+          populate: [
+            { path: 'userId', select: 'firstName lastName email' },
+            { path: 'categories', select: 'name' }
+          ]
+        })
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      VerificationRequest.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / pageSize);
+
+    res.status(200).json({
+      results: requests,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages,
+        hasMore: pageNumber < totalPages
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Request details with document links, notes and earlier decisions
+const getRequest = async (req, res) => {
+  try {
+    const request = await findRequest(req, res);
+    if (!request) return;
+
+    await request.populate([
+      {
+        path: 'professional',
+        select: 'userId categories primaryCategory qualifications experienceYears isVerified verifiedAt',
+        populate: [
+          { path: 'userId', select: 'firstName lastName email phone' },
+          { path: 'categories', select: 'name' }
+        ]
+      },
+      { path: 'notes.author', select: 'firstName lastName' },
+      { path: 'reviewedBy', select: 'firstName lastName' }
+    ]);
+
+    const history = request.professional
+      ? await VerificationRequest.find({ professional: request.professional._id, _id: { $ne: request._id } })
+        .select('status decisionNote reviewedAt createdAt')
+        .sort({ createdAt: -1 })
+        .lean()
+      : [];
+
+    res.status(200).json({ ...(await formatRequest(request, { reviewer: true })), history });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Internal note on a request
+const addNote = async (req, res) => {
+  try {
+    const request = await findRequest(req, res);
+    if (!request) return;
+
+    request.notes.push({ author: req.user._id, text: req.body.text });
+    await request.save();
+    await request.populate('notes.author', 'firstName lastName');
+
+    res.status(201).json(request.notes);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Approve or reject a pending request
+const decide = (status) => async (req, res) => {
+  try {
+    const request = await findRequest(req, res);
+    if (!request) return;
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({ message: `Verification request already ${request.status}` });
+    }
+
+    const professional = await Professional.findById(request.professional).populate('userId', 'firstName email');
+    if (!professional) {
+      return res.status(404).json({ message: 'Professional not found' });
+    }
+
+    // Only one reviewer can decide a request
+    const decided = await VerificationRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { status, reviewedBy: req.user._id, reviewedAt: new Date(), decisionNote: req.body.note },
+      { new: true }
+    );
+    if (!decided) {
+      return res.status(409).json({ message: 'Verification request was already reviewed' });
+    }
+
+    if (status === 'approved') {
+      professional.isVerified = true;
+      professional.verifiedAt = decided.reviewedAt;
+      await Professional.updateOne(
+        { _id: professional._id },
+        { isVerified: true, verifiedAt: professional.verifiedAt }
+      );
+    }
+
+    await AuditLog.record(`professional.verification_${status}`, {
+      actor: req.user._id,
+      targetType: 'Professional',
+      targetId: professional._id,
+      details: { requestId: decided._id, note: decided.decisionNote },
+      ip: req.ip
+    });
+
+    await sendVerificationEmail(professional.userId, decided);
+    logger.info('Verification request reviewed:', { requestId: decided._id, status, by: req.user._id });
+
+    res.status(200).json({
+      message: `Verification request ${status}`,
+      status: decided.status,
+      isVerified: professional.isVerified
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  submitVerification,
+  getVerification,
+  getQueue,
+  getRequest,
+  addNote,
+  approveRequest: decide('approved'),
+  rejectRequest: decide('rejected')
+};
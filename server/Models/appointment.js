@@ -1,15 +1,25 @@
 const mongoose = require('mongoose');
+const { CHANNELS } = require('../config/notifications');
 
 const appointmentSchema = new mongoose.Schema({
+  // Parties are cleared when they delete their account; the other party keeps the history
   professional: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Professional',
-    required: true
+    required: function() { return !this.professionalDeleted; }
+  },
+  professionalDeleted: {
+    type: Boolean,
+    default: false
   },
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.clientDeleted; }
+  },
+  clientDeleted: {
+    type: Boolean,
+    default: false
   },
   service: {
     type: mongoose.Schema.Types.ObjectId,
@@ -36,6 +46,11 @@ const appointmentSchema = new mongoose.Schema({
   googleEventId: {
     type: String
   },
+  // User whose Google Calendar holds the event
+  googleCalendarUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   price: {
     type: Number,
     required: true
@@ -48,7 +63,7 @@ const appointmentSchema = new mongoose.Schema({
   notifications: [{
     type: {
       type: String,
-      enum: ['email', 'sms'],
+      enum: Object.values(CHANNELS),
       required: true
     },
     status: {
@@ -66,18 +81,73 @@ const appointmentSchema = new mongoose.Schema({
   reminders: [{
     type: {
       type: String,
-      enum: ['email', 'sms'],
+      enum: Object.values(CHANNELS),
       required: true
     },
     minutesBefore: {
       type: Number,
       required: true
     },
+    // 'sending' while a scheduler instance holds it; 'skipped' when it was
+    // due before the booking or the client turned the channel off
     status: {
       type: String,
-      enum: ['pending', 'sent', 'failed'],
+      enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
       default: 'pending'
-    }
+    },
+    // When the next attempt is due; pushed back after a failed attempt
+    dueAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Claim of the scheduler instance sending it, and when that claim lapses
+    claim: String,
+    lockedUntil: Date,
+    sentAt: Date,
+    error: String
+  }],
+  // Time changes, applied or waiting for the other party's approval
+  reschedules: [{
+    previousStartTime: {
+      type: Date,
+      required: true
+    },
+    previousEndTime: {
+      type: Date,
+      required: true
+    },
+    startTime: {
+      type: Date,
+      required: true
+    },
+    endTime: {
+      type: Date,
+      required: true
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    byProfessional: {
+      type: Boolean,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'applied', 'declined'],
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    decidedAt: Date
   }]
 }, {
   timestamps: true
@@ -90,12 +160,18 @@ appointmentSchema.virtual('duration').get(function() {
 
 // Middleware to set endTime based on service duration
 appointmentSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    this.scheduleReminders();
+  }
   if (this.isModified('startTime') || this.isModified('service')) {
     const Service = mongoose.model('Service');
     const service = await Service.findById(this.service);
     if (service) {
       this.endTime = new Date(this.startTime.getTime() + service.duration * 60000);
-      this.price = service.price;
+      // A moved appointment keeps the price it was booked at
+      if (this.isNew || this.isModified('service')) {
+        this.price = service.price;
+      }
     }
   }
   next();
@@ -105,29 +181,59 @@ appointmentSchema.pre('save', async function(next) {
 appointmentSchema.index({ professional: 1, startTime: 1 });
 appointmentSchema.index({ client: 1, startTime: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ 'reminders.status': 1, 'reminders.dueAt': 1 });
 
 // Methods
+const DAY = 24 * 60 * 60 * 1000;
+
 appointmentSchema.methods.canCancel = function() {
   // Allow cancellation up to 24 hours before appointment
   return this.status === 'pending' && 
-         moment(this.startTime).diff(moment(), 'hours') >= 24;
+         this.startTime.getTime() - Date.now() >= DAY;
 };
 
 appointmentSchema.methods.canReschedule = function() {
   // Allow rescheduling up to 24 hours before appointment
   return ['pending', 'confirmed'].includes(this.status) && 
-         moment(this.startTime).diff(moment(), 'hours') >= 24;
+         this.startTime.getTime() - Date.now() >= DAY;
+};
+
+// Reschedule request waiting for approval, if any
+appointmentSchema.virtual('pendingReschedule').get(function() {
+  return (this.reschedules || []).find(reschedule => reschedule.status === 'pending') || null;
+});
+
+// Move the appointment; reminders are sent again for the new time
+appointmentSchema.methods.moveTo = function(startTime, endTime) {
+  this.startTime = startTime;
+  this.endTime = endTime;
+  this.scheduleReminders();
+};
+
+// Set when each reminder is due; ones already past are skipped
+appointmentSchema.methods.scheduleReminders = function(now = new Date()) {
+  this.reminders.forEach(reminder => {
+    reminder.dueAt = new Date(this.startTime.getTime() - reminder.minutesBefore * 60000);
+    reminder.status = reminder.dueAt > now ? 'pending' : 'skipped';
+    reminder.attempts = 0;
+    reminder.claim = undefined;
+    reminder.lockedUntil = undefined;
+    reminder.sentAt = undefined;
+    reminder.error = undefined;
+  });
 };
 
 // Statics
-appointmentSchema.statics.findOverlapping = async function(professionalId, startTime, endTime) {
+// Appointments closer than bufferMinutes to the range count as overlapping
+appointmentSchema.statics.findOverlapping = function(professionalId, startTime, endTime, bufferMinutes = 0) {
+  const buffer = bufferMinutes * 60000;
   return this.find({
     professional: professionalId,
     status: { $nin: ['cancelled'] },
     $or: [
       {
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime }
+        startTime: { $lt: new Date(new Date(endTime).getTime() + buffer) },
+        endTime: { $gt: new Date(new Date(startTime).getTime() - buffer) }
       }
     ]
   });
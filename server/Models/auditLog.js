@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Record of security and privacy relevant actions
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  // User who performed the action (empty for scheduled jobs)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Static methods
+auditLogSchema.statics.record = function(action, { actor, targetType, targetId, details, ip } = {}) {
+  return this.create({ action, actor, targetType, targetId, details, ip });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -67,11 +67,11 @@ categorySchema.virtual('path').get(function() {
   return this.parentCategory ? `${this.parentCategory.path}/${this.slug}` : this.slug;
 });
 
-// Virtual for professional count
+// Virtual for professional count (any professional listing the category)
 categorySchema.virtual('professionalCount', {
   ref: 'Professional',
   localField: '_id',
-  foreignField: 'categoryId',
+  foreignField: 'categories',
   count: true
 });
 
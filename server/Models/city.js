@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+const DISTRICTS = [
+  'צפון',
+  'חיפה',
+  'מרכז',
+  'תל אביב',
+  'ירושלים',
+  'דרום',
+  'יהודה ושומרון'
+];
+
 const citySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -11,15 +21,7 @@ const citySchema = new mongoose.Schema({
     type: String,
     required: true,
     trim: true,
-    enum: [
-      'צפון',
-      'חיפה',
-      'מרכז',
-      'תל אביב',
-      'ירושלים',
-      'דרום',
-      'יהודה ושומרון'
-    ]
+    enum: DISTRICTS
   },
   location: {
     type: {
@@ -77,6 +79,8 @@ citySchema.methods.toJSON = function() {
   return obj;
 };
 
+citySchema.statics.DISTRICTS = DISTRICTS;
+
 citySchema.statics.findByDistrict = function(district) {
   return this.find({ district }).sort('name');
 };
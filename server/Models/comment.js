@@ -27,10 +27,15 @@ const commentSchema = new mongoose.Schema({
     ref: 'Professional',
     required: true
   },
+  // Cleared when the author deletes their account
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.authorDeleted; }
+  },
+  authorDeleted: {
+    type: Boolean,
+    default: false
   },
   content: {
     type: String,
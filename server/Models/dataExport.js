@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Personal data export job
+const dataExportSchema = new mongoose.Schema({
+  // Data subject
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Receives the download link (the user, or the DPO acting for them)
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Claim of the instance building the archive, and when it was taken;
+  // it lapses after config.privacy.exportLeaseDuration
+  claimedBy: String,
+  claimedAt: Date,
+  // Storage key of the archive
+  fileKey: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  completedAt: Date,
+  expiresAt: Date,
+  downloadedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+dataExportSchema.index({ status: 1, claimedAt: 1 });
+
+// Virtuals
+dataExportSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Professional saved by a user, optionally grouped into named lists
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  lists: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+favoriteSchema.index({ user: 1, professional: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, lists: 1 });
+favoriteSchema.index({ professional: 1 });
+
+// Static methods
+favoriteSchema.statics.favoritedIds = async function(userId, professionalIds) {
+  if (!userId || !professionalIds.length) {
+    return new Set();
+  }
+
+  const favorites = await this.find({
+    user: userId,
+    professional: { $in: professionalIds }
+  }).select('professional').lean();
+
+  return new Set(favorites.map(favorite => String(favorite.professional)));
+};
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+module.exports = Favorite;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Login attempt counter per IP address
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  firstFailedAt: {
+    type: Date,
+    required: true
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtuals
+loginAttemptSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Static methods
+// Counts an attempt before its credentials are checked; a successful one is
+// released again. Locked addresses are left untouched.
+loginAttemptSchema.statics.registerAttempt = async function(ip, { window }) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - window);
+  const unlocked = { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+  const count = () => this.findOneAndUpdate(
+    { ip, firstFailedAt: { $gt: windowStart }, ...unlocked },
+    {
+      $inc: { failedAttempts: 1 },
+      $set: { lastFailedAt: now }
+    },
+    { new: true }
+  );
+
+  // Count inside the current window
+  let attempt = await count();
+
+  // Or open a new window, replacing one that has ended
+  if (!attempt) {
+    try {
+      attempt = await this.findOneAndUpdate(
+        { ip, firstFailedAt: { $lte: windowStart }, ...unlocked },
+        {
+          $set: {
+            failedAttempts: 1,
+            firstFailedAt: now,
+            lastFailedAt: now,
+            lockedUntil: null,
+            expiresAt: new Date(now.getTime() + window)
+          }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // The address is locked, or another request opened the window
+      attempt = await count() || await this.findOne({ ip });
+    }
+  }
+
+  return attempt;
+};
+
+// Lock an address; resolves to null when it is locked already
+loginAttemptSchema.statics.lock = function(id, lockoutDuration) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + lockoutDuration);
+  return this.findOneAndUpdate(
+    { _id: id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil, expiresAt: lockedUntil } },
+    { new: true }
+  );
+};
+
+// Release an attempt that turned out to be successful
+loginAttemptSchema.statics.releaseAttempt = function(ip) {
+  return this.updateOne(
+    { ip, failedAttempts: { $gt: 0 } },
+    { $inc: { failedAttempts: -1 } }
+  );
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const {
+  CHANNELS,
+  NOTIFICATION_EVENTS,
+  DEFAULT_EVENT_CHANNELS,
+  DEFAULT_REMINDERS,
+  QUIET_HOURS_CHANNELS
+} = require('../config/notifications');
+const { TIME_PATTERN, isTimeZone, toMinutes, localDateTime } = require('../utils/time');
+
+// Unset channels fall back to the event defaults
+const channelsSchema = new mongoose.Schema(
+  Object.fromEntries(Object.values(CHANNELS).map(channel => [channel, Boolean])),
+  { _id: false }
+);
+
+// Notification channels, quiet hours and reminders chosen by a user
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  events: Object.fromEntries(Object.values(NOTIFICATION_EVENTS).map(event => [event, {
+    type: channelsSchema,
+    default: () => ({})
+  }])),
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, match: TIME_PATTERN, default: '22:00' },
+    end: { type: String, match: TIME_PATTERN, default: '07:00' },
+    timezone: {
+      type: String,
+      default: 'Asia/Jerusalem',
+      validate: {
+        validator: isTimeZone,
+        message: 'Unknown timezone'
+      }
+    }
+  },
+  reminders: {
+    type: [{
+      _id: false,
+      channel: {
+        type: String,
+        enum: Object.values(CHANNELS),
+        required: true
+      },
+      minutesBefore: {
+        type: Number,
+        required: true,
+        min: 5,
+        max: 10080 // 1 week
+      }
+    }],
+    default: () => DEFAULT_REMINDERS.map(reminder => ({ ...reminder }))
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+notificationPreferenceSchema.statics.forUser = async function(userId) {
+  return (await this.findOne({ user: userId })) || new this({ user: userId });
+};
+
+// Instance methods
+notificationPreferenceSchema.methods.channelsFor = function(event) {
+  const chosen = this.events?.[event] || {};
+  const defaults = DEFAULT_EVENT_CHANNELS[event] || [];
+
+  return Object.values(CHANNELS).filter(channel => {
+    const value = chosen[channel];
+    return typeof value === 'boolean' ? value : defaults.includes(channel);
+  });
+};
+
+notificationPreferenceSchema.methods.isQuietTime = function(date = new Date()) {
+  const { enabled, start, end, timezone } = this.quietHours || {};
+  if (!enabled || start === end) {
+    return false;
+  }
+
+  const now = localDateTime(date, timezone).minutes;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // Quiet hours usually wrap around midnight (22:00 - 07:00)
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+notificationPreferenceSchema.methods.allowsChannel = function(event, channel, date = new Date()) {
+  if (!this.channelsFor(event).includes(channel)) {
+    return false;
+  }
+  return !(QUIET_HOURS_CHANNELS.includes(channel) && this.isQuietTime(date));
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const MAX_ALBUMS = 20;
+const MAX_ITEMS = 50;
+
+// Image or short video; before/after shots point at each other
+const portfolioItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['image', 'video'],
+    required: true
+  },
+  // Content hash of the image variants or of the video file
+  hash: {
+    type: String,
+    required: true
+  },
+  // Video container ('mp4' or 'webm')
+  format: String,
+  // Poster image hash of a video
+  poster: String,
+  size: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  pair: {
+    item: { type: mongoose.Schema.Types.ObjectId },
+    role: { type: String, enum: ['before', 'after'] }
+  }
+}, {
+  timestamps: true
+});
+
+// Album of a professional's work, shown on the profile
+const portfolioAlbumSchema = new mongoose.Schema({
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Albums are listed by position, items in array order
+  position: {
+    type: Number,
+    default: 0
+  },
+  coverItem: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  items: {
+    type: [portfolioItemSchema],
+    validate: {
+      validator: (items) => items.length <= MAX_ITEMS,
+      message: `An album holds at most ${MAX_ITEMS} items`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+portfolioAlbumSchema.index({ professional: 1, position: 1 });
+portfolioAlbumSchema.index({ 'items.hash': 1 });
+portfolioAlbumSchema.index({ 'items.poster': 1 }, { sparse: true });
+
+portfolioAlbumSchema.statics.MAX_ALBUMS = MAX_ALBUMS;
+portfolioAlbumSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+// Cover chosen by the professional, or the first image
+portfolioAlbumSchema.methods.cover = function() {
+  return this.items.find(item => item._id.equals(this.coverItem)) ||
+    this.items.find(item => item.type === 'image') ||
+    this.items[0] ||
+    null;
+};
+
+const PortfolioAlbum = mongoose.model('PortfolioAlbum', portfolioAlbumSchema);
+
+module.exports = PortfolioAlbum;
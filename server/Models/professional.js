@@ -1,4 +1,53 @@
 const mongoose = require('mongoose');
+const City = require('./city');
+
+const MAX_CATEGORIES = 5;
+
+// Licence or certificate; the attached document is private (see utils/documents)
+const certificationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  issuer: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  number: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  issuedAt: Date,
+  expiresAt: Date,
+  // Required for the trade; the verified badge is dropped when it lapses
+  mandatory: {
+    type: Boolean,
+    default: false
+  },
+  document: {
+    key: String,
+    filename: String,
+    contentType: String,
+    size: Number,
+    uploadedAt: Date
+  },
+  // Expiry reminders already sent (days before expiry)
+  remindersSent: [Number],
+  lapsedAt: Date
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.hasDocument = Boolean(ret.document?.key);
+      delete ret.document;
+      delete ret.remindersSent;
+      return ret;
+    }
+  }
+});
 
 const professionalSchema = new mongoose.Schema({
   userId: {
@@ -6,17 +55,32 @@ const professionalSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  category: {
+  // Categories (and child categories) the professional works in
+  categories: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    validate: {
+      validator: (categories) => categories.length > 0 && categories.length <= MAX_CATEGORIES,
+      message: `A professional has 1 to ${MAX_CATEGORIES} categories`
+    }
+  },
+  // Main category, shown first; always one of `categories`
+  primaryCategory: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
     required: true
   },
+  // Subcategory names from the lists of the chosen categories
+  subcategories: [{
+    type: String,
+    trim: true
+  }],
   qualifications: {
     type: String
   },
-  certifications: [{
-    type: String
-  }],
+  certifications: [certificationSchema],
   experienceYears: {
     type: Number,
     required: true
@@ -32,29 +96,93 @@ const professionalSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  availability: [{
-    day: {
-      type: String,
-      enum: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
-    },
-    slots: [{
-      startTime: String,
-      endTime: String,
-      isBooked: {
-        type: Boolean,
-        default: false
-      }
-    }]
-  }],
   services: [{
     name: String,
     description: String,
     price: Number
-  }]
+  }],
+  // Where the professional works: around a base location, and/or in listed
+  // cities and whole districts. The base is also set for city-only areas so
+  // search results can show a distance.
+  serviceArea: {
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      // [longitude, latitude]
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    radiusKm: {
+      type: Number,
+      min: 1
+    },
+    cities: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'City'
+    }],
+    districts: [{
+      type: String,
+      enum: City.DISTRICTS
+    }]
+  },
+  // Hidden from search when false
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set when an admin approves a verification request
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: {
+    type: Date
+  },
+  // Mirrors the owner's suspension so listings can be hidden
+  suspension: {
+    active: { type: Boolean, default: false },
+    expiresAt: { type: Date }
+  }
 }, {
   timestamps: true
 });
 
+// Indexes
+professionalSchema.index({ categories: 1 });
+professionalSchema.index({ primaryCategory: 1 });
+professionalSchema.index({ isVerified: 1, isActive: 1 });
+professionalSchema.index({ 'serviceArea.location': '2dsphere' });
+professionalSchema.index({ 'serviceArea.cities': 1 });
+professionalSchema.index({ 'serviceArea.districts': 1 });
+professionalSchema.index({ 'certifications.expiresAt': 1 });
+
+professionalSchema.statics.MAX_CATEGORIES = MAX_CATEGORIES;
+
+// The primary category is always listed in `categories`
+professionalSchema.pre('validate', function(next) {
+  if (!this.primaryCategory && this.categories.length) {
+    this.primaryCategory = this.categories[0];
+  }
+  if (this.primaryCategory && !this.categories.some(category => category.equals(this.primaryCategory))) {
+    this.categories.unshift(this.primaryCategory);
+  }
+  next();
+});
+
+// Query condition excluding profiles of suspended users
+professionalSchema.statics.notSuspendedQuery = function() {
+  return {
+    $or: [
+      { 'suspension.active': { $ne: true } },
+      { 'suspension.expiresAt': { $lte: new Date() } }
+    ]
+  };
+};
+
 // Virtual populate for reviews
 professionalSchema.virtual('reviews', {
   ref: 'Review',
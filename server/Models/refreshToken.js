@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family (the session id)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'revoked', 'reuse', 'password_change']
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtuals
+refreshTokenSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !this.isExpired;
+});
+
+// Static methods
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -1,10 +1,15 @@
 const mongoose = require('mongoose');
 
 const reviewSchema = new mongoose.Schema({
+  // Cleared when the author deletes their account
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.authorDeleted; }
+  },
+  authorDeleted: {
+    type: Boolean,
+    default: false
   },
   professionalId: {
     type: mongoose.Schema.Types.ObjectId,
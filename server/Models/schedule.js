@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isTimeZone,
+  toMinutes,
+  localDateTime
+} = require('../utils/time');
+
+const time = (required) => ({ type: String, required, match: TIME_PATTERN });
+const date = { type: String, required: true, match: DATE_PATTERN };
+
+// Break inside working hours ('HH:mm', end after start)
+const breakSchema = new mongoose.Schema({
+  start: time(true),
+  end: time(true)
+}, { _id: false });
+
+// Recurring working hours of a weekday (0 = Sunday)
+const weeklyHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  start: time(true),
+  end: time(true),
+  breaks: [breakSchema]
+}, { _id: false });
+
+// A date that is closed, or open at other hours than usual
+const overrideSchema = new mongoose.Schema({
+  date,
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  start: time(false),
+  end: time(false),
+  breaks: [breakSchema],
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, { _id: false });
+
+// Days off, both dates included
+const vacationSchema = new mongoose.Schema({
+  start: date,
+  end: date,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+});
+
+const holidaySchema = new mongoose.Schema({
+  date,
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, { _id: false });
+
+// Working hours of a professional, in their timezone
+const scheduleSchema = new mongoose.Schema({
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true,
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Jerusalem',
+    validate: {
+      validator: isTimeZone,
+      message: 'Unknown timezone'
+    }
+  },
+  weeklyHours: [weeklyHoursSchema],
+  overrides: [overrideSchema],
+  vacations: [vacationSchema],
+  holidays: [holidaySchema],
+  // Free time kept before and after every appointment
+  bufferMinutes: {
+    type: Number,
+    min: 0,
+    max: 240,
+    default: 0
+  },
+  // How long ahead of its start an appointment must be booked
+  minNoticeMinutes: {
+    type: Number,
+    min: 0,
+    max: 30 * 24 * 60,
+    default: 60
+  },
+  // Whether a new appointment time needs the other party's approval
+  rescheduleApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Bumped inside every booking transaction, so concurrent bookings of the
+  // same professional conflict and one of them is retried
+  bookingVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Error for hours whose breaks are out of range or overlap, if any
+const hoursError = (hours) => {
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+  if (start >= end) {
+    return 'Working hours must end after they start';
+  }
+
+  const breaks = hours.breaks
+    .map(range => ({ start: toMinutes(range.start), end: toMinutes(range.end) }))
+    .sort((a, b) => a.start - b.start);
+  if (breaks.some(range => range.start >= range.end || range.start < start || range.end > end)) {
+    return 'Breaks must be within the working hours';
+  }
+  if (breaks.some((range, index) => index > 0 && overlaps(breaks[index - 1], range))) {
+    return 'Breaks must not overlap';
+  }
+  return null;
+};
+
+const duplicates = (values) => values.filter((value, index) => values.indexOf(value) !== index);
+
+scheduleSchema.pre('validate', function(next) {
+  this.weeklyHours.forEach((hours, index) => {
+    const error = hoursError(hours);
+    if (error) {
+      this.invalidate(`weeklyHours.${index}`, error);
+    }
+  });
+  if (duplicates(this.weeklyHours.map(hours => hours.day)).length) {
+    this.invalidate('weeklyHours', 'Each weekday can be listed once');
+  }
+
+  this.overrides.forEach((override, index) => {
+    if (override.closed) {
+      return;
+    }
+    const error = override.start && override.end
+      ? hoursError(override)
+      : 'An open date needs start and end times';
+    if (error) {
+      this.invalidate(`overrides.${index}`, error);
+    }
+  });
+  if (duplicates(this.overrides.map(override => override.date)).length) {
+    this.invalidate('overrides', 'Each date can have one override');
+  }
+
+  // Dates in 'YYYY-MM-DD' compare as strings
+  const vacations = [...this.vacations].sort((a, b) => a.start.localeCompare(b.start));
+  vacations.forEach((vacation, index) => {
+    if (vacation.start > vacation.end) {
+      this.invalidate('vacations', 'A vacation must end on or after its start');
+    } else if (index > 0 && vacations[index - 1].end >= vacation.start) {
+      this.invalidate('vacations', 'Vacations must not overlap');
+    }
+  });
+
+  if (duplicates(this.holidays.map(holiday => holiday.date)).length) {
+    this.invalidate('holidays', 'Each holiday date can be listed once');
+  }
+  next();
+});
+
+/**
+ * Working hours on a local date ('YYYY-MM-DD') in minutes, or null when
+ * closed. Holidays and vacations close a date; an override replaces the
+ * weekly hours.
+ */
+scheduleSchema.methods.hoursOn = function(day) {
+  if (this.holidays.some(holiday => holiday.date === day) ||
+      this.vacations.some(vacation => vacation.start <= day && day <= vacation.end)) {
+    return null;
+  }
+
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  const hours = this.overrides.find(override => override.date === day) ||
+    this.weeklyHours.find(entry => entry.day === weekday);
+  if (!hours || hours.closed) {
+    return null;
+  }
+
+  return {
+    start: toMinutes(hours.start),
+    end: toMinutes(hours.end),
+    breaks: hours.breaks
+      .map(range => ({ start: toMinutes(range.start), end: toMinutes(range.end) }))
+      .sort((a, b) => a.start - b.start)
+  };
+};
+
+/**
+ * Open periods of a local date, working hours minus breaks, in minutes
+ */
+scheduleSchema.methods.openPeriods = function(day) {
+  const hours = this.hoursOn(day);
+  if (!hours) {
+    return [];
+  }
+
+  const periods = [];
+  let from = hours.start;
+  hours.breaks.forEach(range => {
+    if (range.start > from) {
+      periods.push({ start: from, end: range.start });
+    }
+    from = Math.max(from, range.end);
+  });
+  if (from < hours.end) {
+    periods.push({ start: from, end: hours.end });
+  }
+  return periods;
+};
+
+/**
+ * Whether an appointment from startTime to endTime fits in one open period
+ * (working hours never run past midnight)
+ */
+scheduleSchema.methods.isWorkingTime = function(startTime, endTime) {
+  const start = localDateTime(startTime, this.timezone);
+  const end = localDateTime(endTime, this.timezone);
+  if (endTime <= startTime || end.date !== start.date) {
+    return false;
+  }
+
+  return this.openPeriods(start.date)
+    .some(period => period.start <= start.minutes && end.minutes <= period.end);
+};
+
+/**
+ * Earliest start time that can still be booked
+ */
+scheduleSchema.methods.earliestStart = function(now = new Date()) {
+  return new Date(now.getTime() + this.minNoticeMinutes * 60000);
+};
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/roles');
+
+const securityPolicySchema = new mongoose.Schema({
+  // Single platform-wide policy document
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Roles that must enroll in two-factor authentication
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: Object.values(ROLES)
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+securityPolicySchema.statics.getPolicy = function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+securityPolicySchema.statics.requiresTwoFactor = async function(user) {
+  const policy = await this.getPolicy();
+  return policy.twoFactorRequiredRoles.includes(user.role);
+};
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+module.exports = SecurityPolicy;
@@ -68,6 +68,8 @@ const serviceSchema = new mongoose.Schema({
   }],
   images: [{
     url: String,
+    // Content hash of uploaded variants (see utils/images)
+    hash: String,
     caption: String
   }],
   requirements: {
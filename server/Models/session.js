@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One session per login; its refresh tokens share the session id as family
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: String,
+  device: {
+    browser: String,
+    os: String,
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+      default: 'unknown'
+    }
+  },
+  createdByIp: String,
+  // Admin acting as this user (support impersonation)
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', 'password_change']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtuals
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
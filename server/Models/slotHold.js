@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A slot reserved by a client for a few minutes before booking it
+const slotHoldSchema = new mongoose.Schema({
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+slotHoldSchema.index({ professional: 1, startTime: 1 });
+slotHoldSchema.index({ client: 1 });
+// MongoDB removes expired holds within about a minute; queries check expiresAt too
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtuals
+slotHoldSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Statics
+// Unexpired holds closer than bufferMinutes to the range
+slotHoldSchema.statics.findOverlapping = function(professionalId, startTime, endTime, bufferMinutes = 0) {
+  const buffer = bufferMinutes * 60000;
+  return this.find({
+    professional: professionalId,
+    expiresAt: { $gt: new Date() },
+    startTime: { $lt: new Date(new Date(endTime).getTime() + buffer) },
+    endTime: { $gt: new Date(new Date(startTime).getTime() - buffer) }
+  });
+};
+
+const SlotHold = mongoose.model('SlotHold', slotHoldSchema);
+
+module.exports = SlotHold;
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { verifyCode } = require('../utils/totp');
+const { ROLES } = require('../config/roles');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Whether the user signed up through a social login provider
+const hasOAuthAccount = (user) => Boolean(user.oauth?.google?.id || user.oauth?.facebook?.id);
 
 const userSchema = new mongoose.Schema({
   firstName:
@@ -9,31 +22,45 @@ const userSchema = new mongoose.Schema({
   lastName:
   {
     type: String,
-    required: true
+    required: function() {
+      return !hasOAuthAccount(this);
+    }
   },
   email:
   {
     type: String, required:
       true, unique: true
   },
+  // Used for SMS notifications
+  phone: {
+    type: String,
+    trim: true,
+    match: /^\+?[0-9\s-]{7,20}$/
+  },
   password:
   {
     type: String,
-    required: true
+    // Accounts created through social login have no password
+    required: function() {
+      return !hasOAuthAccount(this);
+    }
   },
-  status: {
+  role: {
     type: String,
     required: true,
-    enum: ['מקצוען', 'לקוח רגיל', 'מנהל'],
-    default: 'לקוח רגיל'
+    enum: Object.values(ROLES),
+    default: ROLES.CLIENT
   },
 
   cityId:
   {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'City',
-    required: true
+    required: function() {
+      return !hasOAuthAccount(this);
+    }
   },
+  // Content hash of the processed picture variants (see utils/images)
   profilePicture: {
     type: String
   },
@@ -41,9 +68,135 @@ const userSchema = new mongoose.Schema({
     qualifications: { type: String },
     certifications: { type: [String] },
     experienceYears: { type: Number }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  verificationEmailSentAt: {
+    type: Date
+  },
+  oauth: {
+    google: {
+      id: { type: String },
+      accessToken: { type: String, select: false },
+      refreshToken: { type: String, select: false },
+      expiresAt: { type: Date, select: false },
+      scope: { type: String }
+    },
+    facebook: {
+      id: { type: String },
+      accessToken: { type: String, select: false },
+      expiresAt: { type: Date, select: false }
+    }
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted time step, prevents replaying a code
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: { type: Date }
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Suspension or ban by an admin (no expiry = until reinstated)
+  suspension: {
+    kind: { type: String, enum: ['suspended', 'banned'] },
+    reason: { type: String },
+    expiresAt: { type: Date },
+    suspendedAt: { type: Date },
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Scheduled account deletion (grace period)
+  deletion: {
+    requestedAt: { type: Date },
+    scheduledFor: { type: Date },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Set while a server instance is deleting the account
+    claimedAt: { type: Date }
+  },
+  // Failed login tracking
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: { type: Date },
+    lockedUntil: { type: Date },
+    lockouts: { type: Number, default: 0 }
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 
 });
 
+// Methods
+
+// Replace recovery codes, returning the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Check a TOTP or recovery code (requires the select:false twoFactor fields).
+// Used codes are consumed, the caller must save the document.
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode }) {
+  if (!this.twoFactor?.enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step === null || (this.twoFactor.lastUsedStep != null && step <= this.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const codes = this.twoFactor.recoveryCodes || [];
+    if (!codes.includes(hash)) {
+      return false;
+    }
+    this.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+    return true;
+  }
+
+  return false;
+};
+
+// Works on documents and lean objects
+userSchema.statics.isSuspended = function(user) {
+  const suspension = user?.suspension;
+  return Boolean(suspension?.kind && (!suspension.expiresAt || new Date(suspension.expiresAt) > new Date()));
+};
+
+userSchema.index({ role: 1 });
+userSchema.index({ 'suspension.kind': 1 }, { sparse: true });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ 'oauth.google.id': 1 }, { sparse: true });
+userSchema.index({ 'oauth.facebook.id': 1 }, { sparse: true });
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+const DOCUMENT_KINDS = ['license', 'certificate'];
+
+// Private file in storage, shared with signed URLs only
+const documentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: DOCUMENT_KINDS,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  filename: String,
+  contentType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Documents submitted by a professional for review
+const verificationRequestSchema = new mongoose.Schema({
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: VERIFICATION_STATUSES,
+    default: 'pending'
+  },
+  documents: {
+    type: [documentSchema],
+    validate: {
+      validator: (documents) => documents.length > 0,
+      message: 'At least one document is required'
+    }
+  },
+  // Message from the professional to the reviewers
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Internal review notes, never shown to the professional
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: 2000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // Explanation sent to the professional with the decision
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+verificationRequestSchema.index({ professional: 1, createdAt: -1 });
+// One open request per professional
+verificationRequestSchema.index(
+  { professional: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+verificationRequestSchema.statics.STATUSES = VERIFICATION_STATUSES;
+verificationRequestSchema.statics.DOCUMENT_KINDS = DOCUMENT_KINDS;
+
+const VerificationRequest = mongoose.model('VerificationRequest', verificationRequestSchema);
+
+module.exports = VerificationRequest;
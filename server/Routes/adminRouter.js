@@ -0,0 +1,211 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const adminController = require('../Controllers/adminController');
+const verificationController = require('../Controllers/verificationController');
+const certificationController = require('../Controllers/certificationController');
+const VerificationRequest = require('../Models/verificationRequest');
+const { auth, authorize, denyImpersonation } = require('../middleware/authMiddleware');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { PERMISSIONS, ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+router.use(auth);
+
+// End an impersonation session (called with the impersonation token)
+router.post('/impersonation/end', adminController.endImpersonation);
+
+// Staff actions are never available while impersonating
+router.use(denyImpersonation);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users with filters
+ * @access  user:read
+ */
+router.get('/users',
+  authorize(PERMISSIONS.USER_READ),
+  [
+    query('role')
+      .optional()
+      .isIn(Object.values(ROLES))
+      .withMessage('תפקיד לא תקין'),
+    query('city')
+      .optional()
+      .isMongoId()
+      .withMessage('עיר לא תקינה'),
+    query('status')
+      .optional()
+      .isIn(['active', 'suspended', 'banned', 'pending_deletion'])
+      .withMessage('סטטוס לא תקין'),
+    query('emailVerified')
+      .optional()
+      .isBoolean()
+      .withMessage('ערך לא תקין'),
+    query(['createdFrom', 'createdTo'])
+      .optional()
+      .isISO8601()
+      .withMessage('תאריך לא תקין'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('מספר עמוד חייב להיות מספר חיובי'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('מגבלת תוצאות חייבת להיות בין 1 ל-100')
+  ],
+  validationMiddleware,
+  adminController.searchUsers
+);
+
+router.get('/users/:id', authorize(PERMISSIONS.USER_READ), adminController.getUser);
+
+/**
+ * @route   POST /api/admin/users/:id/suspend
+ * @desc    Suspend or ban a user
+ * @access  user:manage
+ */
+router.post('/users/:id/suspend',
+  authorize(PERMISSIONS.USER_MANAGE),
+  [
+    body('kind')
+      .optional()
+      .isIn(['suspended', 'banned'])
+      .withMessage('סוג השעיה לא תקין'),
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('נדרשת סיבה'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('תאריך לא תקין')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('תאריך התפוגה חייב להיות בעתיד')
+  ],
+  validationMiddleware,
+  adminController.suspendUser
+);
+
+router.post('/users/:id/reinstate', authorize(PERMISSIONS.USER_MANAGE), adminController.reinstateUser);
+router.post('/users/:id/logout', authorize(PERMISSIONS.USER_MANAGE), adminController.forceLogout);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Start an audited support session as the user
+ * @access  user:impersonate
+ */
+router.post('/users/:id/impersonate',
+  authorize(PERMISSIONS.USER_IMPERSONATE),
+  [
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('נדרשת סיבה')
+  ],
+  validationMiddleware,
+  adminController.impersonateUser
+);
+
+/**
+ * @route   GET /api/admin/verifications
+ * @desc    Verification review queue (pending requests, oldest first)
+ * @access  professional:verify
+ */
+const canVerify = authorize(PERMISSIONS.PROFESSIONAL_VERIFY);
+
+router.get('/verifications',
+  canVerify,
+  [
+    query('status')
+      .optional()
+      .isIn(VerificationRequest.STATUSES)
+      .withMessage('סטטוס לא תקין'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('מספר עמוד חייב להיות מספר חיובי'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('מגבלת תוצאות חייבת להיות בין 1 ל-100')
+  ],
+  validationMiddleware,
+  verificationController.getQueue
+);
+
+router.get('/verifications/:id', canVerify, verificationController.getRequest);
+
+router.post('/verifications/:id/notes',
+  canVerify,
+  [
+    body('text')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('הערה חייבת להכיל 1 עד 2000 תווים')
+  ],
+  validationMiddleware,
+  verificationController.addNote
+);
+
+/**
+ * @route   POST /api/admin/verifications/:id/approve|reject
+ * @desc    Decide a pending request; the note is emailed to the professional
+ * @access  professional:verify
+ */
+router.post('/verifications/:id/approve',
+  canVerify,
+  [
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('ההערה יכולה להכיל עד 2000 תווים')
+  ],
+  validationMiddleware,
+  verificationController.approveRequest
+);
+
+router.post('/verifications/:id/reject',
+  canVerify,
+  [
+    body('note')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('נדרשת סיבת דחייה')
+  ],
+  validationMiddleware,
+  verificationController.rejectRequest
+);
+
+/**
+ * @route   GET /api/admin/certifications/expiring
+ * @desc    Certifications expiring within `days`, soonest first
+ * @access  professional:verify
+ */
+router.get('/certifications/expiring',
+  canVerify,
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('מספר הימים חייב להיות בין 1 ל-365'),
+    query(['mandatory', 'lapsed'])
+      .optional()
+      .isBoolean()
+      .withMessage('ערך לא תקין'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('מספר עמוד חייב להיות מספר חיובי'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('מגבלת תוצאות חייבת להיות בין 1 ל-100')
+  ],
+  validationMiddleware,
+  certificationController.getExpiringCertifications
+);
+
+module.exports = router;
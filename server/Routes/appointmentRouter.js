@@ -1,13 +1,56 @@
 const express = require('express');
 const router = express.Router();
+const { body, param } = require('express-validator');
 const appointmentController = require('../Controllers/appointmentController');
-const { auth } = require('../middleware/authMiddleware');
+const { auth, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Protected routes - require authentication
 router.use(auth);
 
-// Create new appointment
-router.post('/', appointmentController.create);
+// Create new appointment, from a hold or directly
+router.post('/',
+  authorize(PERMISSIONS.APPOINTMENT_BOOK),
+  requireVerifiedEmail,
+  [
+    body('holdId')
+      .optional()
+      .isMongoId()
+      .withMessage('שריון לא תקין'),
+    body(['professionalId', 'serviceId'])
+      .if(body('holdId').not().exists())
+      .isMongoId()
+      .withMessage('מזהה לא תקין'),
+    body('startTime')
+      .if(body('holdId').not().exists())
+      .isISO8601()
+      .withMessage('מועד לא תקין')
+  ],
+  validationMiddleware,
+  appointmentController.create
+);
+
+// Hold a slot for a few minutes before booking it
+router.post('/holds',
+  authorize(PERMISSIONS.APPOINTMENT_BOOK),
+  requireVerifiedEmail,
+  [
+    body(['professionalId', 'serviceId'])
+      .isMongoId()
+      .withMessage('מזהה לא תקין'),
+    body('startTime')
+      .isISO8601()
+      .withMessage('מועד לא תקין')
+  ],
+  validationMiddleware,
+  appointmentController.createHold
+);
+router.delete('/holds/:holdId',
+  param('holdId').isMongoId().withMessage('שריון לא תקין'),
+  validationMiddleware,
+  appointmentController.releaseHold
+);
 
 // Sync appointment with Google Calendar
 router.post('/:appointmentId/sync-google', appointmentController.syncWithGoogle);
@@ -15,6 +58,30 @@ router.post('/:appointmentId/sync-google', appointmentController.syncWithGoogle)
 // Update appointment status
 router.patch('/:appointmentId/status', appointmentController.updateStatus);
 
+// Move to a new time (either party); may wait for the other party's approval
+router.patch('/:appointmentId/reschedule',
+  [
+    body('startTime')
+      .isISO8601()
+      .withMessage('מועד לא תקין'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('הסיבה ארוכה מדי')
+  ],
+  validationMiddleware,
+  appointmentController.reschedule
+);
+router.patch('/:appointmentId/reschedule/response',
+  body('approve')
+    .isBoolean()
+    .withMessage('ערך לא תקין')
+    .toBoolean(),
+  validationMiddleware,
+  appointmentController.respondToReschedule
+);
+
 // Get upcoming appointments for the authenticated user
 router.get('/upcoming', appointmentController.getUpcoming);
 
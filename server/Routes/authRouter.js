@@ -1,6 +1,16 @@
 const express = require('express');
+const { body } = require('express-validator');
 const userController = require('../Controllers/userController');
-const { validateRecaptcha } = require('../middleware/authMiddleware');
+const twoFactorController = require('../Controllers/twoFactorController');
+const {
+  validateRecaptcha,
+  auth,
+  authorize,
+  denyImpersonation,
+  twoFactorEnrollmentAuth
+} = require('../middleware/authMiddleware');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 const router = express.Router();
 
@@ -8,6 +18,113 @@ const router = express.Router();
 router.post('/register', validateRecaptcha, userController.signUp);
 
 // User login route
-router.post('/login', userController.login);
+router.post('/login', validateRecaptcha, userController.login);
+
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa',
+  [
+    body('challengeToken')
+      .notEmpty()
+      .withMessage('נדרש טוקן התחברות')
+  ],
+  validationMiddleware,
+  userController.loginTwoFactor
+);
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', userController.refreshToken);
+
+// Revoke the current refresh token family
+router.post('/logout', userController.logout);
+
+// Social login
+router.get('/google', userController.oauthRedirect('google'));
+router.get('/google/callback', userController.oauthCallback('google'));
+router.get('/facebook', userController.oauthRedirect('facebook'));
+router.get('/facebook/callback', userController.oauthCallback('facebook'));
+
+// Verify email address from the emailed link
+router.post('/verify-email',
+  [
+    body('token')
+      .notEmpty()
+      .withMessage('נדרש טוקן אימות')
+  ],
+  validationMiddleware,
+  userController.verifyEmail
+);
+
+// Resend the verification email
+router.post('/verify-email/resend',
+  [
+    body('email')
+      .isEmail()
+      .withMessage('כתובת אימייל לא תקינה')
+  ],
+  validationMiddleware,
+  userController.resendVerificationEmail
+);
+
+// Request a password reset email
+router.post('/forgot-password',
+  [
+    body('email')
+      .isEmail()
+      .withMessage('כתובת אימייל לא תקינה')
+  ],
+  validationMiddleware,
+  userController.forgotPassword
+);
+
+// Set a new password using a reset token
+router.post('/reset-password',
+  [
+    body('token')
+      .notEmpty()
+      .withMessage('נדרש טוקן איפוס'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('סיסמה חייבת להכיל לפחות 6 תווים')
+  ],
+  validationMiddleware,
+  userController.resetPassword
+);
+
+// Change password of the logged in user
+router.post('/change-password',
+  auth,
+  denyImpersonation,
+  [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('נדרשת הסיסמה הנוכחית'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('סיסמה חייבת להכיל לפחות 6 תווים')
+  ],
+  validationMiddleware,
+  userController.changePassword
+);
+
+// Two-factor authentication
+router.get('/2fa', auth, twoFactorController.getStatus);
+router.post('/2fa/setup', twoFactorEnrollmentAuth, denyImpersonation, twoFactorController.setup);
+router.post('/2fa/enable',
+  twoFactorEnrollmentAuth,
+  denyImpersonation,
+  [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('קוד אימות לא תקין')
+  ],
+  validationMiddleware,
+  twoFactorController.enable
+);
+router.post('/2fa/disable', auth, denyImpersonation, twoFactorController.disable);
+router.post('/2fa/recovery-codes', auth, denyImpersonation, twoFactorController.regenerateRecoveryCodes);
+
+// Two-factor policy (admin)
+router.get('/2fa/policy', auth, authorize(PERMISSIONS.SECURITY_MANAGE), twoFactorController.getPolicy);
+router.put('/2fa/policy', auth, authorize(PERMISSIONS.SECURITY_MANAGE), twoFactorController.updatePolicy);
 
 module.exports = router;
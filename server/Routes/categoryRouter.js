@@ -1,15 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const categoryController = require('../Controllers/categoryController');
-const authMiddleware = require('../middleware/authMiddleware');
-
-// Middleware to check if user is admin
-const isAdmin = (req, res, next) => {
-  if (!req.user?.isAdmin) {
-    return res.status(403).json({ message: 'נדרשת הרשאת מנהל' });
-  }
-  next();
-};
+const { auth, authorize } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Public routes
 router.get('/', categoryController.getAllCategories);
@@ -18,7 +11,7 @@ router.get('/slug/:slug', categoryController.getCategoryBySlug);
 router.get('/:id', categoryController.getCategoryById);
 
 // Protected routes (admin only)
-router.use(authMiddleware.verifyToken, isAdmin);
+router.use(auth, authorize(PERMISSIONS.CATEGORY_WRITE));
 
 
 // Admin routes
@@ -1,15 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const cityController = require('../Controllers/cityController');
-const authMiddleware = require('../middleware/authMiddleware');
-
-// Middleware to check if user is admin
-const isAdmin = (req, res, next) => {
-  if (!req.user?.isAdmin) {
-    return res.status(403).json({ message: 'נדרשת הרשאת מנהל' });
-  }
-  next();
-};
+const { auth, authorize } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Public routes
 router.get('/', cityController.getAllCities);
@@ -20,7 +13,7 @@ router.get('/nearby', cityController.getNearbyCities);
 router.get('/:id', cityController.getCityById);
 
 // Protected routes (admin only)
-router.use(authMiddleware.verifyToken, isAdmin);
+router.use(auth, authorize(PERMISSIONS.CITY_WRITE));
 
 
 router.post('/', cityController.createCity);
@@ -1,16 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const commentController = require('../Controllers/commentController');
-const { 
-  verifyToken, 
-  isAuth, 
-  canModerate, 
-  isAdmin 
+const {
+  auth,
+  authorize,
+  rateLimiter,
+  requireVerifiedEmail
 } = require('../middleware/authMiddleware');
-const { apiLimiter } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Apply rate limiting to all comment routes
-router.use(apiLimiter);
+router.use(rateLimiter());
 
 /**
  * @route   POST /api/comments
@@ -23,8 +23,9 @@ router.use(apiLimiter);
  *  - parentId: ID of parent comment (for replies)
  */
 router.post('/',
-  verifyToken,
-  isAuth,
+  auth,
+  authorize(PERMISSIONS.COMMENT_WRITE),
+  requireVerifiedEmail,
   commentController.createComment
 );
 
@@ -52,8 +53,7 @@ router.get('/professional/:professionalId',
  *  - rating: updated rating (only for parent comments)
  */
 router.put('/:id',
-  verifyToken,
-  isAuth,
+  auth,
   commentController.updateComment
 );
 
@@ -65,8 +65,7 @@ router.put('/:id',
  *  - id: comment ID
  */
 router.delete('/:id',
-  verifyToken,
-  isAuth,
+  auth,
   commentController.deleteComment
 );
 
@@ -80,8 +79,7 @@ router.delete('/:id',
  *  - reason: reason for reporting
  */
 router.post('/:id/report',
-  verifyToken,
-  isAuth,
+  auth,
   commentController.reportComment
 );
 
@@ -94,8 +92,7 @@ router.post('/:id/report',
  *  - action: 'like' or 'dislike'
  */
 router.post('/:id/:action(like|dislike)',
-  verifyToken,
-  isAuth,
+  auth,
   commentController.toggleFeedback
 );
 
@@ -107,13 +104,12 @@ router.post('/:id/:action(like|dislike)',
  *  - id: comment ID
  */
 router.delete('/:id/feedback',
-  verifyToken,
-  isAuth,
+  auth,
   commentController.toggleFeedback
 );
 
 // Admin routes
-router.use(verifyToken, isAuth);
+router.use(auth);
 
 /**
  * @route   PUT /api/comments/:id/moderate
@@ -126,17 +122,17 @@ router.use(verifyToken, isAuth);
  *  - note: moderation note
  */
 router.put('/:id/moderate',
-  canModerate,
+  authorize(PERMISSIONS.COMMENT_MODERATE),
   commentController.moderateComment
 );
 
 /**
  * @route   GET /api/comments/stats
  * @desc    Get comment statistics
- * @access  Private (Admin)
+ * @access  Private (Admin/Moderator)
  */
 router.get('/stats',
-  isAdmin,
+  authorize(PERMISSIONS.COMMENT_MODERATE),
   commentController.getCommentStats
 );
 
@@ -0,0 +1,9 @@
+const express = require('express');
+const fileController = require('../Controllers/fileController');
+
+const router = express.Router();
+
+// Signed links to private files (the signature is the authorization)
+router.get('/*', fileController.downloadSignedFile);
+
+module.exports = router;
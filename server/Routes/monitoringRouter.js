@@ -5,7 +5,8 @@ const { getConnectedClients, getRoomsInfo } = require('../utils/socketManager');
 const { logger } = require('../utils/logger');
 const { config } = require('../config/config');
 const { asyncHandler } = require('../middleware/errorMiddleware');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const { auth, authorize } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 const router = express.Router();
 
@@ -40,7 +41,8 @@ router.get('/health', asyncHandler(async (req, res) => {
  * @access  Admin
  */
 router.get('/metrics', 
-  authMiddleware(['admin']),
+  auth,
+  authorize(PERMISSIONS.MONITORING_READ),
   asyncHandler(async (req, res) => {
     const [dbStats, cacheStats, socketInfo] = await Promise.all([
       getDatabaseStats(),
@@ -76,7 +78,8 @@ router.get('/metrics',
  * @access  Admin
  */
 router.get('/logs',
-  authMiddleware(['admin']),
+  auth,
+  authorize(PERMISSIONS.MONITORING_READ),
   asyncHandler(async (req, res) => {
     const { level = 'error', limit = 100, startDate, endDate } = req.query;
 
@@ -97,7 +100,8 @@ router.get('/logs',
  * @access  Admin
  */
 router.get('/performance',
-  authMiddleware(['admin']),
+  auth,
+  authorize(PERMISSIONS.MONITORING_READ),
   asyncHandler(async (req, res) => {
     const performance = {
       timestamp: new Date().toISOString(),
@@ -121,7 +125,8 @@ router.get('/performance',
  * @access  Admin
  */
 router.post('/gc',
-  authMiddleware(['admin']),
+  auth,
+  authorize(PERMISSIONS.MONITORING_MANAGE),
   asyncHandler(async (req, res) => {
     if (global.gc) {
       const beforeMemory = process.memoryUsage();
@@ -151,7 +156,8 @@ router.post('/gc',
  * @access  Admin
  */
 router.get('/config',
-  authMiddleware(['admin']),
+  auth,
+  authorize(PERMISSIONS.MONITORING_READ),
   (req, res) => {
     // Filter out sensitive information
     const safeConfig = {
@@ -170,7 +176,8 @@ router.get('/config',
  * @access  Admin
  */
 router.get('/connections',
-  authMiddleware(['admin']),
+  auth,
+  authorize(PERMISSIONS.MONITORING_READ),
   asyncHandler(async (req, res) => {
     const socketRooms = await getRoomsInfo();
     
@@ -196,7 +203,8 @@ router.get('/connections',
  * @access  Admin
  */
 router.post('/test-notification',
-  authMiddleware(['admin']),
+  auth,
+  authorize(PERMISSIONS.MONITORING_MANAGE),
   asyncHandler(async (req, res) => {
     const { type = 'email', recipient } = req.body;
 
@@ -1,26 +1,309 @@
 const express = require('express');
 const router = express.Router();
+const { body, query } = require('express-validator');
 const professionalController = require('../Controllers/professionalController');
-const { auth } = require('../middleware/authMiddleware'); // Ensure correct import
+const verificationController = require('../Controllers/verificationController');
+const certificationController = require('../Controllers/certificationController');
+const portfolioController = require('../Controllers/portfolioController');
+const scheduleController = require('../Controllers/scheduleController');
+const { auth, authorize, checkOwnership, optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { documentUpload, portfolioUpload } = require('../middleware/uploadMiddleware');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { cacheMiddleware } = require('../middleware/cacheMiddleware');
+const { config } = require('../config/config');
+const { PERMISSIONS } = require('../config/roles');
+const { TIME_PATTERN, DATE_PATTERN } = require('../utils/time');
+const { slotsKey } = require('../utils/slots');
 
 // Public routes
 router.get('/', professionalController.getAllProfessionals);
-router.get('/:id', professionalController.getProfessionalById);
+router.get('/portfolio/images/:hash/:size.:format', portfolioController.getPortfolioImage);
+router.get('/portfolio/videos/:hash.:format', portfolioController.getPortfolioVideo);
+router.get('/:id', optionalAuthMiddleware, professionalController.getProfessionalById);
+router.get('/:id/portfolio', portfolioController.getPortfolio);
+router.get('/:id/schedule', optionalAuthMiddleware, scheduleController.getSchedule);
+router.get('/:id/slots',
+  [
+    query('serviceId')
+      .isMongoId()
+      .withMessage('שירות לא תקין'),
+    query(['from', 'to'])
+      .optional()
+      .matches(DATE_PATTERN)
+      .withMessage('תאריך לא תקין (YYYY-MM-DD)')
+  ],
+  validationMiddleware,
+  // Cleared when the professional's appointments or schedule change
+  cacheMiddleware({
+    ttl: config.booking.slotsCacheTtl,
+    key: req => `${slotsKey(req.params.id)}|${JSON.stringify(req.query)}`
+  }),
+  scheduleController.getSlots
+);
 
 // Protected routes - require authentication
 router.use(auth); // Ensure middleware is correctly referenced
 
-// Professional profile management
+// Any signed-in user can open a professional profile
 router.post('/', professionalController.addProfessional);
-router.put('/:id', professionalController.updateProfessional);
-router.delete('/:id', professionalController.deleteProfessional);
 
-// Availability management
-router.put('/:id/availability', professionalController.updateAvailability);
+// Stats for the profile owner
+router.get('/:id/stats', professionalController.getProfessionalStats);
+
+// Professional profile management
+const canManage = authorize(PERMISSIONS.PROFESSIONAL_MANAGE);
+router.put('/:id', canManage, professionalController.updateProfessional);
+router.delete('/:id', canManage, professionalController.deleteProfessional);
+
+// Verification (licences and certificates reviewed by admins)
+router.get('/:id/verification', verificationController.getVerification);
+router.post('/:id/verification',
+  canManage,
+  checkOwnership('professional'),
+  documentUpload([{ name: 'license', maxCount: 3 }, { name: 'certificate', maxCount: 5 }]),
+  [
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('ההודעה יכולה להכיל עד 1000 תווים')
+  ],
+  validationMiddleware,
+  verificationController.submitVerification
+);
+
+// Certifications (owner, or reviewers to set `mandatory`)
+const certificationRules = (required) => [
+  (required ? body('name') : body('name').optional())
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('שם הרישיון חייב להכיל 1 עד 200 תווים'),
+  body(['issuer', 'number'])
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('הערך ארוך מדי'),
+  body(['issuedAt', 'expiresAt'])
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('תאריך לא תקין'),
+  body('expiresAt')
+    .optional({ checkFalsy: true })
+    .custom((value, { req }) => !req.body.issuedAt || new Date(value) > new Date(req.body.issuedAt))
+    .withMessage('תאריך התפוגה חייב להיות אחרי תאריך ההנפקה'),
+  body('mandatory')
+    .optional()
+    .isBoolean()
+    .withMessage('ערך לא תקין')
+    .toBoolean()
+];
+const certificationDocument = documentUpload('document');
+
+router.post('/:id/certifications',
+  canManage,
+  certificationDocument,
+  certificationRules(true),
+  validationMiddleware,
+  certificationController.addCertification
+);
+router.put('/:id/certifications/:certificationId',
+  canManage,
+  certificationDocument,
+  certificationRules(false),
+  validationMiddleware,
+  certificationController.updateCertification
+);
+router.delete('/:id/certifications/:certificationId', canManage, certificationController.deleteCertification);
+router.get('/:id/certifications/:certificationId/document', certificationController.getCertificationDocument);
+
+// Portfolio albums (profile owner only)
+const canManagePortfolio = [canManage, checkOwnership('professional')];
+const albumRules = (required) => [
+  (required ? body('title') : body('title').optional())
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('שם האלבום חייב להכיל 1 עד 100 תווים'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('התיאור יכול להכיל עד 1000 תווים')
+];
+const captionRule = body('caption')
+  .optional()
+  .trim()
+  .isLength({ max: 300 })
+  .withMessage('הכיתוב יכול להכיל עד 300 תווים');
+
+router.post('/:id/portfolio',
+  canManagePortfolio,
+  albumRules(true),
+  validationMiddleware,
+  portfolioController.createAlbum
+);
+router.put('/:id/portfolio/order',
+  canManagePortfolio,
+  [
+    body('albumIds')
+      .isArray()
+      .withMessage('יש לשלוח את רשימת האלבומים'),
+    body('albumIds.*')
+      .isMongoId()
+      .withMessage('מזהה אלבום לא תקין')
+  ],
+  validationMiddleware,
+  portfolioController.reorderAlbums
+);
+router.put('/:id/portfolio/:albumId',
+  canManagePortfolio,
+  [
+    ...albumRules(false),
+    body('coverItemId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('מזהה פריט לא תקין')
+  ],
+  validationMiddleware,
+  portfolioController.updateAlbum
+);
+router.delete('/:id/portfolio/:albumId', canManagePortfolio, portfolioController.deleteAlbum);
+
+router.post('/:id/portfolio/:albumId/items',
+  canManagePortfolio,
+  portfolioUpload(),
+  [captionRule],
+  validationMiddleware,
+  portfolioController.addItem
+);
+router.put('/:id/portfolio/:albumId/items/order',
+  canManagePortfolio,
+  [
+    body('itemIds')
+      .isArray()
+      .withMessage('יש לשלוח את רשימת הפריטים'),
+    body('itemIds.*')
+      .isMongoId()
+      .withMessage('מזהה פריט לא תקין')
+  ],
+  validationMiddleware,
+  portfolioController.reorderItems
+);
+router.put('/:id/portfolio/:albumId/items/:itemId',
+  canManagePortfolio,
+  [captionRule],
+  validationMiddleware,
+  portfolioController.updateItem
+);
+router.delete('/:id/portfolio/:albumId/items/:itemId', canManagePortfolio, portfolioController.deleteItem);
+
+// Before/after pairs
+router.put('/:id/portfolio/:albumId/pairs',
+  canManagePortfolio,
+  [
+    body(['beforeItemId', 'afterItemId'])
+      .isMongoId()
+      .withMessage('מזהה פריט לא תקין')
+  ],
+  validationMiddleware,
+  portfolioController.pairItems
+);
+router.delete('/:id/portfolio/:albumId/items/:itemId/pair', canManagePortfolio, portfolioController.unpairItem);
+
+// Working hours, date overrides, vacations and holidays
+router.put('/:id/schedule',
+  canManage,
+  checkOwnership('professional'),
+  [
+    body('timezone')
+      .optional()
+      .isString()
+      .withMessage('אזור זמן לא תקין'),
+    body(['weeklyHours', 'overrides', 'vacations', 'holidays'])
+      .optional()
+      .isArray()
+      .withMessage('ערך לא תקין'),
+    body('weeklyHours.*.day')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('יום בשבוע לא תקין (0-6)')
+      .toInt(),
+    body(['weeklyHours.*.start', 'weeklyHours.*.end'])
+      .matches(TIME_PATTERN)
+      .withMessage('שעה לא תקינה (HH:mm)'),
+    body(['overrides.*.date', 'vacations.*.start', 'vacations.*.end', 'holidays.*.date'])
+      .matches(DATE_PATTERN)
+      .withMessage('תאריך לא תקין (YYYY-MM-DD)'),
+    body('overrides.*.closed')
+      .optional()
+      .isBoolean()
+      .withMessage('ערך לא תקין')
+      .toBoolean(),
+    body(['overrides.*.start', 'overrides.*.end'])
+      .optional()
+      .matches(TIME_PATTERN)
+      .withMessage('שעה לא תקינה (HH:mm)'),
+    body(['weeklyHours.*.breaks.*.start', 'weeklyHours.*.breaks.*.end', 'overrides.*.breaks.*.start', 'overrides.*.breaks.*.end'])
+      .matches(TIME_PATTERN)
+      .withMessage('שעת הפסקה לא תקינה (HH:mm)'),
+    body('bufferMinutes')
+      .optional()
+      .isInt({ min: 0, max: 240 })
+      .withMessage('זמן מרווח לא תקין (0-240 דקות)')
+      .toInt(),
+    body('minNoticeMinutes')
+      .optional()
+      .isInt({ min: 0, max: 30 * 24 * 60 })
+      .withMessage('זמן התראה מינימלי לא תקין')
+      .toInt(),
+    body('rescheduleApproval')
+      .optional()
+      .isBoolean()
+      .withMessage('ערך לא תקין')
+      .toBoolean()
+  ],
+  validationMiddleware,
+  scheduleController.updateSchedule
+);
+
+// Service area: a base location with a radius, and/or cities and districts
+router.put('/:id/service-area',
+  canManage,
+  checkOwnership('professional'),
+  [
+    body('location.lat')
+      .if(body('location').exists())
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('קו רוחב לא תקין')
+      .toFloat(),
+    body('location.lng')
+      .if(body('location').exists())
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('קו אורך לא תקין')
+      .toFloat(),
+    body('radiusKm')
+      .optional({ values: 'null' })
+      .isFloat({ min: 1 })
+      .withMessage('רדיוס השירות חייב להיות לפחות 1 ק"מ')
+      .toFloat(),
+    body('cities')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('רשימת ערים לא תקינה'),
+    body('cities.*')
+      .isMongoId()
+      .withMessage('עיר לא תקינה'),
+    body('districts')
+      .optional()
+      .isArray()
+      .withMessage('רשימת מחוזות לא תקינה')
+  ],
+  validationMiddleware,
+  professionalController.updateServiceArea
+);
 
 // Service management
-router.post('/:id/services', professionalController.addService);
-router.put('/:id/services/:serviceId', professionalController.updateService);
-router.delete('/:id/services/:serviceId', professionalController.deleteService);
+const canWriteServices = authorize(PERMISSIONS.SERVICE_WRITE);
+router.post('/:id/services', canWriteServices, professionalController.addService);
+router.put('/:id/services/:serviceId', canWriteServices, professionalController.updateService);
+router.delete('/:id/services/:serviceId', canWriteServices, professionalController.deleteService);
 
 module.exports = router;
@@ -1,30 +1,25 @@
 const express = require('express');
-const multer = require('multer');
 const router = express.Router();
-const { uploadProfilePicture, getProfilePicture, deleteProfilePicture } = require('../Controllers/profileController');
-
-const fs = require('fs'); // Add this line to import fs
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    if (!fs.existsSync('uploads')) {
-      fs.mkdirSync('uploads');
-    }
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname);
-  }
-});
-const upload = multer({ storage: storage }); // שמירת הקבצים בתיקיית uploads
+const {
+  uploadProfilePicture,
+  getProfilePicture,
+  serveProfilePictureVariant,
+  deleteProfilePicture
+} = require('../Controllers/profileController');
+const { auth, checkOwnership } = require('../middleware/authMiddleware');
+const { imageUpload } = require('../middleware/uploadMiddleware');
 
 // נתיבים
 const userController = require('../Controllers/userController'); // Correctly import userController
 
-router.put('/:id', upload.single('profilePicture'), uploadProfilePicture); // Add this line for updating profile
-router.put('/update/:id', userController.updateUser); // Add this line for updating user profile
-router.post('/:id/upload', upload.single('profilePicture'), uploadProfilePicture); // Keep the existing upload route
+// Processed variants by content hash (cached for a long time)
+router.get('/pictures/:hash/:size.:format', serveProfilePictureVariant);
+
 router.get('/:id', getProfilePicture);
-router.delete('/:id', deleteProfilePicture);
+
+router.put('/:id', auth, checkOwnership('user'), imageUpload('profilePicture'), uploadProfilePicture);
+router.put('/update/:id', auth, checkOwnership('user'), userController.updateUser);
+router.post('/:id/upload', auth, checkOwnership('user'), imageUpload('profilePicture'), uploadProfilePicture); // Keep the existing upload route
+router.delete('/:id', auth, checkOwnership('user'), deleteProfilePicture);
 
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const reviewController = require('../Controllers/reviewController');
-const { auth } = require('../middleware/authMiddleware'); // Ensure correct import
+const { auth, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware'); // Ensure correct import
+const { PERMISSIONS } = require('../config/roles');
 
 // Public routes
 router.get('/professional/:professionalId', reviewController.getProfessionalReviews);
@@ -11,13 +12,13 @@ router.get('/stats/:professionalId', reviewController.getReviewStats);
 router.use(auth); // Ensure middleware is correctly referenced
 
 // Create a new review
-router.post('/', reviewController.createReview);
+router.post('/', authorize(PERMISSIONS.REVIEW_WRITE), requireVerifiedEmail, reviewController.createReview);
 
 // Get reviews by current user
 router.get('/user', reviewController.getUserReviews);
 
 // Update a review
-router.put('/:id', reviewController.updateReview);
+router.put('/:id', authorize(PERMISSIONS.REVIEW_WRITE), reviewController.updateReview);
 
 // Delete a review
 router.delete('/:id', reviewController.deleteReview);
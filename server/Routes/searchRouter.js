@@ -2,6 +2,7 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const { validationMiddleware } = require('../middleware/validationMiddleware');
 const { cacheMiddleware } = require('../middleware/cacheMiddleware');
+const { optionalAuthMiddleware } = require('../middleware/authMiddleware');
 const { performanceCheck } = require('../middleware/performanceMiddleware');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const searchController = require('../Controllers/searchController');
@@ -10,8 +11,9 @@ const router = express.Router();
 
 /**
  * @route   GET /api/search/professionals
- * @desc    Search professionals with filters
- * @access  Public
+ * @desc    Search professionals with filters; `city` or `lat`/`lng` (with an optional
+ *          `radius` in km) returns professionals serving that place, nearest first
+ * @access  Public (signed-in users also get a favorited flag)
  */
 router.get('/professionals',
   [
@@ -29,6 +31,21 @@ router.get('/professionals',
       .optional()
       .isMongoId()
       .withMessage('עיר לא תקינה'),
+    query('lat')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('קו רוחב לא תקין'),
+    query('lng')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('קו אורך לא תקין'),
+    query('lat')
+      .custom((value, { req }) => (req.query.lat === undefined) === (req.query.lng === undefined))
+      .withMessage('יש לשלוח קו רוחב וקו אורך יחד'),
+    query('radius')
+      .optional()
+      .isFloat({ min: 0.1, max: 500 })
+      .withMessage('רדיוס החיפוש חייב להיות בין 0.1 ל-500 ק"מ'),
     query('page')
       .optional()
       .isInt({ min: 1 })
@@ -39,7 +56,7 @@ router.get('/professionals',
       .withMessage('מגבלת תוצאות חייבת להיות בין 1 ל-100'),
     query('sort')
       .optional()
-      .isIn(['rating', 'reviews', 'price', 'createdAt'])
+      .isIn(['rating', 'reviews', 'price', 'createdAt', 'distance'])
       .withMessage('סדר מיון לא תקין'),
     query('order')
       .optional()
@@ -47,7 +64,9 @@ router.get('/professionals',
       .withMessage('כיוון מיון לא תקין')
   ],
   validationMiddleware,
-  cacheMiddleware({ ttl: 300 }), // Cache for 5 minutes
+  optionalAuthMiddleware,
+  // Cache for 5 minutes; signed-in results carry per-user favorite flags
+  cacheMiddleware({ ttl: 300, condition: req => !req.user }),
   performanceCheck(1000), // Monitor requests taking longer than 1 second
   asyncHandler(searchController.searchProfessionals)
 );
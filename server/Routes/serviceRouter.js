@@ -1,16 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const serviceController = require('../Controllers/serviceController');
-const authMiddleware = require('../middleware/authMiddleware');
+const { auth, authorize } = require('../middleware/authMiddleware');
+const { imageUpload } = require('../middleware/uploadMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Get all services for a professional (public route)
 router.get('/professional/:professionalId', serviceController.getProfessionalServices);
 
+// Service image variants (public route)
+router.get('/images/:hash/:size.:format', serviceController.getServiceImage);
+
 // Get a single service (public route)
 router.get('/:serviceId', serviceController.getService);
 
-// Protected routes - require authentication
-router.use(authMiddleware.auth);
+// Protected routes - require service management permission
+router.use(auth, authorize(PERMISSIONS.SERVICE_WRITE));
 
 
 // Create a new service
@@ -25,4 +30,11 @@ router.delete('/professional/:professionalId/service/:serviceId', serviceControl
 // Toggle service availability
 router.patch('/professional/:professionalId/service/:serviceId/toggle', serviceController.toggleAvailability);
 
+// Service gallery images
+router.post('/professional/:professionalId/service/:serviceId/images',
+  imageUpload('image'),
+  serviceController.addServiceImage
+);
+router.delete('/professional/:professionalId/service/:serviceId/images/:imageId', serviceController.deleteServiceImage);
+
 module.exports = router;
@@ -1,18 +1,119 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const userController = require('../Controllers/userController');
-const { auth } = require('../middleware/authMiddleware'); // Ensure correct import
+const sessionController = require('../Controllers/sessionController');
+const privacyController = require('../Controllers/privacyController');
+const favoriteController = require('../Controllers/favoriteController');
+const notificationPreferenceController = require('../Controllers/notificationPreferenceController');
+const {
+  auth,
+  authorize,
+  checkOwnership,
+  denyImpersonation,
+  validateRecaptcha
+} = require('../middleware/authMiddleware');
+const { validationMiddleware } = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+const { CHANNELS, NOTIFICATION_EVENTS } = require('../config/notifications');
 
 const router = express.Router();
 
 // Public auth routes
-router.post('/register', userController.signUp);
-router.post('/login', userController.login);
+router.post('/register', validateRecaptcha, userController.signUp);
+router.post('/login', validateRecaptcha, userController.login);
+
+// Personal data export download (token from the emailed link)
+router.get('/exports/:id/download', privacyController.downloadExport);
 
 // Protected routes
 router.use(auth); // Ensure middleware is correctly referenced
-router.get('/users', userController.getAllUsers);
-router.get('/users/:id', userController.getUserById);
-router.put('/users/:id', userController.updateUser);
-router.delete('/users/:id', userController.deleteUser);
+
+// Sessions of the current user
+router.get('/me/sessions', sessionController.getSessions);
+router.delete('/me/sessions', sessionController.deleteOtherSessions);
+router.delete('/me/sessions/:id', sessionController.deleteSession);
+
+// Personal data export
+router.post('/me/export', denyImpersonation, privacyController.requestOwnExport);
+router.get('/me/exports', privacyController.getExports);
+
+// Account deletion (after a grace period)
+router.post('/me/deletion', denyImpersonation, privacyController.requestAccountDeletion);
+router.delete('/me/deletion', denyImpersonation, privacyController.cancelAccountDeletion);
+
+// Saved professionals and named lists
+const listName = (field) => field
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('שם רשימה חייב להכיל 1 עד 50 תווים');
+
+router.get('/me/favorites', [listName(query('list').optional())], validationMiddleware, favoriteController.getFavorites);
+router.get('/me/favorites/lists', favoriteController.getFavoriteLists);
+router.put('/me/favorites/lists/:name',
+  [listName(param('name')), listName(body('name'))],
+  validationMiddleware,
+  favoriteController.renameFavoriteList
+);
+router.delete('/me/favorites/lists/:name', [listName(param('name'))], validationMiddleware, favoriteController.deleteFavoriteList);
+router.post('/me/favorites/:professionalId',
+  [listName(body('list').optional())],
+  validationMiddleware,
+  favoriteController.addFavorite
+);
+router.delete('/me/favorites/:professionalId',
+  [listName(query('list').optional())],
+  validationMiddleware,
+  favoriteController.removeFavorite
+);
+
+// Notification channels, quiet hours and reminder lead times
+const onlyKeys = (allowed) => (value) => Object.keys(value).every(key => allowed.includes(key));
+
+router.get('/me/notification-preferences', notificationPreferenceController.getPreferences);
+router.put('/me/notification-preferences',
+  [
+    body('events')
+      .optional()
+      .isObject()
+      .custom(onlyKeys(Object.values(NOTIFICATION_EVENTS)))
+      .withMessage('סוג התראה לא מוכר'),
+    body('events.*')
+      .isObject()
+      .custom(onlyKeys(Object.values(CHANNELS)))
+      .withMessage('ערוץ התראה לא מוכר'),
+    body('events.*.*')
+      .optional({ nullable: true })
+      .isBoolean({ strict: true })
+      .withMessage('ערך ערוץ חייב להיות true, false או null'),
+    body('quietHours').optional().isObject(),
+    body('quietHours.enabled').optional().isBoolean({ strict: true }).withMessage('ערך לא תקין'),
+    body(['quietHours.start', 'quietHours.end'])
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('שעה חייבת להיות בפורמט HH:mm'),
+    body('quietHours.timezone').optional().isString().withMessage('אזור זמן לא תקין'),
+    body('reminders')
+      .optional()
+      .isArray({ max: 5 })
+      .withMessage('ניתן להגדיר עד 5 תזכורות'),
+    body('reminders.*.channel')
+      .isIn(Object.values(CHANNELS))
+      .withMessage('ערוץ התראה לא מוכר'),
+    body('reminders.*.minutesBefore')
+      .isInt({ min: 5, max: 10080 })
+      .withMessage('זמן התזכורת חייב להיות בין 5 דקות לשבוע')
+      .toInt()
+  ],
+  validationMiddleware,
+  notificationPreferenceController.updatePreferences
+);
+
+router.get('/users', authorize(PERMISSIONS.USER_READ), userController.getAllUsers);
+// The user themselves, or a user manager
+router.get('/users/:id', checkOwnership('user'), userController.getUserById);
+router.put('/users/:id', checkOwnership('user'), userController.updateUser);
+router.delete('/users/:id', authorize(PERMISSIONS.USER_MANAGE), userController.deleteUser);
+router.post('/users/:id/unlock', authorize(PERMISSIONS.USER_MANAGE), userController.unlockUser);
+router.post('/users/:id/export', authorize(PERMISSIONS.PRIVACY_MANAGE), privacyController.requestUserExport);
 
 module.exports = router;
@@ -35,8 +35,15 @@ exports.config = {
   port: parseInt(process.env.PORT, 10) || 3000,
   host: process.env.HOST || 'localhost',
 
+  // Client application (used for links in emails)
+  client: {
+    url: process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000'
+  },
+
   // API
   api: {
+    // Public base URL of this server (used for download links in emails)
+    url: process.env.API_URL || `http://${process.env.HOST || 'localhost'}:${process.env.PORT || 3000}`,
     prefix: process.env.API_PREFIX || '/api',
     version: process.env.API_VERSION || 'v1',
     timeout: parseInt(process.env.API_TIMEOUT, 10) || 30000
@@ -59,7 +66,8 @@ exports.config = {
   jwt: {
     secret: process.env.JWT_SECRET,
     accessExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
-    refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d'
+    refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
+    emailVerificationExpiry: process.env.JWT_EMAIL_VERIFICATION_EXPIRY || '24h'
   },
 
   // CORS
@@ -93,7 +101,39 @@ exports.config = {
   upload: {
     maxFileSize: parseInt(process.env.UPLOAD_FILE_SIZE, 10) || 5242880, // 5MB
     allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'],
-    dir: path.join(__dirname, '../uploads')
+    dir: path.join(__dirname, '../uploads'),
+    imageCacheMaxAge: parseInt(process.env.IMAGE_CACHE_MAX_AGE, 10) || 31536000000, // 1 year
+    maxImagePixels: parseInt(process.env.MAX_IMAGE_PIXELS, 10) || 40000000,
+    maxVideoSize: parseInt(process.env.UPLOAD_VIDEO_SIZE, 10) || 52428800 // 50MB
+  },
+
+  // File storage for uploads ('local' keeps files under upload.dir, 's3' uses the aws settings)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    signedUrlExpiry: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRY, 10) || 900000 // 15 minutes
+  },
+
+  // Privacy (personal data exports)
+  privacy: {
+    exportExpiry: parseInt(process.env.DATA_EXPORT_EXPIRY, 10) || 172800000, // 48 hours
+    exportCleanupInterval: parseInt(process.env.DATA_EXPORT_CLEANUP_INTERVAL, 10) || 3600000, // 1 hour
+    // An export not finished this long after being claimed is taken over by another instance
+    exportLeaseDuration: parseInt(process.env.DATA_EXPORT_LEASE_DURATION, 10) || 1800000, // 30 minutes
+    deletionGracePeriod: parseInt(process.env.ACCOUNT_DELETION_GRACE_PERIOD, 10) || 2592000000, // 30 days
+    deletionCheckInterval: parseInt(process.env.ACCOUNT_DELETION_CHECK_INTERVAL, 10) || 3600000, // 1 hour
+    // A deletion not finished this long after being claimed is tried again
+    deletionLeaseDuration: parseInt(process.env.ACCOUNT_DELETION_LEASE_DURATION, 10) || 1800000 // 30 minutes
+  },
+
+  // Professional certifications (licence expiry)
+  certifications: {
+    reminderDays: (process.env.CERTIFICATION_REMINDER_DAYS || '30,7')
+      .split(',')
+      .map(days => parseInt(days, 10))
+      .filter(days => days > 0)
+      .sort((a, b) => b - a),
+    checkInterval: parseInt(process.env.CERTIFICATION_CHECK_INTERVAL, 10) || 86400000 // 1 day
   },
 
   // Email
@@ -113,7 +153,29 @@ exports.config = {
   // Security
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10,
-    sessionSecret: process.env.SESSION_SECRET || 'your-session-secret-here'
+    passwordResetExpiry: parseInt(process.env.PASSWORD_RESET_EXPIRY, 10) || 3600000, // 1 hour
+    verificationResendInterval: parseInt(process.env.VERIFICATION_RESEND_INTERVAL, 10) || 60000, // 1 minute
+    sessionSecret: process.env.SESSION_SECRET || 'your-session-secret-here',
+    impersonationDuration: parseInt(process.env.IMPERSONATION_DURATION, 10) || 1800000, // 30 minutes
+    login: {
+      // Per account
+      delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3,
+      delayBase: parseInt(process.env.LOGIN_DELAY_BASE, 10) || 1000, // 1 second, doubled per failure
+      maxDelay: parseInt(process.env.LOGIN_MAX_DELAY, 10) || 60000, // 1 minute
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10,
+      lockoutDuration: parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 900000, // 15 minutes
+      // Per IP address
+      ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 50,
+      ipWindow: parseInt(process.env.LOGIN_IP_WINDOW, 10) || 900000, // 15 minutes
+      ipLockoutDuration: parseInt(process.env.LOGIN_IP_LOCKOUT_DURATION, 10) || 3600000 // 1 hour
+    }
+  },
+
+  // reCAPTCHA (disabled when no secret is set)
+  recaptcha: {
+    secretKey: process.env.RECAPTCHA_SECRET_KEY,
+    verifyURL: process.env.RECAPTCHA_VERIFY_URL || 'https://www.google.com/recaptcha/api/siteverify',
+    minScore: parseFloat(process.env.RECAPTCHA_MIN_SCORE) || 0.5
   },
 
   // Monitoring
@@ -143,6 +205,37 @@ exports.config = {
     maxLimit: parseInt(process.env.MAX_PAGE_LIMIT, 10) || 100
   },
 
+  // Search
+  search: {
+    minQueryLength: 2,
+    // Largest service radius a professional can set, in km
+    maxServiceRadius: parseInt(process.env.MAX_SERVICE_RADIUS_KM, 10) || 200,
+    // A searched point belongs to the nearest city within this distance, in meters
+    cityMatchDistance: parseInt(process.env.CITY_MATCH_DISTANCE, 10) || 15000
+  },
+
+  // Booking
+  booking: {
+    // Minutes between offered start times
+    slotInterval: parseInt(process.env.BOOKING_SLOT_INTERVAL, 10) || 15,
+    // Longest date range of one slots request, in days
+    maxSlotDays: parseInt(process.env.BOOKING_MAX_SLOT_DAYS, 10) || 31,
+    // Seconds computed slots stay cached
+    slotsCacheTtl: parseInt(process.env.BOOKING_SLOTS_CACHE_TTL, 10) || 60,
+    // Minutes a client's hold on a slot lasts
+    holdMinutes: parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 10
+  },
+
+  // Appointment reminders
+  reminders: {
+    checkInterval: parseInt(process.env.REMINDER_CHECK_INTERVAL, 10) || 60000, // 1 minute
+    batchSize: parseInt(process.env.REMINDER_BATCH_SIZE, 10) || 100,
+    maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 5,
+    retryDelay: parseInt(process.env.REMINDER_RETRY_DELAY, 10) || 60000, // 1 minute, doubled per attempt
+    // A claimed reminder not finished by then is picked up again
+    lockDuration: parseInt(process.env.REMINDER_LOCK_DURATION, 10) || 300000 // 5 minutes
+  },
+
   // Socket.IO
   socket: {
     enabled: process.env.SOCKET_ENABLED === 'true',
@@ -158,12 +251,18 @@ exports.config = {
     google: {
       clientId: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: process.env.GOOGLE_CALLBACK_URL
+      callbackURL: process.env.GOOGLE_CALLBACK_URL,
+      authorizationURL: process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenURL: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+      profileURL: process.env.GOOGLE_PROFILE_URL || 'https://openidconnect.googleapis.com/v1/userinfo'
     },
     facebook: {
       appId: process.env.FACEBOOK_APP_ID,
       appSecret: process.env.FACEBOOK_APP_SECRET,
-      callbackURL: process.env.FACEBOOK_CALLBACK_URL
+      callbackURL: process.env.FACEBOOK_CALLBACK_URL,
+      authorizationURL: process.env.FACEBOOK_AUTH_URL || 'https://www.facebook.com/v18.0/dialog/oauth',
+      tokenURL: process.env.FACEBOOK_TOKEN_URL || 'https://graph.facebook.com/v18.0/oauth/access_token',
+      profileURL: process.env.FACEBOOK_PROFILE_URL || 'https://graph.facebook.com/v18.0/me'
     }
   },
 
@@ -172,7 +271,10 @@ exports.config = {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
     region: process.env.AWS_REGION,
-    bucket: process.env.AWS_BUCKET_NAME
+    bucket: process.env.AWS_BUCKET_NAME,
+    // S3-compatible services such as MinIO
+    endpoint: process.env.AWS_ENDPOINT,
+    forcePathStyle: process.env.AWS_FORCE_PATH_STYLE === 'true'
   },
 
   // Redis (Optional)
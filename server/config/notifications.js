@@ -0,0 +1,63 @@
+/**
+ * Notification events and delivery channels
+ *
+ * Every user-facing notification belongs to an event. Users choose the
+ * channels per event in their preferences; these are the defaults.
+ */
+
+/**
+ * Channels
+ */
+const CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  PUSH: 'push',
+  IN_APP: 'inApp'
+};
+
+/**
+ * Events
+ */
+const NOTIFICATION_EVENTS = {
+  APPOINTMENT_CREATED: 'appointment_created',
+  APPOINTMENT_CONFIRMED: 'appointment_confirmed',
+  APPOINTMENT_CANCELLED: 'appointment_cancelled',
+  APPOINTMENT_RESCHEDULED: 'appointment_rescheduled',
+  APPOINTMENT_REMINDER: 'appointment_reminder',
+  NEW_COMMENT: 'new_comment',
+  NEW_REVIEW: 'new_review',
+  CHAT_MESSAGE: 'chat_message'
+};
+
+/**
+ * Default channels per event
+ */
+const DEFAULT_EVENT_CHANNELS = {
+  [NOTIFICATION_EVENTS.APPOINTMENT_CREATED]: [CHANNELS.EMAIL, CHANNELS.IN_APP],
+  [NOTIFICATION_EVENTS.APPOINTMENT_CONFIRMED]: [CHANNELS.EMAIL, CHANNELS.IN_APP],
+  [NOTIFICATION_EVENTS.APPOINTMENT_CANCELLED]: [CHANNELS.EMAIL, CHANNELS.IN_APP],
+  [NOTIFICATION_EVENTS.APPOINTMENT_RESCHEDULED]: [CHANNELS.EMAIL, CHANNELS.IN_APP],
+  [NOTIFICATION_EVENTS.APPOINTMENT_REMINDER]: [CHANNELS.EMAIL, CHANNELS.SMS, CHANNELS.IN_APP],
+  [NOTIFICATION_EVENTS.NEW_COMMENT]: [CHANNELS.EMAIL, CHANNELS.IN_APP],
+  [NOTIFICATION_EVENTS.NEW_REVIEW]: [CHANNELS.IN_APP],
+  [NOTIFICATION_EVENTS.CHAT_MESSAGE]: [CHANNELS.PUSH, CHANNELS.IN_APP]
+};
+
+/**
+ * Default appointment reminders
+ */
+const DEFAULT_REMINDERS = [
+  { channel: CHANNELS.EMAIL, minutesBefore: 1440 }, // 24 hours
+  { channel: CHANNELS.SMS, minutesBefore: 120 } // 2 hours
+];
+
+// Channels held back during quiet hours (email and in-app are not intrusive)
+const QUIET_HOURS_CHANNELS = [CHANNELS.SMS, CHANNELS.PUSH];
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_EVENTS,
+  DEFAULT_EVENT_CHANNELS,
+  DEFAULT_REMINDERS,
+  QUIET_HOURS_CHANNELS
+};
@@ -0,0 +1,102 @@
+/**
+ * Roles and permissions
+ *
+ * Every authorization check goes through a named permission. Routes use
+ * `authorize('permission')`, code uses `hasPermission(user, 'permission')`.
+ */
+
+/**
+ * Roles
+ */
+const ROLES = {
+  CLIENT: 'client',
+  PROFESSIONAL: 'professional',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+/**
+ * Permissions
+ */
+const PERMISSIONS = {
+  // Client actions
+  APPOINTMENT_BOOK: 'appointment:book',
+  REVIEW_WRITE: 'review:write',
+  COMMENT_WRITE: 'comment:write',
+
+  // Professional actions
+  PROFESSIONAL_MANAGE: 'professional:manage',
+  SERVICE_WRITE: 'service:write',
+
+  // Moderation
+  COMMENT_MODERATE: 'comment:moderate',
+
+  // Administration
+  USER_READ: 'user:read',
+  USER_MANAGE: 'user:manage',
+  USER_IMPERSONATE: 'user:impersonate',
+  PROFESSIONAL_VERIFY: 'professional:verify',
+  CATEGORY_WRITE: 'category:write',
+  CITY_WRITE: 'city:write',
+  MONITORING_READ: 'monitoring:read',
+  MONITORING_MANAGE: 'monitoring:manage',
+  SECURITY_MANAGE: 'security:manage',
+  PRIVACY_MANAGE: 'privacy:manage'
+};
+
+const clientPermissions = [
+  PERMISSIONS.APPOINTMENT_BOOK,
+  PERMISSIONS.REVIEW_WRITE,
+  PERMISSIONS.COMMENT_WRITE
+];
+
+/**
+ * Role to permissions mapping
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.CLIENT]: clientPermissions,
+  [ROLES.PROFESSIONAL]: [
+    ...clientPermissions,
+    PERMISSIONS.PROFESSIONAL_MANAGE,
+    PERMISSIONS.SERVICE_WRITE
+  ],
+  [ROLES.MODERATOR]: [
+    ...clientPermissions,
+    PERMISSIONS.COMMENT_MODERATE
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Legacy `User.status` values and the role each maps to
+ */
+const LEGACY_STATUS_ROLES = {
+  'לקוח רגיל': ROLES.CLIENT,
+  'מקצוען': ROLES.PROFESSIONAL,
+  'מנהל': ROLES.ADMIN
+};
+
+/**
+ * Check whether a user (or role name) has a permission
+ */
+const hasPermission = (userOrRole, permission) => {
+  const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Roles that hold a permission
+ */
+const rolesWithPermission = (permission) => {
+  return Object.keys(ROLE_PERMISSIONS)
+    .filter(role => ROLE_PERMISSIONS[role].includes(permission));
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  LEGACY_STATUS_ROLES,
+  hasPermission,
+  rolesWithPermission
+};
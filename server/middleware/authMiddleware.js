@@ -3,14 +3,28 @@ const { config } = require('../config/config');
 const { logger } = require('../utils/logger');
 const { APIError } = require('./errorMiddleware');
 const User = require('../Models/user');
+const AuditLog = require('../Models/auditLog');
+const Professional = require('../Models/professional');
+const Appointment = require('../Models/appointment');
+const Review = require('../Models/review');
+const Comment = require('../Models/comment');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { verifyTwoFactorChallenge } = require('../utils/tokens');
+const { getActiveSession, touchSession } = require('../utils/sessions');
 
 /**
- * Verify JWT token
+ * Verify JWT token and the session it belongs to
  */
-const verifyToken = async (token) => {
+const verifyToken = async (token, { ip } = {}) => {
   try {
     const decoded = jwt.verify(token, config.jwt.secret);
-    const user = await User.findById(decoded.userId)
+
+    // Refresh tokens are only accepted by /auth/refresh
+    if (decoded.type !== 'access') {
+      throw new APIError('טוקן לא תקין', 401, 'INVALID_TOKEN');
+    }
+
+    const user = await User.findById(decoded.id)
       .select('-password')
       .lean();
 
@@ -18,11 +32,32 @@ const verifyToken = async (token) => {
       throw new APIError('משתמש לא נמצא', 401, 'USER_NOT_FOUND');
     }
 
+    // Tokens issued before a password change are no longer valid
+    if (user.passwordChangedAt && decoded.iat * 1000 < new Date(user.passwordChangedAt).getTime()) {
+      throw new APIError('טוקן פג תוקף', 401, 'TOKEN_EXPIRED');
+    }
+
     if (!user.isActive) {
       throw new APIError('חשבון משתמש לא פעיל', 401, 'USER_INACTIVE');
     }
 
-    return user;
+    // Support staff may still act as a suspended user
+    if (User.isSuspended(user) && !decoded.imp) {
+      throw new APIError('החשבון הושעה', 403, 'ACCOUNT_SUSPENDED', {
+        reason: user.suspension.reason,
+        expiresAt: user.suspension.expiresAt
+      });
+    }
+
+    if (decoded.sid) {
+      const session = await getActiveSession(decoded.sid);
+      if (!session) {
+        throw new APIError('החיבור בוטל', 401, 'SESSION_REVOKED');
+      }
+      await touchSession(decoded.sid, { ip });
+    }
+
+    return { user, sessionId: decoded.sid, impersonatedBy: decoded.imp };
   } catch (error) {
     if (error instanceof APIError) throw error;
     
@@ -36,8 +71,9 @@ const verifyToken = async (token) => {
 
 /**
  * Authentication middleware
+ * Permission checks are done separately with `authorize`
  */
-exports.authMiddleware = (roles = []) => {
+exports.authMiddleware = () => {
   return async (req, res, next) => {
     try {
       const token = req.headers.authorization?.split(' ')[1];
@@ -46,15 +82,24 @@ exports.authMiddleware = (roles = []) => {
         throw new APIError('לא נמצא טוקן הזדהות', 401, 'NO_TOKEN');
       }
 
-      const user = await verifyToken(token);
+      const { user, sessionId, impersonatedBy } = await verifyToken(token, { ip: req.ip });
 
-      // Check roles if specified
-      if (roles.length && !roles.includes(user.role)) {
-        throw new APIError('אין הרשאה מתאימה', 403, 'FORBIDDEN');
+      // Attach user and session to request
+      req.user = user;
+      req.sessionId = sessionId;
+      req.impersonatedBy = impersonatedBy;
+
+      // Every change made while impersonating is audited
+      if (impersonatedBy && req.method !== 'GET') {
+        AuditLog.record('user.impersonation_request', {
+          actor: impersonatedBy,
+          targetType: 'User',
+          targetId: user._id,
+          details: { sessionId, method: req.method, path: req.originalUrl },
+          ip: req.ip
+        }).catch(err => logger.error('Audit log error:', err));
       }
 
-      // Attach user to request
-      req.user = user;
       next();
     } catch (error) {
       next(error);
@@ -62,6 +107,44 @@ exports.authMiddleware = (roles = []) => {
   };
 };
 
+/**
+ * Authentication without role restrictions
+ */
+exports.auth = exports.authMiddleware();
+
+/**
+ * Authentication for two-factor enrollment.
+ * Accepts a regular access token, or the setup challenge issued at login
+ * to users whose role requires two-factor but who have not enrolled yet.
+ */
+exports.twoFactorEnrollmentAuth = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return exports.auth(req, res, next);
+  }
+
+  try {
+    const { challengeToken } = req.body;
+    if (!challengeToken) {
+      throw new APIError('לא נמצא טוקן הזדהות', 401, 'NO_TOKEN');
+    }
+
+    const decoded = verifyTwoFactorChallenge(challengeToken, 'setup');
+    const user = await User.findById(decoded.id)
+      .select('-password')
+      .lean();
+
+    if (!user) {
+      throw new APIError('משתמש לא נמצא', 401, 'USER_NOT_FOUND');
+    }
+
+    req.user = user;
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Optional authentication middleware
  * Attaches user to request if token is valid, but doesn't require authentication
@@ -71,8 +154,10 @@ exports.optionalAuthMiddleware = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
 
     if (token) {
-      const user = await verifyToken(token);
+      const { user, sessionId, impersonatedBy } = await verifyToken(token, { ip: req.ip });
       req.user = user;
+      req.sessionId = sessionId;
+      req.impersonatedBy = impersonatedBy;
     }
 
     next();
@@ -84,22 +169,92 @@ exports.optionalAuthMiddleware = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
+ * Permission-based authorization middleware
+ * Requires every listed permission, e.g. authorize('category:write')
  */
-exports.authorize = (roles = []) => {
+exports.authorize = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       throw new APIError('לא מורשה', 401, 'UNAUTHORIZED');
     }
 
-    if (roles.length && !roles.includes(req.user.role)) {
-      throw new APIError('אין הרשאה מתאימה', 403, 'FORBIDDEN');
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length) {
+      throw new APIError('אין הרשאה מתאימה', 403, 'FORBIDDEN', { missingPermissions: missing });
     }
 
     next();
   };
 };
 
+/**
+ * Block account-level actions (password, 2FA, deletion...) while impersonating
+ */
+exports.denyImpersonation = (req, res, next) => {
+  if (req.impersonatedBy) {
+    throw new APIError('פעולה זו אינה זמינה במצב התחזות', 403, 'IMPERSONATION_FORBIDDEN');
+  }
+  next();
+};
+
+/**
+ * Require a verified email address (booking, reviews, comments)
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    throw new APIError('לא מורשה', 401, 'UNAUTHORIZED');
+  }
+
+  if (!req.user.emailVerified) {
+    throw new APIError('יש לאמת את כתובת האימייל לפני ביצוע פעולה זו', 403, 'EMAIL_NOT_VERIFIED');
+  }
+
+  next();
+};
+
+/**
+ * reCAPTCHA verification (skipped when no secret key is configured)
+ * Token is read from `recaptchaToken` in the body or the X-Recaptcha-Token header
+ */
+exports.validateRecaptcha = async (req, res, next) => {
+  const { secretKey, verifyURL, minScore } = config.recaptcha;
+  if (!secretKey) {
+    return next();
+  }
+
+  try {
+    const token = req.body?.recaptchaToken || req.get('x-recaptcha-token');
+    if (!token) {
+      throw new APIError('נדרש אימות reCAPTCHA', 400, 'RECAPTCHA_REQUIRED');
+    }
+
+    const response = await fetch(verifyURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        secret: secretKey,
+        response: token,
+        remoteip: req.ip
+      }).toString()
+    });
+    const result = await response.json();
+
+    // v3 responses carry a score, v2 responses do not
+    if (!result.success || (typeof result.score === 'number' && result.score < minScore)) {
+      logger.warn('reCAPTCHA verification failed:', {
+        ip: req.ip,
+        errors: result['error-codes'],
+        score: result.score
+      });
+      throw new APIError('אימות reCAPTCHA נכשל', 400, 'RECAPTCHA_FAILED');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Resource ownership middleware
  */
@@ -107,30 +262,38 @@ exports.checkOwnership = (resourceType) => {
   return async (req, res, next) => {
     try {
       const resourceId = req.params.id;
-      const userId = req.user.id;
+      // req.user is a lean document, so it has _id but no id getter
+      const userId = String(req.user._id);
 
       let isOwner = false;
 
       switch (resourceType) {
+        case 'user':
+          isOwner = resourceId === userId || hasPermission(req.user, PERMISSIONS.USER_MANAGE);
+          break;
+
         case 'professional':
-          const professional = await Professional.findById(resourceId);
-          isOwner = professional?.userId.toString() === userId;
+          const professional = await Professional.findById(resourceId).select('userId');
+          isOwner = professional?.userId?.toString() === userId;
           break;
 
+        // The client, or the user behind the professional
         case 'appointment':
-          const appointment = await Appointment.findById(resourceId);
-          isOwner = appointment?.userId.toString() === userId ||
-                    appointment?.professionalId.toString() === userId;
+          const appointment = await Appointment.findById(resourceId)
+            .select('client professional')
+            .populate('professional', 'userId');
+          isOwner = appointment?.client?.toString() === userId ||
+                    appointment?.professional?.userId?.toString() === userId;
           break;
 
         case 'review':
-          const review = await Review.findById(resourceId);
-          isOwner = review?.userId.toString() === userId;
+          const review = await Review.findById(resourceId).select('userId');
+          isOwner = review?.userId?.toString() === userId;
           break;
 
         case 'comment':
-          const comment = await Comment.findById(resourceId);
-          isOwner = comment?.userId.toString() === userId;
+          const comment = await Comment.findById(resourceId).select('user');
+          isOwner = comment?.user?.toString() === userId;
           break;
 
         default:
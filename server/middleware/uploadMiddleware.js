@@ -0,0 +1,62 @@
+const multer = require('multer');
+const { config } = require('../config/config');
+const { APIError } = require('./errorMiddleware');
+
+// Multer errors as API errors
+const handleUploadErrors = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new APIError('הקובץ גדול מדי', 413, 'FILE_TOO_LARGE'));
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return next(new APIError('יותר מדי קבצים או שדה קובץ לא צפוי', 400, err.code));
+      }
+      return next(new APIError('העלאת הקובץ נכשלה', 400, err.code));
+    }
+    next(err);
+  });
+};
+
+/**
+ * Single image upload kept in memory for processing.
+ * The content type is checked on the bytes, not here.
+ */
+exports.imageUpload = (field) => handleUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: 1
+  }
+}).single(field));
+
+/**
+ * Document uploads (PDF or image) kept in memory: one file for a field
+ * name, or several, e.g. documentUpload([{ name: 'license', maxCount: 3 }]).
+ * The content type is checked on the bytes, not here.
+ */
+exports.documentUpload = (fields) => {
+  const single = typeof fields === 'string';
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.upload.maxFileSize,
+      files: single ? 1 : fields.reduce((total, field) => total + field.maxCount, 0)
+    }
+  });
+
+  return handleUploadErrors(single ? upload.single(fields) : upload.fields(fields));
+};
+
+/**
+ * Portfolio upload kept in memory: an image or a short video in `file`,
+ * with an optional `poster` image for a video. The limit here is the
+ * video limit; images are held to the image limit after the type is known.
+ */
+exports.portfolioUpload = () => handleUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxVideoSize,
+    files: 2
+  }
+}).fields([{ name: 'file', maxCount: 1 }, { name: 'poster', maxCount: 1 }]));
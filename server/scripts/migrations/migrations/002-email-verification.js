@@ -0,0 +1,55 @@
+const { logger } = require('../../../utils/logger');
+
+module.exports = {
+  name: 'email-verification',
+  description: 'Mark existing users as active and verified before email verification is enforced',
+
+  async up(db) {
+    logger.info('Running email verification migration');
+
+    try {
+      // Accounts created before verification existed are trusted
+      await db.collection('users').updateMany(
+        { emailVerified: { $exists: false } },
+        {
+          $set: {
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+          }
+        }
+      );
+
+      await db.collection('users').updateMany(
+        { isActive: { $exists: false } },
+        { $set: { isActive: true } }
+      );
+      logger.info('Updated user verification fields');
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back email verification migration');
+
+    try {
+      await db.collection('users').updateMany(
+        {},
+        {
+          $unset: {
+            emailVerified: "",
+            emailVerifiedAt: "",
+            verificationEmailSentAt: ""
+          }
+        }
+      );
+      logger.info('Reverted user verification fields');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
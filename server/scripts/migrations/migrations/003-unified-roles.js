@@ -0,0 +1,104 @@
+const { logger } = require('../../../utils/logger');
+const { ROLES, LEGACY_STATUS_ROLES } = require('../../../config/roles');
+
+module.exports = {
+  name: 'unified-roles',
+  description: 'Replace the legacy user status and isAdmin flag with a single role field',
+
+  async up(db) {
+    logger.info('Running unified roles migration');
+
+    try {
+      const users = db.collection('users');
+
+      // Map legacy status values
+      for (const [status, role] of Object.entries(LEGACY_STATUS_ROLES)) {
+        await users.updateMany(
+          { status, role: { $exists: false } },
+          { $set: { role } }
+        );
+      }
+
+      // The old isAdmin flag always wins
+      await users.updateMany(
+        { isAdmin: true },
+        { $set: { role: ROLES.ADMIN } }
+      );
+
+      await users.updateMany(
+        { role: { $exists: false } },
+        { $set: { role: ROLES.CLIENT } }
+      );
+
+      await users.updateMany(
+        {},
+        { $unset: { status: "", isAdmin: "" } }
+      );
+      logger.info('Migrated user roles');
+
+      // Two-factor policy stored status values as role names
+      const policies = await db.collection('securitypolicies').find({}).toArray();
+      for (const policy of policies) {
+        const roles = (policy.twoFactorRequiredRoles || [])
+          .map(role => LEGACY_STATUS_ROLES[role] || role);
+
+        await db.collection('securitypolicies').updateOne(
+          { _id: policy._id },
+          { $set: { twoFactorRequiredRoles: [...new Set(roles)] } }
+        );
+      }
+      logger.info('Migrated two-factor policy roles');
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back unified roles migration');
+
+    try {
+      const users = db.collection('users');
+
+      // Moderators have no legacy equivalent and fall back to regular clients
+      const roleStatuses = Object.entries(LEGACY_STATUS_ROLES)
+        .reduce((acc, [status, role]) => ({ ...acc, [role]: status }), {});
+      roleStatuses[ROLES.MODERATOR] = roleStatuses[ROLES.CLIENT];
+
+      for (const [role, status] of Object.entries(roleStatuses)) {
+        await users.updateMany(
+          { role },
+          { $set: { status } }
+        );
+      }
+
+      await users.updateMany(
+        { role: ROLES.ADMIN },
+        { $set: { isAdmin: true } }
+      );
+
+      await users.updateMany(
+        {},
+        { $unset: { role: "" } }
+      );
+      logger.info('Reverted user roles');
+
+      const policies = await db.collection('securitypolicies').find({}).toArray();
+      for (const policy of policies) {
+        const statuses = (policy.twoFactorRequiredRoles || [])
+          .map(role => roleStatuses[role] || role);
+
+        await db.collection('securitypolicies').updateOne(
+          { _id: policy._id },
+          { $set: { twoFactorRequiredRoles: [...new Set(statuses)] } }
+        );
+      }
+      logger.info('Reverted two-factor policy roles');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
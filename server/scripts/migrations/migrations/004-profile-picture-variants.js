@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../../utils/logger');
+const { config } = require('../../../config/config');
+const { isImageHash, processProfilePicture } = require('../../../utils/images');
+
+// Legacy pictures were stored relative to whichever directory the upload ran from
+const findLegacyFile = (picture) => {
+  const candidates = [
+    path.resolve(picture),
+    path.join(config.upload.dir, path.basename(picture))
+  ];
+  return candidates.find(file => fs.existsSync(file));
+};
+
+module.exports = {
+  name: 'profile-picture-variants',
+  description: 'Re-encode uploaded profile pictures into content-hashed variants',
+
+  async up(db) {
+    logger.info('Running profile picture variants migration');
+
+    try {
+      const users = db.collection('users');
+      const cursor = users.find({ profilePicture: { $type: 'string', $ne: '' } });
+      let converted = 0;
+      let dropped = 0;
+
+      for await (const user of cursor) {
+        if (isImageHash(user.profilePicture)) {
+          continue;
+        }
+
+        const file = findLegacyFile(user.profilePicture);
+        let hash = null;
+
+        if (file) {
+          try {
+            hash = await processProfilePicture(await fs.promises.readFile(file));
+          } catch (error) {
+            logger.warn(`Could not process picture of user ${user._id}: ${error.message}`);
+          }
+        }
+
+        // Missing or unreadable files are dropped rather than served raw
+        await users.updateOne(
+          { _id: user._id },
+          hash ? { $set: { profilePicture: hash } } : { $unset: { profilePicture: '' } }
+        );
+
+        if (file) {
+          await fs.promises.rm(file, { force: true });
+        }
+        hash ? converted++ : dropped++;
+      }
+
+      logger.info(`Converted ${converted} profile pictures, dropped ${dropped}`);
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down() {
+    // The original uploads are deleted and the variants stay usable
+    logger.info('Profile picture variants migration has no rollback');
+  }
+};
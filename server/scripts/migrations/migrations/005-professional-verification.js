@@ -0,0 +1,52 @@
+const { logger } = require('../../../utils/logger');
+
+module.exports = {
+  name: 'professional-verification',
+  description: 'Add active and verified flags to existing professional profiles',
+
+  async up(db) {
+    logger.info('Running professional verification migration');
+
+    try {
+      const professionals = db.collection('professionals');
+
+      await professionals.updateMany(
+        { isActive: { $exists: false } },
+        { $set: { isActive: true } }
+      );
+
+      // Existing profiles have to submit documents like new ones
+      await professionals.updateMany(
+        { isVerified: { $exists: false } },
+        { $set: { isVerified: false } }
+      );
+
+      await professionals.createIndex({ isVerified: 1, isActive: 1 });
+      await db.collection('verificationrequests').createIndex(
+        { professional: 1 },
+        { unique: true, partialFilterExpression: { status: 'pending' } }
+      );
+      logger.info('Updated professional verification fields');
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back professional verification migration');
+
+    try {
+      await db.collection('professionals').updateMany(
+        {},
+        { $unset: { isActive: '', isVerified: '', verifiedAt: '' } }
+      );
+      logger.info('Reverted professional verification fields');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
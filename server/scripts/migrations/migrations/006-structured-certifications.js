@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { logger } = require('../../../utils/logger');
+
+module.exports = {
+  name: 'structured-certifications',
+  description: 'Convert professional certifications from names to structured records',
+
+  async up(db) {
+    logger.info('Running structured certifications migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      const cursor = professionals.find({ 'certifications.0': { $type: 'string' } });
+      let converted = 0;
+
+      for await (const professional of cursor) {
+        const certifications = professional.certifications
+          .filter(certification => typeof certification !== 'string' || certification.trim())
+          .map(certification => (typeof certification === 'string'
+            ? { _id: new mongoose.Types.ObjectId(), name: certification.trim(), mandatory: false, remindersSent: [] }
+            : certification));
+
+        await professionals.updateOne({ _id: professional._id }, { $set: { certifications } });
+        converted++;
+      }
+
+      await professionals.createIndex({ 'certifications.expiresAt': 1 });
+      logger.info(`Converted certifications of ${converted} professionals`);
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back structured certifications migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      const cursor = professionals.find({ 'certifications.0': { $type: 'object' } });
+
+      for await (const professional of cursor) {
+        await professionals.updateOne(
+          { _id: professional._id },
+          { $set: { certifications: professional.certifications.map(certification => certification.name) } }
+        );
+      }
+      logger.info('Reverted certifications to names');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,84 @@
+const { logger } = require('../../../utils/logger');
+
+module.exports = {
+  name: 'multi-category',
+  description: 'Move professionals from a single category to categories with a primary one',
+
+  async up(db) {
+    logger.info('Running multi-category migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      // Older profiles were written with `category` or `categoryId`
+      const cursor = professionals.find({
+        $or: [
+          { category: { $exists: true } },
+          { categoryId: { $exists: true } },
+          { primaryCategory: { $exists: false } }
+        ]
+      });
+      let converted = 0;
+      let withoutCategory = 0;
+
+      for await (const professional of cursor) {
+        const ids = [professional.primaryCategory, professional.category, professional.categoryId, ...(professional.categories || [])]
+          .filter(Boolean);
+        const categories = ids.filter((id, index) => ids.findIndex(other => String(other) === String(id)) === index);
+
+        if (!categories.length) {
+          withoutCategory++;
+          logger.warn(`Professional ${professional._id} has no category`);
+        }
+
+        await professionals.updateOne(
+          { _id: professional._id },
+          {
+            $set: {
+              categories,
+              ...(categories.length && { primaryCategory: categories[0] }),
+              subcategories: professional.subcategories || []
+            },
+            $unset: { category: '', categoryId: '' }
+          }
+        );
+        converted++;
+      }
+
+      await professionals.createIndexes([
+        { key: { categories: 1 } },
+        { key: { primaryCategory: 1 } }
+      ]);
+      logger.info(`Converted categories of ${converted} professionals (${withoutCategory} without a category)`);
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back multi-category migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      const cursor = professionals.find({ primaryCategory: { $exists: true } });
+
+      for await (const professional of cursor) {
+        await professionals.updateOne(
+          { _id: professional._id },
+          {
+            $set: { category: professional.primaryCategory },
+            $unset: { categories: '', primaryCategory: '', subcategories: '' }
+          }
+        );
+      }
+
+      await professionals.dropIndex('primaryCategory_1').catch(() => {});
+      logger.info('Reverted professionals to a single category');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
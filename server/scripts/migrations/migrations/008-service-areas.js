@@ -0,0 +1,70 @@
+const { logger } = require('../../../utils/logger');
+
+module.exports = {
+  name: 'service-areas',
+  description: 'Give existing professionals a service area covering their own city',
+
+  async up(db) {
+    logger.info('Running service areas migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      const cursor = professionals.find({ 'serviceArea.location': { $exists: false } });
+      let converted = 0;
+      let withoutCity = 0;
+
+      for await (const professional of cursor) {
+        const user = await db.collection('users').findOne({ _id: professional.userId }, { projection: { cityId: 1 } });
+        const city = user?.cityId && await db.collection('cities').findOne({ _id: user.cityId }, { projection: { location: 1 } });
+
+        if (!city?.location) {
+          withoutCity++;
+          continue;
+        }
+
+        await professionals.updateOne(
+          { _id: professional._id },
+          {
+            $set: {
+              serviceArea: {
+                location: { type: 'Point', coordinates: city.location.coordinates },
+                cities: [city._id],
+                districts: []
+              }
+            }
+          }
+        );
+        converted++;
+      }
+
+      await professionals.createIndexes([
+        { key: { 'serviceArea.location': '2dsphere' } },
+        { key: { 'serviceArea.cities': 1 } },
+        { key: { 'serviceArea.districts': 1 } }
+      ]);
+      logger.info(`Added service areas to ${converted} professionals (${withoutCity} without a city)`);
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back service areas migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      await professionals.updateMany({}, { $unset: { serviceArea: '' } });
+
+      for (const index of ['serviceArea.location_2dsphere', 'serviceArea.cities_1', 'serviceArea.districts_1']) {
+        await professionals.dropIndex(index).catch(() => {});
+      }
+      logger.info('Removed professional service areas');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
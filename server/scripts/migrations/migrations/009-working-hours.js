@@ -0,0 +1,107 @@
+const { logger } = require('../../../utils/logger');
+const { TIME_PATTERN, toMinutes } = require('../../../utils/time');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Free-text slots of a day as working hours; gaps between slots become breaks
+const toWeeklyHours = (entry) => {
+  const slots = (entry.slots || [])
+    .filter(slot => TIME_PATTERN.test(slot.startTime) && TIME_PATTERN.test(slot.endTime))
+    .filter(slot => toMinutes(slot.startTime) < toMinutes(slot.endTime))
+    .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+  if (!DAYS.includes(entry.day) || !slots.length) {
+    return null;
+  }
+
+  const breaks = [];
+  let end = slots[0].endTime;
+  slots.slice(1).forEach(slot => {
+    if (toMinutes(slot.startTime) > toMinutes(end)) {
+      breaks.push({ start: end, end: slot.startTime });
+    }
+    if (toMinutes(slot.endTime) > toMinutes(end)) {
+      end = slot.endTime;
+    }
+  });
+
+  return { day: DAYS.indexOf(entry.day), start: slots[0].startTime, end, breaks };
+};
+
+module.exports = {
+  name: 'working-hours',
+  description: 'Move professional availability slots to schedules with weekly working hours',
+
+  async up(db) {
+    logger.info('Running working hours migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      const schedules = db.collection('schedules');
+      await schedules.createIndex({ professional: 1 }, { unique: true });
+
+      const cursor = professionals.find({ availability: { $exists: true } });
+      let converted = 0;
+
+      for await (const professional of cursor) {
+        // Several entries for one day are merged into the first
+        const weeklyHours = (Array.isArray(professional.availability) ? professional.availability : [])
+          .map(toWeeklyHours)
+          .filter(Boolean)
+          .filter((hours, index, all) => all.findIndex(other => other.day === hours.day) === index);
+
+        if (weeklyHours.length && !(await schedules.findOne({ professional: professional._id }))) {
+          const now = new Date();
+          await schedules.insertOne({
+            professional: professional._id,
+            timezone: 'Asia/Jerusalem',
+            weeklyHours,
+            overrides: [],
+            vacations: [],
+            holidays: [],
+            createdAt: now,
+            updatedAt: now
+          });
+          converted++;
+        }
+
+        await professionals.updateOne({ _id: professional._id }, { $unset: { availability: '' } });
+      }
+
+      logger.info(`Created schedules for ${converted} professionals`);
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back working hours migration');
+
+    try {
+      const professionals = db.collection('professionals');
+      const cursor = db.collection('schedules').find({});
+
+      for await (const schedule of cursor) {
+        const availability = schedule.weeklyHours.map(hours => {
+          const breaks = [...hours.breaks].sort((a, b) => a.start.localeCompare(b.start));
+          const bounds = [hours.start, ...breaks.flatMap(range => [range.start, range.end]), hours.end];
+          const slots = [];
+          for (let index = 0; index < bounds.length; index += 2) {
+            slots.push({ startTime: bounds[index], endTime: bounds[index + 1], isBooked: false });
+          }
+          return { day: DAYS[hours.day], slots };
+        });
+
+        await professionals.updateOne({ _id: schedule.professional }, { $set: { availability } });
+      }
+
+      await db.collection('schedules').drop().catch(() => {});
+      logger.info('Restored availability slots');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,44 @@
+const { logger } = require('../../../utils/logger');
+
+module.exports = {
+  name: 'slot-holds',
+  description: 'Create slot holds with automatic expiry and a booking lock on schedules',
+
+  async up(db) {
+    logger.info('Running slot holds migration');
+
+    try {
+      const holds = db.collection('slotholds');
+      await holds.createIndexes([
+        { key: { professional: 1, startTime: 1 } },
+        { key: { client: 1 } },
+        { key: { expiresAt: 1 }, expireAfterSeconds: 0 }
+      ]);
+
+      // The booking lock increments this inside every booking transaction
+      const { modifiedCount } = await db.collection('schedules').updateMany(
+        { bookingVersion: { $exists: false } },
+        { $set: { bookingVersion: 0 } }
+      );
+      logger.info(`Added booking lock to ${modifiedCount} schedules`);
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back slot holds migration');
+
+    try {
+      await db.collection('slotholds').drop().catch(() => {});
+      await db.collection('schedules').updateMany({}, { $unset: { bookingVersion: '' } });
+      logger.info('Removed slot holds');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,86 @@
+const { logger } = require('../../../utils/logger');
+
+module.exports = {
+  name: 'appointment-reminders',
+  description: 'Set when existing appointment reminders are due for the reminder scheduler',
+
+  async up(db) {
+    logger.info('Running appointment reminders migration');
+
+    try {
+      const appointments = db.collection('appointments');
+      const now = new Date();
+      const dueAt = { $subtract: ['$startTime', { $multiply: ['$$reminder.minutesBefore', 60000] }] };
+
+      // Pending reminders already past their time are skipped rather than sent late
+      const { modifiedCount } = await appointments.updateMany(
+        { 'reminders.0': { $exists: true }, 'reminders.dueAt': { $exists: false } },
+        [{
+          $set: {
+            reminders: {
+              $map: {
+                input: '$reminders',
+                as: 'reminder',
+                in: {
+                  $mergeObjects: ['$$reminder', {
+                    dueAt,
+                    attempts: 0,
+                    status: {
+                      $cond: [
+                        { $and: [{ $eq: ['$$reminder.status', 'pending'] }, { $lte: [dueAt, now] }] },
+                        'skipped',
+                        '$$reminder.status'
+                      ]
+                    }
+                  }]
+                }
+              }
+            }
+          }
+        }]
+      );
+
+      await appointments.createIndex({ 'reminders.status': 1, 'reminders.dueAt': 1 });
+      logger.info(`Scheduled reminders of ${modifiedCount} appointments`);
+
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back appointment reminders migration');
+
+    try {
+      const appointments = db.collection('appointments');
+      await appointments.updateMany(
+        { 'reminders.0': { $exists: true } },
+        [{
+          $set: {
+            reminders: {
+              $map: {
+                input: '$reminders',
+                as: 'reminder',
+                in: {
+                  type: '$$reminder.type',
+                  minutesBefore: '$$reminder.minutesBefore',
+                  _id: '$$reminder._id',
+                  status: {
+                    $cond: [{ $in: ['$$reminder.status', ['sent', 'failed']] }, '$$reminder.status', 'pending']
+                  }
+                }
+              }
+            }
+          }
+        }]
+      );
+      await appointments.dropIndex('reminders.status_1_reminders.dueAt_1').catch(() => {});
+      logger.info('Removed reminder scheduling fields');
+
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
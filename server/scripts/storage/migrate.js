@@ -0,0 +1,85 @@
+const express = require('express');
+const { logger } = require('../../utils/logger');
+const { config } = require('../../config/config');
+const { getStorage } = require('../../utils/storage');
+
+/**
+ * Copy stored files from one storage driver to another,
+ * e.g. existing local uploads into S3 before switching STORAGE_DRIVER.
+ */
+class StorageMigrator {
+  constructor({ from = 'local', to = config.storage.driver, prefix = '', remove = false, dryRun = false } = {}) {
+    if (from === to) {
+      throw new Error('Source and target storage are the same');
+    }
+
+    this.source = getStorage(from);
+    this.target = getStorage(to);
+    this.prefix = prefix;
+    this.remove = remove;
+    this.dryRun = dryRun;
+  }
+
+  async run() {
+    const stats = { copied: 0, skipped: 0, removed: 0, failed: 0 };
+    logger.info(`Migrating files from ${this.source.name} to ${this.target.name}${this.dryRun ? ' (dry run)' : ''}`);
+
+    for await (const key of this.source.list(this.prefix)) {
+      try {
+        if (await this.target.exists(key)) {
+          stats.skipped++;
+        } else if (!this.dryRun) {
+          const file = await this.source.getStream(key);
+          await this.target.put(key, file.body, {
+            contentType: file.contentType || express.static.mime.lookup(key),
+            contentLength: file.contentLength
+          });
+          stats.copied++;
+        } else {
+          stats.copied++;
+        }
+
+        if (this.remove && !this.dryRun) {
+          await this.source.delete(key);
+          stats.removed++;
+        }
+      } catch (error) {
+        stats.failed++;
+        logger.error(`Failed to migrate ${key}: ${error.message}`);
+      }
+    }
+
+    logger.info('Storage migration finished', stats);
+    return stats;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  (async () => {
+    try {
+      const migrator = new StorageMigrator({
+        from: option('from'),
+        to: option('to'),
+        prefix: option('prefix'),
+        remove: args.includes('--delete'),
+        dryRun: args.includes('--dry-run')
+      });
+      const stats = await migrator.run();
+      console.table(stats);
+      process.exit(stats.failed ? 1 : 0);
+    } catch (error) {
+      logger.error('Storage migration failed:', error);
+      console.log('Usage: node migrate.js [--from local] [--to s3] [--prefix images/] [--delete] [--dry-run]');
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = StorageMigrator;
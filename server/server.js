@@ -47,6 +47,9 @@ app.use('/static', express.static(path.join(__dirname, config.static.path), {
 app.use(`${config.api.prefix}/search`, require('./Routes/searchRouter'));
 app.use(`${config.api.prefix}/auth`, require('./Routes/authRouter'));
 app.use(`${config.api.prefix}/users`, require('./Routes/userRouter'));
+app.use(`${config.api.prefix}/admin`, require('./Routes/adminRouter'));
+app.use(`${config.api.prefix}/profile`, require('./Routes/profileRouter'));
+app.use(`${config.api.prefix}/files`, require('./Routes/fileRouter'));
 app.use(`${config.api.prefix}/professionals`, require('./Routes/professionalRouter'));
 app.use(`${config.api.prefix}/appointments`, require('./Routes/appointmentRouter'));
 app.use(`${config.api.prefix}/categories`, require('./Routes/categoryRouter'));
@@ -99,6 +102,34 @@ const startServer = async () => {
       logger.info(`Server running on port ${config.port} in ${config.NODE_ENV} mode`);
     });
 
+    // Personal data exports: finish interrupted jobs, remove expired archives
+    const { resumePendingExports, cleanupExpiredExports } = require('./utils/dataExport');
+    resumePendingExports().catch(err => logger.error('Resuming data exports failed:', err));
+    setInterval(() => {
+      resumePendingExports().catch(err => logger.error('Resuming data exports failed:', err));
+      cleanupExpiredExports().catch(err => logger.error('Data export cleanup failed:', err));
+    }, config.privacy.exportCleanupInterval).unref();
+
+    // Accounts whose deletion grace period has ended
+    const { processDueDeletions } = require('./utils/accountDeletion');
+    setInterval(() => {
+      processDueDeletions().catch(err => logger.error('Account deletion job failed:', err));
+    }, config.privacy.deletionCheckInterval).unref();
+
+    // Certification expiry reminders and lapsed mandatory licences
+    const { processCertificationExpiry } = require('./utils/certifications');
+    const runCertificationExpiry = () => {
+      processCertificationExpiry().catch(err => logger.error('Certification expiry job failed:', err));
+    };
+    runCertificationExpiry();
+    setInterval(runCertificationExpiry, config.certifications.checkInterval).unref();
+
+    // Due appointment reminders; claims are atomic, so every instance can run this
+    const { processDueReminders } = require('./utils/reminders');
+    setInterval(() => {
+      processDueReminders().catch(err => logger.error('Appointment reminder job failed:', err));
+    }, config.reminders.checkInterval).unref();
+
     // Initialize Socket.IO if enabled
     if (config.socket.enabled) {
       const { initializeSocket } = require('./utils/socketManager');
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const Appointment = require('../Models/appointment');
+const SlotHold = require('../Models/slotHold');
+const Schedule = require('../Models/schedule');
+const { bookAppointment, holdSlot } = require('../utils/booking');
+require('../Models/service');
+
+// Booking runs in transactions, which need a replica set. A single-member
+// one is started in memory unless MONGODB_TEST_URI points at one, e.g.
+// MONGODB_TEST_URI=mongodb://127.0.0.1:27017/?replicaSet=rs0 npm test
+// The tests use (and drop) a database of their own on that server.
+const uri = process.env.MONGODB_TEST_URI;
+
+const HOUR = 60 * 60 * 1000;
+const CLIENTS = 8;
+// The first run downloads a MongoDB binary
+const STARTUP_TIMEOUT = 120000;
+
+describe('concurrent booking', () => {
+  let replSet;
+
+  const professionalId = new mongoose.Types.ObjectId();
+  const service = { _id: new mongoose.Types.ObjectId(), duration: 60, price: 200 };
+  const clients = Array.from({ length: CLIENTS }, () => new mongoose.Types.ObjectId());
+
+  // 10:00 UTC the day after tomorrow, inside working hours
+  const slot = () => {
+    const day = new Date(Date.now() + 2 * 24 * HOUR);
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 10));
+  };
+
+  beforeAll(async () => {
+    if (!uri) {
+      replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    }
+
+    await mongoose.connect(uri || replSet.getUri(), { dbName: `my-professional-booking-test-${process.pid}` });
+    // Collections are not created inside the booking transactions
+    await Promise.all([Appointment.createCollection(), SlotHold.createCollection(), Schedule.init()]);
+
+    await Schedule.create({
+      professional: professionalId,
+      timezone: 'UTC',
+      weeklyHours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '08:00', end: '18:00' })),
+      minNoticeMinutes: 0
+    });
+  }, STARTUP_TIMEOUT);
+
+  afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+    await replSet?.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([Appointment.deleteMany({}), SlotHold.deleteMany({})]);
+  });
+
+  const expectOneWinner = (results) => {
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(CLIENTS - 1);
+    rejected.forEach(({ reason }) => {
+      expect(reason).toMatchObject({ status: 409, code: 'SLOT_TAKEN' });
+    });
+    return fulfilled[0].value;
+  };
+
+  test('books a slot for exactly one of several clients booking it at once', async () => {
+    const startTime = slot();
+
+    const results = await Promise.allSettled(clients.map(client =>
+      bookAppointment({ professionalId, service, client, startTime })));
+
+    const appointment = expectOneWinner(results);
+    const stored = await Appointment.find({ professional: professionalId });
+    expect(stored).toHaveLength(1);
+    expect(stored[0]._id.equals(appointment._id)).toBe(true);
+  });
+
+  test('rejects bookings that overlap a slot being booked at the same time', async () => {
+    const startTime = slot();
+
+    // Each start is inside the hour-long appointment of the first
+    const results = await Promise.allSettled(clients.map((client, index) =>
+      bookAppointment({ professionalId, service, client, startTime: new Date(startTime.getTime() + index * 5 * 60000) })));
+
+    expectOneWinner(results);
+    expect(await Appointment.countDocuments({ professional: professionalId })).toBe(1);
+  });
+
+  test('holds a slot for exactly one of several clients at once', async () => {
+    const startTime = slot();
+
+    const results = await Promise.allSettled(clients.map(client =>
+      holdSlot({ professionalId, service, client, startTime })));
+
+    const hold = expectOneWinner(results);
+    expect(await SlotHold.countDocuments({ professional: professionalId })).toBe(1);
+
+    // Only the holder can turn the hold into a booking
+    const booked = await Promise.allSettled(clients.map(client =>
+      bookAppointment({ professionalId, service, client, startTime })));
+    expect(booked.filter(result => result.status === 'fulfilled')).toHaveLength(0);
+
+    const appointment = await bookAppointment({
+      professionalId,
+      service,
+      client: hold.client,
+      startTime,
+      holdId: hold._id
+    });
+    expect(appointment.startTime).toEqual(startTime);
+  });
+});
@@ -0,0 +1,165 @@
+// Keeps a model's documents in memory for tests that run without MongoDB.
+// Supports the filters and updates the code under test uses.
+
+const same = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a) === String(b);
+};
+
+const OPERATORS = {
+  $eq: (value, expected) => same(value, expected),
+  $ne: (value, expected) => !same(value, expected),
+  $in: (value, list) => list.some(expected => same(value, expected)),
+  $nin: (value, list) => !list.some(expected => same(value, expected)),
+  $exists: (value, exists) => (value !== undefined) === exists,
+  $lt: (value, limit) => value != null && value < limit,
+  $lte: (value, limit) => value != null && value <= limit,
+  $gt: (value, limit) => value != null && value > limit,
+  $gte: (value, limit) => value != null && value >= limit
+};
+
+const isOperatorObject = (condition) => condition !== null
+  && typeof condition === 'object'
+  && !(condition instanceof Date)
+  && Object.keys(condition).every(key => key.startsWith('$'));
+
+// Works on documents, subdocuments and plain objects
+const valueAt = (target, field) => (typeof target.get === 'function'
+  ? target.get(field)
+  : field.split('.').reduce((value, key) => value?.[key], target));
+
+const satisfies = (value, condition) => {
+  if (condition === null) {
+    return value == null;
+  }
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, expected]) => OPERATORS[operator](value, expected));
+  }
+  return same(value, condition);
+};
+
+// Array elements matched by $elemMatch or 'array.field' conditions are
+// recorded in `positions`, for updates through the positional '$'
+const matches = (doc, filter = {}, positions = {}) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') {
+    return condition.some(part => matches(doc, part, positions));
+  }
+  if (field === '$and') {
+    return condition.every(part => matches(doc, part, positions));
+  }
+
+  if (condition?.$elemMatch) {
+    const index = (valueAt(doc, field) || []).findIndex(item => matches(item, condition.$elemMatch));
+    positions[field] = index;
+    return index !== -1;
+  }
+
+  const [head, ...rest] = field.split('.');
+  const list = rest.length ? valueAt(doc, head) : null;
+  if (Array.isArray(list)) {
+    const index = list.findIndex(item => satisfies(valueAt(item, rest.join('.')), condition));
+    positions[head] = index;
+    return index !== -1;
+  }
+
+  return satisfies(valueAt(doc, field), condition);
+});
+
+const applyUpdate = (doc, update, positions = {}) => {
+  const resolve = field => field.replace(/^([^.]+)\.\$(?=\.|$)/, (match, array) => `${array}.${positions[array]}`);
+
+  Object.entries(update).forEach(([key, value]) => {
+    if (key === '$set') {
+      Object.entries(value).forEach(([field, fieldValue]) => doc.set(resolve(field), fieldValue));
+    } else if (key === '$unset') {
+      Object.keys(value).forEach(field => doc.set(resolve(field), undefined));
+    } else if (key === '$inc') {
+      Object.entries(value).forEach(([field, amount]) => doc.set(resolve(field), (doc.get(resolve(field)) || 0) + amount));
+    } else if (key === '$push') {
+      Object.entries(value).forEach(([field, item]) => doc.get(field).push(item));
+    } else {
+      doc.set(key, value);
+    }
+  });
+};
+
+// Query stand-in: awaitable, with the chainable methods as no-ops
+const query = (run) => {
+  const result = Promise.resolve().then(run);
+  ['select', 'populate', 'lean', 'sort', 'limit', 'skip', 'session'].forEach((method) => {
+    result[method] = () => result;
+  });
+  return result;
+};
+
+/**
+ * Replace the model's query methods with an in-memory collection.
+ * Returns the array holding the documents.
+ */
+const useMemoryStore = (Model, initial = []) => {
+  const docs = initial.map(data => new Model(data));
+  const find = (filter, positions) => docs.find(doc => matches(doc, filter, positions)) || null;
+  const snapshot = (doc) => doc && new Model(doc.toObject());
+  const uniquePaths = Object.keys(Model.schema.paths).filter(field => Model.schema.paths[field].options.unique);
+
+  const insert = (doc) => {
+    uniquePaths.forEach((field) => {
+      if (docs.some(other => doc.get(field) != null && same(other.get(field), doc.get(field)))) {
+        throw Object.assign(new Error(`E11000 duplicate key error: ${field}`), { code: 11000 });
+      }
+    });
+    docs.push(doc);
+    return doc;
+  };
+
+  // New document from the equality conditions of a filter
+  const upsert = (filter, update) => {
+    const doc = new Model(Object.fromEntries(Object.entries(filter)
+      .filter(([field, condition]) => !field.startsWith('$') && !isOperatorObject(condition))));
+    applyUpdate(doc, update);
+    return insert(doc);
+  };
+
+  jest.spyOn(Model, 'create').mockImplementation(async data => insert(new Model(data)));
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    return docs.includes(this) ? this : insert(this);
+  });
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(() => find(filter)));
+  jest.spyOn(Model, 'findById').mockImplementation(id => query(() => find({ _id: id })));
+  jest.spyOn(Model, 'find').mockImplementation(filter => query(() => docs.filter(doc => matches(doc, filter))));
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async filter => docs.filter(doc => matches(doc, filter)).length);
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    const positions = {};
+    const doc = find(filter, positions);
+    if (!doc) {
+      return options.upsert && options.new ? upsert(filter, update) : null;
+    }
+    const previous = snapshot(doc);
+    applyUpdate(doc, update, positions);
+    return options.new ? doc : previous;
+  });
+  jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, update, options) => (
+    Model.findOneAndUpdate({ _id: id }, update, options)
+  ));
+
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+    const positions = {};
+    const doc = find(filter, positions);
+    if (doc) {
+      applyUpdate(doc, update, positions);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = docs.filter(doc => matches(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+
+  return docs;
+};
+
+module.exports = { useMemoryStore };
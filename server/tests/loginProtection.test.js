@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/notifications', () => ({ sendEmail: jest.fn() }));
+
+const { config } = require('../config/config');
+const User = require('../Models/user');
+const LoginAttempt = require('../Models/loginAttempt');
+const { sendEmail } = require('../utils/notifications');
+const { registerLoginAttempt, recordLoginSuccess } = require('../utils/loginProtection');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+const ip = '203.0.113.7';
+const settings = config.security.login;
+
+let user;
+let attempts;
+
+beforeEach(() => {
+  [user] = useMemoryStore(User, [{
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Dana',
+    email: 'dana@example.com',
+    role: 'client'
+  }]);
+  attempts = useMemoryStore(LoginAttempt);
+  sendEmail.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Several guesses sent at the same time
+const attemptAtOnce = (count, options = { user, ip }) => Promise.all(
+  Array.from({ length: count }, () => registerLoginAttempt(options))
+);
+
+describe('login attempt counting', () => {
+  test('counts every attempt before the password is checked, including concurrent ones', async () => {
+    const blocks = await attemptAtOnce(settings.delayAfter + 2);
+
+    expect(user.loginSecurity.failedAttempts).toBe(settings.delayAfter + 2);
+    expect(attempts[0].failedAttempts).toBe(settings.delayAfter + 2);
+
+    // Only the attempts inside the allowance get to check a password
+    expect(blocks.filter(block => block === null)).toHaveLength(settings.delayAfter);
+    blocks.filter(Boolean).forEach((block) => {
+      expect(block).toMatchObject({ reason: 'too_many_attempts' });
+      expect(block.retryAfter).toBeGreaterThan(0);
+    });
+  });
+
+  test('locks the account once the limit is passed and sends one lockout email', async () => {
+    user.set('loginSecurity.failedAttempts', settings.maxAttempts);
+
+    const blocks = await attemptAtOnce(3);
+
+    blocks.forEach(block => expect(block).toMatchObject({ reason: 'account_locked' }));
+    expect(user.loginSecurity.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(user.loginSecurity.lockouts).toBe(1);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({ to: 'dana@example.com', template: 'account-locked' });
+
+    // Attempts against a locked account are not counted
+    await expect(registerLoginAttempt({ user, ip })).resolves.toMatchObject({ reason: 'account_locked' });
+    expect(user.loginSecurity.failedAttempts).toBe(0);
+  });
+
+  test('locks the address once its limit is passed, for any account', async () => {
+    await attemptAtOnce(settings.ipMaxAttempts, { ip });
+    expect(attempts[0].isLocked).toBe(false);
+
+    const blocks = await attemptAtOnce(2, { user, ip });
+
+    blocks.forEach(block => expect(block).toMatchObject({ reason: 'ip_locked' }));
+    expect(attempts[0].isLocked).toBe(true);
+    expect(user.loginSecurity.failedAttempts).toBe(0);
+  });
+
+  test('clears the account counters and releases the attempt after a successful login', async () => {
+    await attemptAtOnce(2);
+
+    await recordLoginSuccess({ user, ip });
+
+    expect(user.loginSecurity.failedAttempts).toBe(0);
+    expect(user.loginSecurity.lastFailedAt).toBeUndefined();
+    expect(attempts[0].failedAttempts).toBe(1);
+  });
+});
@@ -0,0 +1,170 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+const { config } = require('../config/config');
+const {
+  setNonceCookie,
+  readNonceCookie,
+  getAuthorizationUrl,
+  handleCallback
+} = require('../utils/oauth');
+
+// Fake provider answering the token and profile endpoints
+const profiles = {
+  google: { sub: 'google-1', email: 'dana@example.com', email_verified: true, given_name: 'Dana', family_name: 'Levi' },
+  facebook: { id: 'facebook-1', email: 'dana@example.com', first_name: 'Dana', last_name: 'Levi' }
+};
+
+let server;
+let tokenRequests;
+
+const startProvider = () => new Promise((resolve) => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [, provider, endpoint] = req.url.split('?')[0].split('/');
+      res.setHeader('Content-Type', 'application/json');
+
+      if (endpoint === 'token') {
+        tokenRequests.push(new URLSearchParams(body));
+        if (new URLSearchParams(body).get('code') !== 'good-code') {
+          res.statusCode = 400;
+          return res.end(JSON.stringify({ error: 'invalid_grant' }));
+        }
+        return res.end(JSON.stringify({ access_token: `${provider}-access`, expires_in: 3600 }));
+      }
+
+      if (endpoint === 'profile' && req.headers.authorization === `Bearer ${provider}-access`) {
+        return res.end(JSON.stringify(profiles[provider]));
+      }
+
+      res.statusCode = 401;
+      res.end(JSON.stringify({ error: 'unauthorized' }));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+// Express app starting a login the way oauthRedirect does
+const loginApp = () => {
+  const app = express();
+  app.get('/login/:provider', (req, res) => {
+    const nonce = setNonceCookie(res);
+    res.redirect(getAuthorizationUrl(req.params.provider, nonce));
+  });
+  app.get('/nonce', (req, res) => res.json({ nonce: readNonceCookie(req) || null }));
+  return app;
+};
+
+const startLogin = async (provider) => {
+  const response = await request(loginApp()).get(`/login/${provider}`);
+  const cookie = response.headers['set-cookie'][0];
+  return {
+    cookie,
+    nonce: decodeURIComponent(cookie.split(';')[0].split('=')[1]),
+    location: new URL(response.headers.location)
+  };
+};
+
+beforeAll(async () => {
+  const url = await startProvider();
+  ['google', 'facebook'].forEach(provider => {
+    Object.assign(config.oauth[provider], {
+      authorizationURL: `${url}/${provider}/authorize`,
+      tokenURL: `${url}/${provider}/token`,
+      profileURL: `${url}/${provider}/profile`,
+      callbackURL: `http://localhost/api/auth/${provider}/callback`
+    });
+  });
+  Object.assign(config.oauth.google, { clientId: 'google-client', clientSecret: 'google-secret' });
+  Object.assign(config.oauth.facebook, { appId: 'facebook-app', appSecret: 'facebook-secret' });
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  tokenRequests = [];
+});
+
+describe('OAuth login', () => {
+  test('redirects to the provider with a state bound to an HttpOnly nonce cookie', async () => {
+    const { cookie, nonce, location } = await startLogin('google');
+
+    expect(location.pathname).toBe('/google/authorize');
+    expect(location.searchParams.get('client_id')).toBe('google-client');
+    expect(location.searchParams.get('state')).toBeTruthy();
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/SameSite=Lax/);
+
+    const echoed = await request(loginApp()).get('/nonce').set('Cookie', cookie.split(';')[0]);
+    expect(echoed.body.nonce).toBe(nonce);
+  });
+
+  test('exchanges the code and returns the normalized profile', async () => {
+    const { nonce, location } = await startLogin('google');
+
+    const { profile, tokens } = await handleCallback('google', {
+      code: 'good-code',
+      state: location.searchParams.get('state'),
+      nonce
+    });
+
+    expect(profile).toEqual({
+      id: 'google-1',
+      email: 'dana@example.com',
+      emailVerified: true,
+      firstName: 'Dana',
+      lastName: 'Levi'
+    });
+    expect(tokens.accessToken).toBe('google-access');
+    expect(tokens.expiresAt).toBeInstanceOf(Date);
+    expect(tokenRequests[0].get('client_secret')).toBe('google-secret');
+  });
+
+  test('rejects a state used without the nonce cookie of the browser that started the login', async () => {
+    const { location } = await startLogin('google');
+    const other = await startLogin('google');
+    const state = location.searchParams.get('state');
+
+    await expect(handleCallback('google', { code: 'good-code', state }))
+      .rejects.toMatchObject({ code: 'INVALID_OAUTH_STATE' });
+    await expect(handleCallback('google', { code: 'good-code', state, nonce: other.nonce }))
+      .rejects.toMatchObject({ code: 'INVALID_OAUTH_STATE' });
+    expect(tokenRequests).toHaveLength(0);
+  });
+
+  test('rejects a state issued for another provider', async () => {
+    const { nonce, location } = await startLogin('google');
+
+    await expect(handleCallback('facebook', {
+      code: 'good-code',
+      state: location.searchParams.get('state'),
+      nonce
+    })).rejects.toMatchObject({ code: 'INVALID_OAUTH_STATE' });
+  });
+
+  test('reports a failed code exchange as a provider error', async () => {
+    const { nonce, location } = await startLogin('google');
+
+    await expect(handleCallback('google', {
+      code: 'bad-code',
+      state: location.searchParams.get('state'),
+      nonce
+    })).rejects.toMatchObject({ code: 'OAUTH_PROVIDER_ERROR', status: 502 });
+  });
+
+  test('never treats a Facebook email as verified', async () => {
+    const { nonce, location } = await startLogin('facebook');
+
+    const { profile } = await handleCallback('facebook', {
+      code: 'good-code',
+      state: location.searchParams.get('state'),
+      nonce
+    });
+
+    expect(profile.email).toBe('dana@example.com');
+    expect(profile.emailVerified).toBe(false);
+  });
+});
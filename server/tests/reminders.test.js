@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+const { config } = require('../config/config');
+const Appointment = require('../Models/appointment');
+const NotificationPreference = require('../Models/notificationPreference');
+const User = require('../Models/user');
+const { templates } = require('../utils/notifications');
+const { processDueReminders } = require('../utils/reminders');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// 08:00 UTC
+const now = new Date('2099-01-05T08:00:00Z');
+const later = (ms, from = now) => new Date(from.getTime() + ms);
+
+const client = new User({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Dana',
+  email: 'dana@example.com',
+  phone: '0501234567',
+  role: 'client'
+});
+
+const reminder = (type, fields = {}) => ({
+  type,
+  minutesBefore: 60,
+  dueAt: later(-MINUTE),
+  ...fields
+});
+
+const appointment = (reminders, fields = {}) => ({
+  professional: new mongoose.Types.ObjectId(),
+  client: client._id,
+  service: new mongoose.Types.ObjectId(),
+  startTime: later(HOUR),
+  endTime: later(2 * HOUR),
+  price: 200,
+  status: 'confirmed',
+  reminders,
+  ...fields
+});
+
+let appointments;
+let deliver;
+
+const setup = ({ appointments: initial, preferences: saved = [] }) => {
+  appointments = useMemoryStore(Appointment, initial);
+  useMemoryStore(NotificationPreference, saved);
+};
+
+beforeEach(() => {
+  // Delivered on every channel asked for, unless a test says otherwise
+  deliver = jest.fn(async (context, { channels }) => channels);
+  jest.spyOn(templates, 'appointmentReminder').mockImplementation((...args) => deliver(...args));
+  jest.spyOn(Appointment.prototype, 'populate').mockImplementation(async function() {
+    this.client = client;
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('appointment reminders', () => {
+  test('sends each due reminder once when several runs claim at the same time', async () => {
+    setup({
+      appointments: [
+        appointment([reminder('email'), reminder('sms')]),
+        appointment([reminder('email'), reminder('sms')])
+      ]
+    });
+
+    const processed = await Promise.all([processDueReminders(now), processDueReminders(now)]);
+
+    expect(processed[0] + processed[1]).toBe(4);
+    expect(deliver).toHaveBeenCalledTimes(4);
+    appointments.forEach((doc) => {
+      doc.reminders.forEach((entry) => {
+        expect(entry).toMatchObject({ status: 'sent', attempts: 1 });
+        expect(entry.claim).toBeUndefined();
+        expect(entry.lockedUntil).toBeUndefined();
+      });
+      expect(doc.notifications.map(entry => entry.status)).toEqual(['sent', 'sent']);
+    });
+  });
+
+  test('leaves reminders that are not due, held by a live claim or of cancelled or past appointments', async () => {
+    setup({
+      appointments: [
+        appointment([
+          reminder('email', { dueAt: later(MINUTE) }),
+          reminder('sms', { status: 'sending', claim: 'other-instance', lockedUntil: later(MINUTE) })
+        ]),
+        appointment([reminder('email')], { status: 'cancelled' }),
+        appointment([reminder('email')], { startTime: later(-MINUTE), endTime: later(HOUR) })
+      ]
+    });
+
+    await expect(processDueReminders(now)).resolves.toBe(0);
+    expect(deliver).not.toHaveBeenCalled();
+    expect(appointments[0].reminders[1]).toMatchObject({ status: 'sending', claim: 'other-instance' });
+  });
+
+  test('takes over a claim that lapsed', async () => {
+    setup({
+      appointments: [appointment([
+        reminder('email', { status: 'sending', claim: 'crashed-instance', lockedUntil: later(-MINUTE) })
+      ])]
+    });
+
+    await expect(processDueReminders(now)).resolves.toBe(1);
+    expect(appointments[0].reminders[0]).toMatchObject({ status: 'sent', attempts: 1 });
+  });
+
+  test('retries a failed reminder with a growing delay and gives up after the last attempt', async () => {
+    deliver.mockResolvedValue([]);
+    setup({ appointments: [appointment([reminder('email')], { startTime: later(24 * HOUR), endTime: later(25 * HOUR) })] });
+    const [entry] = appointments[0].reminders;
+
+    let run = now;
+    for (let attempt = 1; attempt < config.reminders.maxAttempts; attempt++) {
+      await processDueReminders(run);
+
+      const retryAt = later(config.reminders.retryDelay * 2 ** (attempt - 1), run);
+      expect(entry).toMatchObject({ status: 'pending', attempts: attempt, error: 'Delivery failed', dueAt: retryAt });
+
+      // Not picked up before it is due
+      await expect(processDueReminders(later(-1, retryAt))).resolves.toBe(0);
+      run = retryAt;
+    }
+
+    await processDueReminders(run);
+    expect(entry).toMatchObject({ status: 'failed', attempts: config.reminders.maxAttempts });
+    expect(appointments[0].notifications).toHaveLength(config.reminders.maxAttempts);
+    expect(appointments[0].notifications.every(delivery => delivery.status === 'failed')).toBe(true);
+  });
+
+  test('gives up when the retry would come after the appointment starts', async () => {
+    deliver.mockRejectedValue(new Error('SMS gateway down'));
+    setup({ appointments: [appointment([reminder('sms')], { startTime: later(MINUTE / 2), endTime: later(HOUR) })] });
+
+    await processDueReminders(now);
+
+    expect(appointments[0].reminders[0]).toMatchObject({ status: 'failed', attempts: 1, error: 'SMS gateway down' });
+  });
+
+  test('holds SMS back during quiet hours but still sends email', async () => {
+    const night = new Date('2099-01-05T23:00:00Z');
+    const quietHours = { enabled: true, start: '22:00', end: '07:00', timezone: 'UTC' };
+    setup({
+      appointments: [
+        appointment([reminder('email', { dueAt: night }), reminder('sms', { dueAt: night })],
+          { startTime: later(10 * HOUR, night), endTime: later(11 * HOUR, night) }),
+        appointment([reminder('sms', { dueAt: night })],
+          { startTime: later(10 * MINUTE, night), endTime: later(HOUR, night) })
+      ],
+      preferences: [{ user: client._id, quietHours }]
+    });
+
+    await processDueReminders(night);
+
+    const [email, sms] = appointments[0].reminders;
+    expect(email.status).toBe('sent');
+    expect(sms).toMatchObject({ status: 'pending', attempts: 0, dueAt: later(15 * MINUTE, night) });
+    // Quiet hours would last until after the appointment starts
+    expect(appointments[1].reminders[0].status).toBe('skipped');
+    expect(deliver).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips channels the client turned off and SMS without a phone number', async () => {
+    setup({
+      appointments: [appointment([reminder('email'), reminder('sms')])],
+      preferences: [{ user: client._id, events: { appointment_reminder: { email: false } } }]
+    });
+    client.phone = undefined;
+
+    try {
+      await processDueReminders(now);
+    } finally {
+      client.phone = '0501234567';
+    }
+
+    expect(appointments[0].reminders.map(entry => entry.status)).toEqual(['skipped', 'skipped']);
+    expect(deliver).not.toHaveBeenCalled();
+  });
+});
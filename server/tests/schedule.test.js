@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const Schedule = require('../Models/schedule');
+
+const schedule = (fields) => new Schedule({
+  professional: new mongoose.Types.ObjectId(),
+  timezone: 'UTC',
+  ...fields
+});
+
+// Validation messages by path, or {} when valid
+const validationErrors = async (doc) => {
+  try {
+    await doc.validate();
+    return {};
+  } catch (error) {
+    return Object.fromEntries(Object.entries(error.errors).map(([field, { message }]) => [field, message]));
+  }
+};
+
+describe('schedule validation', () => {
+  test('accepts working hours with separate breaks inside them', async () => {
+    const doc = schedule({
+      weeklyHours: [
+        { day: 0, start: '09:00', end: '17:00', breaks: [{ start: '12:00', end: '13:00' }, { start: '13:00', end: '13:30' }] },
+        { day: 1, start: '09:00', end: '13:00' }
+      ],
+      vacations: [{ start: '2026-08-01', end: '2026-08-07' }, { start: '2026-08-08', end: '2026-08-10' }]
+    });
+
+    await expect(validationErrors(doc)).resolves.toEqual({});
+  });
+
+  test('rejects overlapping breaks', async () => {
+    const doc = schedule({
+      weeklyHours: [{
+        day: 0,
+        start: '09:00',
+        end: '17:00',
+        breaks: [{ start: '13:00', end: '14:00' }, { start: '12:00', end: '13:30' }]
+      }]
+    });
+
+    await expect(validationErrors(doc)).resolves.toEqual({ 'weeklyHours.0': 'Breaks must not overlap' });
+  });
+
+  test('rejects breaks outside the working hours and hours that end before they start', async () => {
+    const doc = schedule({
+      weeklyHours: [
+        { day: 0, start: '09:00', end: '17:00', breaks: [{ start: '16:30', end: '17:30' }] },
+        { day: 1, start: '17:00', end: '09:00' }
+      ]
+    });
+
+    await expect(validationErrors(doc)).resolves.toEqual({
+      'weeklyHours.0': 'Breaks must be within the working hours',
+      'weeklyHours.1': 'Working hours must end after they start'
+    });
+  });
+
+  test('rejects a weekday listed twice', async () => {
+    const doc = schedule({
+      weeklyHours: [
+        { day: 2, start: '09:00', end: '12:00' },
+        { day: 2, start: '14:00', end: '18:00' }
+      ]
+    });
+
+    await expect(validationErrors(doc)).resolves.toEqual({ weeklyHours: 'Each weekday can be listed once' });
+  });
+
+  test('checks the hours of open overrides and allows one override per date', async () => {
+    const doc = schedule({
+      overrides: [
+        { date: '2026-09-01', closed: true },
+        { date: '2026-09-02', start: '10:00', end: '14:00', breaks: [{ start: '11:00', end: '12:00' }, { start: '11:30', end: '12:30' }] },
+        { date: '2026-09-03', start: '10:00' },
+        { date: '2026-09-03', closed: true }
+      ]
+    });
+
+    await expect(validationErrors(doc)).resolves.toEqual({
+      'overrides.1': 'Breaks must not overlap',
+      'overrides.2': 'An open date needs start and end times',
+      overrides: 'Each date can have one override'
+    });
+  });
+
+  test('rejects overlapping vacations, including ones sharing a day, in any order', async () => {
+    const sharingDay = schedule({
+      vacations: [{ start: '2026-08-07', end: '2026-08-10' }, { start: '2026-08-01', end: '2026-08-07' }]
+    });
+    const inside = schedule({
+      vacations: [{ start: '2026-08-01', end: '2026-08-20' }, { start: '2026-08-05', end: '2026-08-06' }]
+    });
+
+    await expect(validationErrors(sharingDay)).resolves.toEqual({ vacations: 'Vacations must not overlap' });
+    await expect(validationErrors(inside)).resolves.toEqual({ vacations: 'Vacations must not overlap' });
+  });
+
+  test('rejects a vacation that ends before it starts', async () => {
+    const doc = schedule({ vacations: [{ start: '2026-08-10', end: '2026-08-01' }] });
+
+    await expect(validationErrors(doc)).resolves.toEqual({ vacations: 'A vacation must end on or after its start' });
+  });
+});
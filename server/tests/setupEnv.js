@@ -0,0 +1,6 @@
+// Required by config/config.js; a real environment overrides them
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.PORT = process.env.PORT || '3001';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/my-professional-test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://localhost:3000';
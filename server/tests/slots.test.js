@@ -0,0 +1,156 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Appointment = require('../Models/appointment');
+const SlotHold = require('../Models/slotHold');
+const Schedule = require('../Models/schedule');
+const Service = require('../Models/service');
+const Professional = require('../Models/professional');
+const professionalRouter = require('../Routes/professionalRouter');
+const { clearCache } = require('../middleware/cacheMiddleware');
+const { findSlots, invalidateSlots } = require('../utils/slots');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+// A Monday, far enough ahead for the minimum notice
+const DAY = '2099-01-05';
+const at = (time, day = DAY) => new Date(`${day}T${time}:00Z`);
+const times = ({ slots }) => slots.map(slot => `${slot.date} ${slot.time}`);
+
+const professionalId = new mongoose.Types.ObjectId();
+const service = { _id: new mongoose.Types.ObjectId(), duration: 30 };
+
+const schedule = (fields = {}) => new Schedule({
+  professional: professionalId,
+  timezone: 'UTC',
+  weeklyHours: [1, 2].map(day => ({
+    day,
+    start: '09:00',
+    end: '12:00',
+    breaks: [{ start: '10:00', end: '10:30' }]
+  })),
+  minNoticeMinutes: 0,
+  ...fields
+});
+
+let busy;
+
+beforeEach(() => {
+  busy = { appointments: [], holds: [] };
+  jest.spyOn(Appointment, 'findOverlapping').mockImplementation(async () => busy.appointments);
+  jest.spyOn(SlotHold, 'findOverlapping').mockImplementation(async () => busy.holds);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('slot computation', () => {
+  test('offers every interval of the working hours that fits the service, around breaks', async () => {
+    const result = await findSlots(schedule(), service, { from: DAY, to: DAY });
+
+    expect(times(result)).toEqual([
+      '09:00', '09:15', '09:30', '10:30', '10:45', '11:00', '11:15', '11:30'
+    ].map(time => `${DAY} ${time}`));
+    expect(result.slots[0]).toMatchObject({ startTime: at('09:00'), endTime: at('09:30') });
+  });
+
+  test('keeps the buffer around appointments and holds', async () => {
+    busy.appointments = [{ startTime: at('11:00'), endTime: at('11:30') }];
+    busy.holds = [{ startTime: at('09:15'), endTime: at('09:45') }];
+
+    const result = await findSlots(schedule({ bufferMinutes: 15 }), service, { from: DAY, to: DAY });
+
+    expect(times(result)).toEqual([]);
+
+    const withoutBuffer = await findSlots(schedule(), service, { from: DAY, to: DAY });
+    expect(times(withoutBuffer)).toEqual([`${DAY} 10:30`, `${DAY} 11:30`]);
+  });
+
+  test('asks for appointments and holds across the whole range, widened by the buffer', async () => {
+    await findSlots(schedule({ bufferMinutes: 15 }), service, { from: DAY, to: '2099-01-06' });
+
+    expect(Appointment.findOverlapping).toHaveBeenCalledWith(professionalId, at('00:00'), at('00:00', '2099-01-07'), 15);
+    expect(SlotHold.findOverlapping).toHaveBeenCalledWith(professionalId, at('00:00'), at('00:00', '2099-01-07'), 15);
+  });
+
+  test('starts after the minimum notice', async () => {
+    const doc = schedule();
+    jest.spyOn(doc, 'earliestStart').mockReturnValue(at('11:10'));
+
+    const result = await findSlots(doc, service, { from: DAY, to: DAY });
+
+    expect(times(result)).toEqual([`${DAY} 11:15`, `${DAY} 11:30`]);
+  });
+
+  test('skips closed days, vacations and holidays and uses overrides', async () => {
+    const doc = schedule({
+      vacations: [{ start: '2099-01-12', end: '2099-01-12' }],
+      holidays: [{ date: '2099-01-13', name: 'Holiday' }],
+      overrides: [{ date: '2099-01-06', start: '16:00', end: '17:00' }]
+    });
+
+    const result = await findSlots(doc, service, { from: '2099-01-06', to: '2099-01-13' });
+
+    // Wednesday to Sunday have no working hours
+    expect(times(result)).toEqual(['16:00', '16:15', '16:30'].map(time => `2099-01-06 ${time}`));
+  });
+
+  test('places slots in the schedule timezone', async () => {
+    const result = await findSlots(schedule({ timezone: 'Asia/Jerusalem' }), service, { from: DAY, to: DAY });
+
+    // UTC+2 in winter
+    expect(result).toMatchObject({ timezone: 'Asia/Jerusalem' });
+    expect(result.slots[0]).toMatchObject({ time: '09:00', startTime: at('07:00') });
+  });
+
+  test('rejects a range that ends before it starts or is too long', async () => {
+    await expect(findSlots(schedule(), service, { from: DAY, to: '2099-01-04' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_RANGE' });
+    await expect(findSlots(schedule(), service, { from: DAY, to: '2099-03-05' }))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_RANGE' });
+  });
+});
+
+describe('slot caching', () => {
+  const app = express();
+  app.use('/professionals', professionalRouter);
+
+  const getSlots = () => request(app)
+    .get(`/professionals/${professionalId}/slots`)
+    .query({ serviceId: String(service._id), from: DAY, to: DAY });
+
+  beforeEach(() => {
+    clearCache();
+    useMemoryStore(Professional, [{ _id: professionalId }]);
+    useMemoryStore(Service, [{ ...service, professionalId, isAvailable: true }]);
+    useMemoryStore(Schedule, [schedule().toObject()]);
+  });
+
+  test('serves repeated requests from the cache until the slots are invalidated', async () => {
+    const first = await getSlots();
+    expect(first.status).toBe(200);
+    expect(first.body.slots).toHaveLength(8);
+
+    // A booking the cached response does not know about yet
+    busy.appointments = [{ startTime: at('09:00'), endTime: at('09:30') }];
+    const cached = await getSlots();
+    expect(cached.body).toEqual(first.body);
+    expect(Schedule.findOne).toHaveBeenCalledTimes(1);
+
+    invalidateSlots(professionalId);
+    const fresh = await getSlots();
+    expect(Schedule.findOne).toHaveBeenCalledTimes(2);
+    expect(fresh.body.slots.map(slot => slot.time)).not.toContain('09:00');
+    expect(fresh.body.slots).toHaveLength(6);
+  });
+
+  test('invalidates only the slots of the given professional', async () => {
+    await getSlots();
+
+    invalidateSlots(new mongoose.Types.ObjectId());
+    await getSlots();
+
+    expect(Schedule.findOne).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const RefreshToken = require('../Models/refreshToken');
+const Session = require('../Models/session');
+const User = require('../Models/user');
+const { issueTokens, rotateRefreshToken, hashToken } = require('../utils/tokens');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+const user = new User({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Dana',
+  lastName: 'Levi',
+  email: 'dana@example.com',
+  role: 'client'
+});
+const meta = { ip: '203.0.113.7', userAgent: 'jest' };
+
+let tokens;
+let sessions;
+
+beforeEach(() => {
+  tokens = useMemoryStore(RefreshToken);
+  sessions = useMemoryStore(Session);
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const storedToken = (token) => tokens.find(doc => doc.tokenHash === hashToken(token));
+
+describe('refresh token rotation', () => {
+  test('replaces the presented token with a new one in the same session', async () => {
+    const login = await issueTokens(user, meta);
+
+    const rotated = await rotateRefreshToken(login.refreshToken, meta);
+
+    expect(rotated.refreshToken).not.toBe(login.refreshToken);
+    expect(rotated.token).toBeTruthy();
+    expect(storedToken(login.refreshToken)).toMatchObject({
+      revokedReason: 'rotated',
+      replacedBy: hashToken(rotated.refreshToken)
+    });
+    expect(storedToken(rotated.refreshToken).family).toBe(storedToken(login.refreshToken).family);
+    expect(storedToken(rotated.refreshToken).isActive).toBe(true);
+
+    // The new token rotates in turn
+    await expect(rotateRefreshToken(rotated.refreshToken, meta)).resolves.toHaveProperty('refreshToken');
+  });
+
+  test('revokes the whole token family when a rotated token is presented again', async () => {
+    const login = await issueTokens(user, meta);
+    const other = await issueTokens(user, meta);
+    const first = await rotateRefreshToken(login.refreshToken, meta);
+    const second = await rotateRefreshToken(first.refreshToken, meta);
+
+    await expect(rotateRefreshToken(login.refreshToken, meta))
+      .rejects.toMatchObject({ status: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+    const family = storedToken(login.refreshToken).family;
+    const familyTokens = tokens.filter(doc => doc.family === family);
+    expect(familyTokens).toHaveLength(3);
+    familyTokens.forEach(doc => expect(doc.revokedAt).toBeInstanceOf(Date));
+    expect(storedToken(second.refreshToken).revokedReason).toBe('reuse');
+
+    const session = sessions.find(doc => String(doc._id) === family);
+    expect(session).toMatchObject({ revokedReason: 'reuse' });
+    expect(session.isActive).toBe(false);
+
+    // The latest token of the family is no longer usable
+    await expect(rotateRefreshToken(second.refreshToken, meta))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+
+    // Other sessions are left alone
+    await expect(rotateRefreshToken(other.refreshToken, meta)).resolves.toHaveProperty('refreshToken');
+  });
+
+  test('lets only one of two concurrent rotations of a token through', async () => {
+    const login = await issueTokens(user, meta);
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(login.refreshToken, meta),
+      rotateRefreshToken(login.refreshToken, meta)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const [rejected] = results.filter(result => result.status === 'rejected');
+    expect(rejected.reason).toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+
+    const family = storedToken(login.refreshToken).family;
+    tokens
+      .filter(doc => doc.family === family)
+      .forEach(doc => expect(doc.revokedAt).toBeInstanceOf(Date));
+  });
+
+  test('rejects access tokens and unknown tokens', async () => {
+    const { token } = await issueTokens(user, meta);
+
+    await expect(rotateRefreshToken(token, meta))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    await expect(rotateRefreshToken('not-a-token', meta))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+});
@@ -0,0 +1,126 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const { config } = require('../config/config');
+const User = require('../Models/user');
+const LoginAttempt = require('../Models/loginAttempt');
+const RefreshToken = require('../Models/refreshToken');
+const Session = require('../Models/session');
+const { loginTwoFactor } = require('../Controllers/userController');
+const { errorHandler } = require('../middleware/errorMiddleware');
+const { generateTwoFactorChallenge } = require('../utils/tokens');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { useMemoryStore } = require('./helpers/memoryStore');
+
+const STEP = 30 * 1000;
+
+let users;
+let user;
+let recoveryCodes;
+
+const app = express();
+app.use(express.json());
+app.post('/login/2fa', loginTwoFactor);
+app.use(errorHandler);
+
+const submit = (body) => request(app)
+  .post('/login/2fa')
+  .send({ challengeToken: generateTwoFactorChallenge(user, 'login'), ...body });
+
+beforeEach(() => {
+  const secret = generateSecret();
+  users = useMemoryStore(User, [{
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Dana',
+    lastName: 'Levi',
+    email: 'dana@example.com',
+    role: 'client',
+    twoFactor: { enabled: true, secret, enabledAt: new Date() }
+  }]);
+  [user] = users;
+  recoveryCodes = user.generateRecoveryCodes();
+
+  useMemoryStore(LoginAttempt);
+  useMemoryStore(RefreshToken);
+  useMemoryStore(Session);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('two-factor login step', () => {
+  test('logs in with the current authenticator code', async () => {
+    const response = await submit({ code: generateCode(user.twoFactor.secret) });
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeTruthy();
+    expect(response.body.refreshToken).toBeTruthy();
+    expect(response.body.user).toMatchObject({ email: 'dana@example.com', twoFactorEnabled: true });
+  });
+
+  test('accepts a code from the previous time step to allow for clock drift', async () => {
+    const previous = Math.floor((Date.now() - STEP) / STEP);
+
+    const response = await submit({ code: generateCode(user.twoFactor.secret, previous) });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('rejects a wrong code', async () => {
+    const later = Math.floor(Date.now() / STEP) + 10;
+
+    const response = await submit({ code: generateCode(user.twoFactor.secret, later) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.token).toBeUndefined();
+  });
+
+  test('rejects a code that was already used', async () => {
+    const code = generateCode(user.twoFactor.secret);
+
+    expect((await submit({ code })).status).toBe(200);
+    const replay = await submit({ code });
+
+    expect(replay.status).toBe(401);
+  });
+
+  test('logs in once with each recovery code', async () => {
+    const [recoveryCode] = recoveryCodes;
+
+    const response = await submit({ recoveryCode: recoveryCode.toUpperCase() });
+    expect(response.status).toBe(200);
+    expect(user.twoFactor.recoveryCodes).toHaveLength(recoveryCodes.length - 1);
+
+    const reused = await submit({ recoveryCode });
+    expect(reused.status).toBe(401);
+
+    const unknown = await submit({ recoveryCode: 'aaaaa-bbbbb' });
+    expect(unknown.status).toBe(401);
+  });
+
+  test('requires a code', async () => {
+    const response = await submit({});
+
+    expect(response.status).toBe(400);
+  });
+
+  test('rejects an expired challenge and a challenge issued for enrollment', async () => {
+    const expired = jwt.sign(
+      { id: user._id, purpose: 'login', type: 'two_factor', iat: Math.floor(Date.now() / 1000) - 600 },
+      config.jwt.secret,
+      { expiresIn: '5m' }
+    );
+    const code = generateCode(user.twoFactor.secret);
+
+    const late = await submit({ challengeToken: expired, code });
+    expect(late.status).toBe(401);
+    expect(late.body.code).toBe('TWO_FACTOR_CHALLENGE_EXPIRED');
+
+    const setup = await submit({ challengeToken: generateTwoFactorChallenge(user, 'setup'), code });
+    expect(setup.status).toBe(401);
+    expect(setup.body.code).toBe('INVALID_TOKEN');
+  });
+});
@@ -0,0 +1,292 @@
+const User = require('../Models/user');
+const Professional = require('../Models/professional');
+const Appointment = require('../Models/appointment');
+const Review = require('../Models/review');
+const Comment = require('../Models/comment');
+const Service = require('../Models/service');
+const Session = require('../Models/session');
+const Favorite = require('../Models/favorite');
+const NotificationPreference = require('../Models/notificationPreference');
+const Schedule = require('../Models/schedule');
+const SlotHold = require('../Models/slotHold');
+const RefreshToken = require('../Models/refreshToken');
+const DataExport = require('../Models/dataExport');
+const AuditLog = require('../Models/auditLog');
+const { config } = require('../config/config');
+const { NOTIFICATION_EVENTS } = require('../config/notifications');
+const { logger } = require('./logger');
+const { sendEmail, notifyUser } = require('./notifications');
+const { hashToken } = require('./tokens');
+const { revokeUserSessions } = require('./sessions');
+const { removeProfilePicture, removeServiceImage } = require('./images');
+const { removeVerificationRequests } = require('./verification');
+const { removeDocuments } = require('./documents');
+const { removePortfolio } = require('./portfolio');
+const { deleteFile } = require('./storage');
+
+const fullName = (user) => [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+
+/**
+ * Schedule deletion after the grace period
+ */
+const scheduleDeletion = async (user, { requestedBy, ip } = {}) => {
+  const scheduledFor = new Date(Date.now() + config.privacy.deletionGracePeriod);
+
+  user.deletion = {
+    requestedAt: new Date(),
+    scheduledFor,
+    requestedBy: requestedBy || user._id
+  };
+  await user.save();
+
+  await AuditLog.record('account.deletion_scheduled', {
+    actor: requestedBy || user._id,
+    targetType: 'User',
+    targetId: user._id,
+    details: { scheduledFor },
+    ip
+  });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'בקשה למחיקת החשבון',
+      template: 'account-deletion-scheduled',
+      context: {
+        recipientName: user.firstName,
+        scheduledFor: scheduledFor.toLocaleDateString('he-IL'),
+        cancelUrl: `${config.client.url}/account/deletion`
+      }
+    });
+  } catch (error) {
+    logger.error('Error sending deletion email:', error);
+  }
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a scheduled deletion
+ */
+const cancelDeletion = async (user, { actor, ip } = {}) => {
+  if (!user.deletion?.scheduledFor) {
+    return false;
+  }
+
+  user.deletion = undefined;
+  await user.save();
+
+  await AuditLog.record('account.deletion_cancelled', {
+    actor: actor || user._id,
+    targetType: 'User',
+    targetId: user._id,
+    ip
+  });
+
+  return true;
+};
+
+/**
+ * Cancel upcoming appointments and tell the other party
+ */
+const cancelUpcomingAppointments = async (user, professional) => {
+  const parties = [{ client: user._id }];
+  if (professional) {
+    parties.push({ professional: professional._id });
+  }
+
+  const appointments = await Appointment.find({
+    $or: parties,
+    startTime: { $gt: new Date() },
+    status: { $in: ['pending', 'confirmed'] }
+  })
+    .populate('client', 'firstName lastName email phone')
+    .populate({ path: 'professional', populate: { path: 'userId', select: 'firstName lastName email phone' } })
+    .populate('service', 'name');
+
+  for (const appointment of appointments) {
+    appointment.status = 'cancelled';
+    await appointment.save();
+
+    const deletedIsClient = appointment.client?._id.equals(user._id);
+    const recipient = deletedIsClient ? appointment.professional?.userId : appointment.client;
+    if (!recipient) {
+      continue;
+    }
+
+    try {
+      const dateTime = appointment.startTime.toLocaleString('he-IL');
+      const data = { appointmentId: appointment._id };
+
+      await notifyUser(recipient, NOTIFICATION_EVENTS.APPOINTMENT_CANCELLED, {
+        email: {
+          subject: 'התור בוטל',
+          template: 'appointment-cancelled-account-deleted',
+          context: {
+            recipientName: recipient.firstName,
+            otherPartyName: fullName(user),
+            serviceName: appointment.service?.name,
+            dateTime,
+            searchUrl: deletedIsClient ? undefined : `${config.client.url}/search`
+          }
+        },
+        sms: { message: `התור עם ${fullName(user)} ב-${dateTime} בוטל` },
+        push: { title: 'התור בוטל', body: `${fullName(user)} ב-${dateTime}`, data },
+        inApp: { message: `התור עם ${fullName(user)} בוטל`, data }
+      });
+    } catch (error) {
+      logger.error('Error notifying about cancelled appointment:', error);
+    }
+  }
+
+  return appointments.length;
+};
+
+/**
+ * Permanently delete an account.
+ * Authored reviews and comments are anonymized so ratings stay consistent.
+ * Safe to re-run: the user document is removed last.
+ */
+const deleteAccount = async (userId, { actor, ip } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  const professional = await Professional.findOne({ userId: user._id });
+  const summary = {};
+
+  // Appointments: upcoming ones are cancelled, the rest stay as the other party's history
+  summary.appointmentsCancelled = await cancelUpcomingAppointments(user, professional);
+  const appointmentParties = [{ client: user._id }];
+  if (professional) {
+    appointmentParties.push({ professional: professional._id });
+  }
+  summary.appointmentsAnonymized = (await Appointment.updateMany(
+    { client: user._id },
+    { $set: { clientDeleted: true }, $unset: { client: '', notes: '' } }
+  )).modifiedCount;
+  if (professional) {
+    summary.appointmentsAnonymized += (await Appointment.updateMany(
+      { professional: professional._id },
+      { $set: { professionalDeleted: true }, $unset: { professional: '' } }
+    )).modifiedCount;
+  }
+  // Events in the deleted user's calendar can no longer be updated
+  await Appointment.updateMany(
+    { googleCalendarUser: user._id },
+    { $unset: { googleCalendarUser: '', googleEventId: '' } }
+  );
+  await SlotHold.deleteMany({ $or: appointmentParties });
+
+  // Authored content stays, without the author
+  summary.reviewsAnonymized = (await Review.updateMany(
+    { userId: user._id },
+    { $set: { authorDeleted: true }, $unset: { userId: '' } }
+  )).modifiedCount;
+  summary.commentsAnonymized = (await Comment.updateMany(
+    { user: user._id },
+    { $set: { authorDeleted: true }, $unset: { user: '' } }
+  )).modifiedCount;
+  await Comment.updateMany(
+    { 'reports.user': user._id },
+    { $pull: { reports: { user: user._id } } }
+  );
+
+  // Professional profile with its services and the feedback about it
+  if (professional) {
+    const services = await Service.find({ professionalId: professional._id });
+    summary.servicesDeleted = (await Service.deleteMany({ professionalId: professional._id })).deletedCount;
+    for (const service of services) {
+      for (const image of service.images || []) {
+        await removeServiceImage(image, service._id);
+      }
+    }
+
+    await Review.deleteMany({ professionalId: professional._id });
+    await Comment.deleteMany({ professional: professional._id });
+    await Favorite.deleteMany({ professional: professional._id });
+    await removeVerificationRequests(professional._id);
+    await removeDocuments(professional.certifications
+      .filter(certification => certification.document?.key)
+      .map(certification => certification.document));
+    await removePortfolio(professional._id);
+    await Schedule.deleteOne({ professional: professional._id });
+    await professional.deleteOne();
+    summary.professionalProfileDeleted = true;
+  }
+
+  await Favorite.deleteMany({ user: user._id });
+  await NotificationPreference.deleteOne({ user: user._id });
+
+  // Files, exports and sessions
+  await removeProfilePicture(user.profilePicture, user._id);
+
+  const dataExports = await DataExport.find({ user: user._id, fileKey: { $exists: true } }).select('+fileKey');
+  for (const job of dataExports) {
+    await deleteFile(job.fileKey);
+  }
+  await DataExport.deleteMany({ user: user._id });
+
+  await revokeUserSessions(user._id, { reason: 'revoked' });
+  await Session.deleteMany({ user: user._id });
+  await RefreshToken.deleteMany({ user: user._id });
+
+  await AuditLog.record('account.deleted', {
+    actor,
+    targetType: 'User',
+    targetId: user._id,
+    // Lets the DPO confirm a deletion for a given address without keeping it
+    details: { emailHash: hashToken(user.email.toLowerCase()), role: user.role, ...summary },
+    ip
+  });
+
+  await user.deleteOne();
+
+  logger.info('Account deleted:', { userId: user._id, ...summary });
+  return summary;
+};
+
+/**
+ * Claim one account whose grace period has ended. The claim is a single
+ * atomic update, so overlapping runs and several server instances never
+ * delete (and notify about) the same account twice. A claim that is not
+ * finished within config.privacy.deletionLeaseDuration lapses and the
+ * deletion is tried again.
+ */
+const claimDueDeletion = (now) => User.findOneAndUpdate(
+  {
+    'deletion.scheduledFor': { $lte: now },
+    $or: [
+      { 'deletion.claimedAt': null },
+      { 'deletion.claimedAt': { $lte: new Date(now.getTime() - config.privacy.deletionLeaseDuration) } }
+    ]
+  },
+  { $set: { 'deletion.claimedAt': now } },
+  { projection: { _id: 1 } }
+);
+
+/**
+ * Delete accounts whose grace period has ended
+ */
+const processDueDeletions = async (now = new Date()) => {
+  let processed = 0;
+  for (let claimed = await claimDueDeletion(now); claimed; claimed = await claimDueDeletion(now)) {
+    processed++;
+    try {
+      await deleteAccount(claimed._id);
+    } catch (error) {
+      // Left claimed; it is retried once the claim lapses
+      logger.error('Scheduled account deletion failed:', { userId: claimed._id, error: error.message });
+    }
+  }
+
+  return processed;
+};
+
+module.exports = {
+  scheduleDeletion,
+  cancelDeletion,
+  deleteAccount,
+  processDueDeletions
+};
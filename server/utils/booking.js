@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Appointment = require('../Models/appointment');
+const Schedule = require('../Models/schedule');
+const SlotHold = require('../Models/slotHold');
+const { config } = require('../config/config');
+const { APIError } = require('../middleware/errorMiddleware');
+const { invalidateSlots } = require('./slots');
+
+/**
+ * Run fn(schedule, session) in a transaction that holds the professional's
+ * booking lock. Concurrent transactions for the same professional write the
+ * same schedule document, so MongoDB aborts all but one and withTransaction
+ * retries them once the first has committed.
+ */
+const withBookingLock = async (professionalId, fn) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const schedule = await Schedule.findOneAndUpdate(
+        { professional: professionalId },
+        { $inc: { bookingVersion: 1 } },
+        { session, new: true, timestamps: false }
+      );
+      if (!schedule) {
+        throw new APIError('לבעל המקצוע אין שעות עבודה', 400, 'OUTSIDE_WORKING_HOURS');
+      }
+      result = await fn(schedule, session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Throw unless startTime-endTime can be booked: within working hours, after
+ * the minimum notice and clear of other appointments and holds, buffers
+ * included. `appointmentId` is an appointment being moved, which does not
+ * count as a clash.
+ */
+const assertBookable = async (schedule, startTime, endTime, session, appointmentId) => {
+  if (!schedule.isWorkingTime(startTime, endTime)) {
+    throw new APIError('המועד מחוץ לשעות העבודה', 400, 'OUTSIDE_WORKING_HOURS');
+  }
+  if (startTime < schedule.earliestStart()) {
+    throw new APIError(`יש לקבוע תור לפחות ${schedule.minNoticeMinutes} דקות מראש`, 400, 'MIN_NOTICE');
+  }
+
+  const { professional, bufferMinutes } = schedule;
+  // One operation at a time: a transaction's session does not run queries in parallel
+  const appointments = await Appointment.findOverlapping(professional, startTime, endTime, bufferMinutes)
+    .session(session);
+  const holds = await SlotHold.findOverlapping(professional, startTime, endTime, bufferMinutes)
+    .session(session);
+  if (appointments.some(appointment => !appointment._id.equals(appointmentId)) || holds.length) {
+    throw new APIError('המועד כבר תפוס', 409, 'SLOT_TAKEN');
+  }
+};
+
+const endOf = (startTime, service) => new Date(startTime.getTime() + service.duration * 60000);
+
+/**
+ * Reserve a slot for a client for config.booking.holdMinutes. A client keeps
+ * one hold per professional; a new one replaces it.
+ */
+const holdSlot = async ({ professionalId, service, client, startTime }) => {
+  const start = new Date(startTime);
+  const end = endOf(start, service);
+
+  const hold = await withBookingLock(professionalId, async (schedule, session) => {
+    await SlotHold.deleteMany({ professional: professionalId, client }, { session });
+    await assertBookable(schedule, start, end, session);
+
+    const [created] = await SlotHold.create([{
+      professional: professionalId,
+      service: service._id,
+      client,
+      startTime: start,
+      endTime: end,
+      expiresAt: new Date(Date.now() + config.booking.holdMinutes * 60000)
+    }], { session });
+    return created;
+  });
+
+  invalidateSlots(professionalId);
+  return hold;
+};
+
+/**
+ * Release a client's hold early
+ */
+const releaseHold = async (holdId, client) => {
+  const hold = await SlotHold.findOneAndDelete({ _id: holdId, client });
+  if (!hold) {
+    throw new APIError('השריון לא נמצא', 404, 'HOLD_NOT_FOUND');
+  }
+  invalidateSlots(hold.professional);
+  return hold;
+};
+
+/**
+ * Book an appointment atomically. With `holdId` the client's unexpired hold
+ * is turned into the appointment; otherwise the slot must be free of holds.
+ * `details` holds the remaining appointment fields (notes, reminders).
+ */
+const bookAppointment = async ({ professionalId, service, client, startTime, holdId }, details = {}) => {
+  const appointment = await withBookingLock(professionalId, async (schedule, session) => {
+    let start = new Date(startTime);
+    if (holdId) {
+      const hold = await SlotHold.findOne({ _id: holdId, client }).session(session);
+      if (!hold || hold.isExpired || !hold.professional.equals(professionalId) || !hold.service.equals(service._id)) {
+        throw new APIError('השריון פג או לא נמצא', 410, 'HOLD_EXPIRED');
+      }
+      start = hold.startTime;
+      await SlotHold.deleteOne({ _id: hold._id }, { session });
+    }
+
+    const end = endOf(start, service);
+    await assertBookable(schedule, start, end, session);
+
+    const created = new Appointment({
+      ...details,
+      professional: professionalId,
+      client,
+      service: service._id,
+      startTime: start,
+      endTime: end,
+      price: service.price
+    });
+    await created.save({ session });
+    return created;
+  });
+
+  invalidateSlots(professionalId);
+  return appointment;
+};
+
+/**
+ * Move an appointment to startTime, or with `needsApproval` record the new
+ * time for the other party to approve. The old and new times are kept in
+ * appointment.reschedules. Resolves to the saved appointment and the entry.
+ */
+const rescheduleAppointment = async (appointmentId, professionalId, startTime, { requestedBy, byProfessional, reason, needsApproval }) => {
+  const result = await withBookingLock(professionalId, async (schedule, session) => {
+    const appointment = await Appointment.findById(appointmentId).session(session);
+    if (!appointment.canReschedule()) {
+      throw new APIError('לא ניתן לשנות את מועד התור פחות מ-24 שעות לפניו', 400, 'CANNOT_RESCHEDULE');
+    }
+    if (appointment.pendingReschedule) {
+      throw new APIError('כבר קיימת בקשה ממתינה לשינוי מועד', 409, 'RESCHEDULE_PENDING');
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(start.getTime() + appointment.duration * 60000);
+    await assertBookable(schedule, start, end, session, appointment._id);
+
+    appointment.reschedules.push({
+      previousStartTime: appointment.startTime,
+      previousEndTime: appointment.endTime,
+      startTime: start,
+      endTime: end,
+      requestedBy,
+      byProfessional,
+      reason,
+      status: needsApproval ? 'pending' : 'applied',
+      decidedAt: needsApproval ? undefined : new Date()
+    });
+    if (!needsApproval) {
+      appointment.moveTo(start, end);
+    }
+    await appointment.save({ session });
+
+    return { appointment, reschedule: appointment.reschedules[appointment.reschedules.length - 1] };
+  });
+
+  invalidateSlots(professionalId);
+  return result;
+};
+
+/**
+ * Approve or decline the pending reschedule of an appointment. Approving
+ * checks the new time again, as it was not reserved while waiting.
+ */
+const decideReschedule = async (appointmentId, professionalId, approve) => {
+  const result = await withBookingLock(professionalId, async (schedule, session) => {
+    const appointment = await Appointment.findById(appointmentId).session(session);
+    const reschedule = appointment.pendingReschedule;
+    if (!reschedule) {
+      throw new APIError('אין בקשה ממתינה לשינוי מועד', 404, 'NO_PENDING_RESCHEDULE');
+    }
+
+    if (approve) {
+      if (!appointment.canReschedule()) {
+        throw new APIError('לא ניתן לשנות את מועד התור פחות מ-24 שעות לפניו', 400, 'CANNOT_RESCHEDULE');
+      }
+      await assertBookable(schedule, reschedule.startTime, reschedule.endTime, session, appointment._id);
+      appointment.moveTo(reschedule.startTime, reschedule.endTime);
+    }
+    reschedule.status = approve ? 'applied' : 'declined';
+    reschedule.decidedAt = new Date();
+    await appointment.save({ session });
+
+    return { appointment, reschedule };
+  });
+
+  invalidateSlots(professionalId);
+  return result;
+};
+
+module.exports = {
+  withBookingLock,
+  assertBookable,
+  holdSlot,
+  releaseHold,
+  bookAppointment,
+  rescheduleAppointment,
+  decideReschedule
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Category = require('../Models/category');
+const Professional = require('../Models/professional');
+const { APIError } = require('../middleware/errorMiddleware');
+
+const CATEGORY_FIELDS = ['categories', 'primaryCategory', 'subcategories', 'category'];
+
+const uniqueIds = (ids) => [...new Set([].concat(ids).filter(Boolean).map(String))];
+
+/**
+ * Validate the categories chosen for a professional profile.
+ * Takes `categories`, `primaryCategory` and `subcategories` (or the older
+ * single `category`, used as the primary one); fields that are not given
+ * keep their current value. Resolves to null when no category field is given.
+ */
+const resolveProfessionalCategories = async (input = {}, current = {}) => {
+  if (!CATEGORY_FIELDS.some(field => input[field] !== undefined)) {
+    return null;
+  }
+
+  const categories = uniqueIds(input.categories ?? current.categories ?? []);
+  const explicitPrimary = input.primaryCategory ?? input.category;
+  let primaryCategory = explicitPrimary ? String(explicitPrimary) : null;
+  if (!primaryCategory) {
+    // A primary category removed from the list is replaced by the first one
+    const currentPrimary = current.primaryCategory && String(current.primaryCategory);
+    primaryCategory = categories.includes(currentPrimary) ? currentPrimary : categories[0];
+  }
+  if (primaryCategory && !categories.includes(primaryCategory)) {
+    categories.unshift(primaryCategory);
+  }
+
+  if (!categories.length) {
+    throw new APIError('יש לבחור לפחות קטגוריה אחת', 400, 'INVALID_CATEGORY');
+  }
+  if (categories.length > Professional.MAX_CATEGORIES) {
+    throw new APIError(`ניתן לבחור עד ${Professional.MAX_CATEGORIES} קטגוריות`, 400, 'INVALID_CATEGORY');
+  }
+  if (!categories.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new APIError('קטגוריה לא תקינה', 400, 'INVALID_CATEGORY');
+  }
+
+  const found = await Category.find({ _id: { $in: categories }, isActive: true }).select('subcategories');
+  if (found.length !== categories.length) {
+    throw new APIError('קטגוריה לא קיימת או לא פעילה', 400, 'INVALID_CATEGORY');
+  }
+
+  // Subcategories must come from the chosen categories; ones left over
+  // from categories that were removed are dropped
+  const allowed = new Set(found.flatMap(category => category.subcategories));
+  let subcategories = [...new Set([].concat(input.subcategories ?? current.subcategories ?? []).map(String))];
+  if (input.subcategories !== undefined) {
+    const unknown = subcategories.filter(name => !allowed.has(name));
+    if (unknown.length) {
+      throw new APIError(`תת-קטגוריה לא קיימת: ${unknown.join(', ')}`, 400, 'INVALID_CATEGORY');
+    }
+  } else {
+    subcategories = subcategories.filter(name => allowed.has(name));
+  }
+
+  return { categories, primaryCategory, subcategories };
+};
+
+/**
+ * Body without the category fields, which only go through resolveProfessionalCategories()
+ */
+const withoutCategories = (data) => Object.fromEntries(
+  Object.entries(data).filter(([field]) => !CATEGORY_FIELDS.includes(field))
+);
+
+module.exports = {
+  resolveProfessionalCategories,
+  withoutCategories
+};
@@ -0,0 +1,160 @@
+const Professional = require('../Models/professional');
+const AuditLog = require('../Models/auditLog');
+const { config } = require('../config/config');
+const { logger } = require('./logger');
+const { sendEmail } = require('./notifications');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const certificationsUrl = () => `${config.client.url}/professional/certifications`;
+
+/**
+ * Reminder thresholds (days before expiry) a certification has reached
+ */
+const dueReminders = (certification, now) => {
+  const daysLeft = Math.ceil((certification.expiresAt - now) / DAY);
+  return config.certifications.reminderDays.filter(days => daysLeft <= days);
+};
+
+const sendCertificationEmail = async (user, subject, template, context) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      subject,
+      template,
+      context: { recipientName: user.firstName, certificationsUrl: certificationsUrl(), ...context }
+    });
+  } catch (error) {
+    logger.error('Error sending certification email:', error);
+  }
+};
+
+/**
+ * Email professionals whose certifications expire soon.
+ * A certification gets each reminder once; one that is added close to its
+ * expiry only gets the nearest reminder. The reminder is claimed with an
+ * atomic update before it is sent, so when several server instances run
+ * the job each reminder goes out once.
+ */
+const sendExpiryReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + Math.max(0, ...config.certifications.reminderDays) * DAY);
+  const professionals = await Professional.find({
+    certifications: { $elemMatch: { expiresAt: { $gt: now, $lte: horizon } } }
+  })
+    .select('userId certifications')
+    .populate('userId', 'firstName email');
+
+  let sent = 0;
+  for (const professional of professionals) {
+    for (const certification of professional.certifications) {
+      if (!certification.expiresAt || certification.expiresAt <= now || certification.expiresAt > horizon) {
+        continue;
+      }
+
+      const due = dueReminders(certification, now).filter(days => !certification.remindersSent.includes(days));
+      if (!due.length) {
+        continue;
+      }
+
+      const claimed = await Professional.findOneAndUpdate(
+        {
+          _id: professional._id,
+          certifications: { $elemMatch: { _id: certification._id, remindersSent: { $nin: due } } }
+        },
+        { $addToSet: { 'certifications.$.remindersSent': { $each: due } } },
+        { projection: { _id: 1 } }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      if (professional.userId) {
+        await sendCertificationEmail(professional.userId, 'רישיון שעומד לפוג', 'certification-expiring', {
+          certificationName: certification.name,
+          number: certification.number,
+          mandatory: certification.mandatory,
+          expiresAt: certification.expiresAt.toLocaleDateString('he-IL'),
+          daysLeft: Math.ceil((certification.expiresAt - now) / DAY)
+        });
+        sent++;
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Mark expired certifications as lapsed; a lapsed mandatory licence
+ * removes the verified badge until a new verification is approved.
+ */
+const processLapsedCertifications = async (now = new Date()) => {
+  const professionals = await Professional.find({
+    certifications: { $elemMatch: { expiresAt: { $lte: now }, lapsedAt: null } }
+  })
+    .select('userId certifications isVerified')
+    .populate('userId', 'firstName email');
+
+  let unverified = 0;
+  for (const professional of professionals) {
+    const lapsed = professional.certifications
+      .filter(certification => certification.expiresAt <= now && !certification.lapsedAt);
+    const mandatoryLapsed = lapsed.filter(certification => certification.mandatory);
+    const dropBadge = mandatoryLapsed.length > 0 && professional.isVerified;
+
+    const update = { $set: { 'certifications.$[lapsed].lapsedAt': now } };
+    if (dropBadge) {
+      update.$set.isVerified = false;
+      update.$unset = { verifiedAt: '' };
+    }
+    // Only one instance gets to mark them, and sends the email
+    const lapsedIds = lapsed.map(certification => certification._id);
+    const { modifiedCount } = await Professional.updateOne(
+      { _id: professional._id, certifications: { $elemMatch: { _id: { $in: lapsedIds }, lapsedAt: null } } },
+      update,
+      { arrayFilters: [{ 'lapsed._id': { $in: lapsedIds }, 'lapsed.lapsedAt': null }] }
+    );
+    if (!modifiedCount) {
+      continue;
+    }
+
+    if (dropBadge) {
+      unverified++;
+      await AuditLog.record('professional.verification_lapsed', {
+        targetType: 'Professional',
+        targetId: professional._id,
+        details: { certifications: mandatoryLapsed.map(certification => certification._id) }
+      });
+    }
+
+    if (professional.userId) {
+      await sendCertificationEmail(professional.userId, 'תוקף רישיון פג', 'certification-lapsed', {
+        certifications: lapsed.map(certification => ({
+          name: certification.name,
+          number: certification.number,
+          expiresAt: certification.expiresAt.toLocaleDateString('he-IL')
+        })),
+        verificationRemoved: dropBadge
+      });
+    }
+  }
+
+  return unverified;
+};
+
+/**
+ * Daily certification job
+ */
+const processCertificationExpiry = async (now = new Date()) => {
+  const reminders = await sendExpiryReminders(now);
+  const unverified = await processLapsedCertifications(now);
+
+  logger.info('Certification expiry processed', { reminders, unverified });
+  return { reminders, unverified };
+};
+
+module.exports = {
+  sendExpiryReminders,
+  processLapsedCertifications,
+  processCertificationExpiry
+};
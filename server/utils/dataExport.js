@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../Models/user');
+const Professional = require('../Models/professional');
+const Appointment = require('../Models/appointment');
+const Review = require('../Models/review');
+const Comment = require('../Models/comment');
+const Service = require('../Models/service');
+const Session = require('../Models/session');
+const Favorite = require('../Models/favorite');
+const NotificationPreference = require('../Models/notificationPreference');
+const VerificationRequest = require('../Models/verificationRequest');
+const PortfolioAlbum = require('../Models/portfolioAlbum');
+const Schedule = require('../Models/schedule');
+const DataExport = require('../Models/dataExport');
+const { config } = require('../config/config');
+const { logger } = require('./logger');
+const { sendEmail } = require('./notifications');
+const { hashToken } = require('./tokens');
+const { profilePictureKey, serviceImageKey, portfolioImageKey } = require('./images');
+const { portfolioVideoKey } = require('./portfolio');
+const { putFile, fileExists, deleteFile, getFileStream } = require('./storage');
+
+/**
+ * Gather everything stored about a user
+ */
+const collectUserData = async (userId) => {
+  // Secrets (password hash, 2FA secrets, OAuth tokens) are never exported
+  const user = await User.findById(userId).select('-password').lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const professional = await Professional.findOne({ userId }).lean();
+
+  const appointmentQuery = professional
+    ? { $or: [{ client: userId }, { professional: professional._id }] }
+    : { client: userId };
+
+  const [
+    appointments, reviews, comments, reportedComments, services, sessions, favorites, notificationPreferences,
+    verificationRequests, portfolio, schedule
+  ] = await Promise.all([
+    Appointment.find(appointmentQuery).lean(),
+    Review.find({ userId }).lean(),
+    Comment.find({ user: userId }).select('-reports').lean(),
+    Comment.find({ 'reports.user': userId }).select('reports content').lean(),
+    professional ? Service.find({ professionalId: professional._id }).lean() : [],
+    Session.find({ user: userId }).lean(),
+    Favorite.find({ user: userId }).select('professional lists createdAt').lean(),
+    NotificationPreference.findOne({ user: userId }).select('-_id -__v -user').lean(),
+    // Internal review notes stay with the reviewers
+    professional ? VerificationRequest.find({ professional: professional._id }).select('-notes').lean() : [],
+    professional ? PortfolioAlbum.find({ professional: professional._id }).sort({ position: 1 }).lean() : [],
+    professional ? Schedule.findOne({ professional: professional._id }).select('-_id -__v -professional').lean() : null
+  ]);
+
+  const reports = reportedComments.flatMap(comment => comment.reports
+    .filter(report => report.user.equals(userId))
+    .map(report => ({
+      comment: comment._id,
+      commentContent: comment.content,
+      reason: report.reason,
+      status: report.status,
+      createdAt: report.createdAt
+    })));
+
+  return {
+    user,
+    professional,
+    appointments,
+    reviews,
+    comments,
+    reports,
+    services,
+    sessions,
+    favorites,
+    notificationPreferences,
+    verificationRequests,
+    portfolio,
+    schedule
+  };
+};
+
+/**
+ * Uploaded files that belong to the user and still exist in storage
+ */
+const collectUserFiles = async ({ user, professional, services, verificationRequests, portfolio }) => {
+  const candidates = [];
+
+  if (user.profilePicture) {
+    candidates.push({ key: profilePictureKey(user.profilePicture), folder: 'profile' });
+  }
+
+  services.forEach(service => {
+    (service.images || []).forEach(image => {
+      if (image.hash) {
+        candidates.push({ key: serviceImageKey(image.hash), folder: `services/${service._id}` });
+      } else if (image.url && !/^https?:\/\//.test(image.url)) {
+        candidates.push({ key: path.basename(image.url), folder: `services/${service._id}` });
+      }
+    });
+  });
+
+  (professional?.certifications || [])
+    .filter(certification => certification.document?.key)
+    .forEach(certification => {
+      candidates.push({ key: certification.document.key, folder: `certifications/${certification._id}` });
+    });
+
+  verificationRequests.forEach(request => {
+    request.documents.forEach(document => {
+      candidates.push({ key: document.key, folder: `verification/${request._id}` });
+    });
+  });
+
+  portfolio.forEach(album => {
+    album.items.forEach(item => {
+      const folder = `portfolio/${album._id}`;
+      if (item.type === 'video') {
+        candidates.push({ key: portfolioVideoKey(item.hash, item.format), folder });
+      } else {
+        candidates.push({ key: portfolioImageKey(item.hash), folder });
+      }
+    });
+  });
+
+  const found = await Promise.all(candidates.map(({ key }) => fileExists(key).catch(() => false)));
+  return candidates.filter((candidate, index) => found[index]);
+};
+
+/**
+ * Human-readable overview placed at the root of the archive
+ */
+const buildSummary = (data, files, generatedAt) => {
+  const { user, professional } = data;
+  const lines = [
+    'ייצוא מידע אישי - My Professional',
+    `נוצר בתאריך: ${generatedAt.toLocaleString('he-IL')}`,
+    '',
+    `שם: ${[user.firstName, user.lastName].filter(Boolean).join(' ')}`,
+    `אימייל: ${user.email}`,
+    `תפקיד: ${user.role}`,
+    `תאריך הצטרפות: ${user.createdAt ? new Date(user.createdAt).toLocaleDateString('he-IL') : '-'}`,
+    '',
+    'תוכן הקובץ:',
+    '- user.json: פרטי החשבון',
+    `- professional.json: פרופיל מקצועי (${professional ? 'קיים' : 'אין'})`,
+    `- appointments.json: ${data.appointments.length} תורים (כלקוח וכמקצוען)`,
+    `- reviews.json: ${data.reviews.length} ביקורות שכתבת`,
+    `- comments.json: ${data.comments.length} תגובות שכתבת`,
+    `- reports.json: ${data.reports.length} דיווחים ששלחת על תגובות`,
+    `- services.json: ${data.services.length} שירותים`,
+    `- sessions.json: ${data.sessions.length} חיבורים (מכשיר, כתובת IP, מועדי שימוש)`,
+    `- favorites.json: ${data.favorites.length} אנשי מקצוע ששמרת`,
+    `- verificationRequests.json: ${data.verificationRequests.length} בקשות אימות מקצועי`,
+    `- portfolio.json: ${data.portfolio.length} אלבומי עבודות`,
+    `- schedule.json: שעות עבודה, חריגים וחופשות (${data.schedule ? 'מוגדרים' : 'אין'})`,
+    `- notificationPreferences.json: הגדרות התראות (${data.notificationPreferences ? 'מותאמות אישית' : 'ברירת מחדל'})`,
+    `- files/: ${files.length} קבצים שהעלית`,
+    '',
+    'סיסמאות, קודי אימות דו-שלבי וטוקנים של ספקי התחברות אינם נכללים בייצוא.'
+  ];
+
+  return lines.join('\n');
+};
+
+const exportKey = (exportId) => `exports/export-${exportId}.zip`;
+
+/**
+ * Resolve once the archive has written the named entry
+ */
+const entryWritten = (archive, name) => new Promise((resolve, reject) => {
+  const onEntry = (entry) => {
+    if (entry.name === name) {
+      cleanup();
+      resolve();
+    }
+  };
+  const onError = (error) => {
+    cleanup();
+    reject(error);
+  };
+  const cleanup = () => {
+    archive.off('entry', onEntry);
+    archive.off('error', onError);
+  };
+  archive.on('entry', onEntry);
+  archive.on('error', onError);
+});
+
+/**
+ * Write the ZIP archive to storage and resolve with its size.
+ * Stored files are opened one at a time, as the archive reaches them.
+ */
+const storeArchive = async (key, data, files) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const upload = putFile(key, archive, { contentType: 'application/zip' });
+
+  const appendEntries = async () => {
+    archive.append(buildSummary(data, files, new Date()), { name: 'summary.txt' });
+    Object.entries(data).forEach(([name, value]) => {
+      archive.append(JSON.stringify(value, null, 2), { name: `${name}.json` });
+    });
+
+    for (const { key: fileKey, folder } of files) {
+      const name = `files/${folder}/${path.basename(fileKey)}`;
+      const { body } = await getFileStream(fileKey);
+      const written = entryWritten(archive, name);
+      archive.append(body, { name });
+      await written;
+    }
+
+    await archive.finalize();
+  };
+
+  // Either side failing stops the other, and no partial archive is stored
+  const results = await Promise.allSettled([upload, appendEntries()].map(step => step.catch((error) => {
+    archive.destroy(error);
+    throw error;
+  })));
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    throw failed.reason;
+  }
+  return archive.pointer();
+};
+
+/**
+ * Claim an export job. A pending job, or one whose claim has lapsed (the
+ * instance building it stopped), goes to exactly one instance.
+ */
+const claimExport = (exportId, now = new Date()) => DataExport.findOneAndUpdate(
+  {
+    _id: exportId,
+    $or: [
+      { status: 'pending' },
+      { status: 'processing', claimedAt: { $lte: new Date(now.getTime() - config.privacy.exportLeaseDuration) } }
+    ]
+  },
+  { status: 'processing', claimedBy: crypto.randomUUID(), claimedAt: now },
+  { new: true }
+);
+
+/**
+ * Build the archive for an export job and email the download link
+ */
+const processExport = async (exportId) => {
+  const job = await claimExport(exportId);
+  if (!job) {
+    return;
+  }
+  // Updates only apply while the claim is still ours
+  const claimed = { _id: job._id, claimedBy: job.claimedBy };
+
+  try {
+    const data = await collectUserData(job.user);
+    const files = await collectUserFiles(data);
+    const fileKey = exportKey(job._id);
+    const fileSize = await storeArchive(fileKey, data, files);
+
+    const downloadToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + config.privacy.exportExpiry);
+
+    const { modifiedCount } = await DataExport.updateOne(
+      claimed,
+      {
+        $set: {
+          status: 'ready',
+          fileKey,
+          fileSize,
+          downloadTokenHash: hashToken(downloadToken),
+          completedAt: new Date(),
+          expiresAt
+        },
+        $unset: { claimedBy: '', claimedAt: '' }
+      }
+    );
+    if (!modifiedCount) {
+      logger.warn('Data export claim lapsed before it finished:', { exportId: job._id });
+      return;
+    }
+
+    logger.info('Data export ready:', { exportId: job._id, userId: job.user });
+
+    const recipient = await User.findById(job.requestedBy).select('email firstName');
+    if (recipient) {
+      await sendEmail({
+        to: recipient.email,
+        subject: 'הקובץ עם המידע האישי מוכן להורדה',
+        template: 'data-export-ready',
+        context: {
+          recipientName: recipient.firstName,
+          forAnotherUser: !job.user.equals(job.requestedBy),
+          downloadUrl: `${config.api.url}${config.api.prefix}/users/exports/${job._id}/download?token=${downloadToken}`,
+          expiresInHours: Math.round(config.privacy.exportExpiry / 3600000)
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('Data export failed:', { exportId: job._id, error: error.message });
+    await DataExport.updateOne(
+      claimed,
+      { $set: { status: 'failed', error: error.message }, $unset: { claimedBy: '', claimedAt: '' } }
+    );
+  }
+};
+
+/**
+ * Queue an export and process it in the background
+ */
+const requestExport = async (userId, requestedBy) => {
+  const job = await DataExport.create({ user: userId, requestedBy });
+
+  setImmediate(() => {
+    processExport(job._id).catch(error => {
+      logger.error('Data export processing error:', error);
+    });
+  });
+
+  return job;
+};
+
+/**
+ * Pick up jobs that are waiting or whose instance stopped while building
+ * them; jobs still claimed by a running instance are left alone
+ */
+const resumePendingExports = async () => {
+  const lapsed = new Date(Date.now() - config.privacy.exportLeaseDuration);
+  const pending = await DataExport.find({
+    $or: [
+      { status: 'pending' },
+      { status: 'processing', claimedAt: { $lte: lapsed } }
+    ]
+  }).select('_id');
+
+  for (const job of pending) {
+    await processExport(job._id);
+  }
+  return pending.length;
+};
+
+/**
+ * Delete archives whose link has expired
+ */
+const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({
+    status: 'ready',
+    expiresAt: { $lte: new Date() }
+  }).select('+fileKey');
+
+  for (const job of expired) {
+    if (job.fileKey) {
+      await deleteFile(job.fileKey);
+    }
+    job.status = 'expired';
+    job.fileKey = undefined;
+    job.downloadTokenHash = undefined;
+    await job.save();
+  }
+
+  if (expired.length) {
+    logger.info('Expired data exports removed:', { count: expired.length });
+  }
+  return expired.length;
+};
+
+module.exports = {
+  collectUserData,
+  processExport,
+  requestExport,
+  resumePendingExports,
+  cleanupExpiredExports
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const path = require('path');
+const { APIError } = require('../middleware/errorMiddleware');
+const { logger } = require('./logger');
+const { detectImageType } = require('./images');
+const { putFile, deleteFile, getSignedFileUrl } = require('./storage');
+
+// Accepted document formats by detected type
+const DOCUMENT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' }
+};
+
+/**
+ * Document type from the file content (the name and declared MIME type are not trusted)
+ */
+const detectDocumentType = (buffer) => {
+  if (buffer?.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  const imageType = buffer && detectImageType(buffer);
+  return DOCUMENT_FORMATS[imageType] ? imageType : null;
+};
+
+// Original name kept for downloads, without path or control characters
+const safeFilename = (name, extension) => {
+  const base = path.basename(name || '').replace(/[\u0000-\u001f"\\]/g, '').slice(0, 100);
+  return base || `document.${extension}`;
+};
+
+/**
+ * Store an uploaded document under a random key in a private folder.
+ * Documents are never public; hand them out with documentUrl().
+ */
+const storeDocument = async (file, folder) => {
+  const format = DOCUMENT_FORMATS[detectDocumentType(file?.buffer)];
+  if (!format) {
+    throw new APIError('סוג הקובץ אינו נתמך, יש להעלות PDF, JPEG או PNG', 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const key = `${folder}/${crypto.randomBytes(16).toString('hex')}.${format.extension}`;
+  await putFile(key, file.buffer, { contentType: format.contentType });
+
+  return {
+    key,
+    filename: safeFilename(file.originalname, format.extension),
+    contentType: format.contentType,
+    size: file.size,
+    uploadedAt: new Date()
+  };
+};
+
+/**
+ * Signed, expiring download URL of a stored document
+ */
+const documentUrl = (document) => getSignedFileUrl(document.key, { filename: document.filename });
+
+/**
+ * Remove stored documents; missing files are not an error
+ */
+const removeDocuments = async (documents = []) => {
+  for (const document of documents) {
+    try {
+      await deleteFile(document.key);
+    } catch (error) {
+      logger.error(`Failed to remove document ${document.key}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  detectDocumentType,
+  storeDocument,
+  documentUrl,
+  removeDocuments
+};
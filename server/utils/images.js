@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const User = require('../Models/user');
+const Service = require('../Models/service');
+const PortfolioAlbum = require('../Models/portfolioAlbum');
+const { config } = require('../config/config');
+const { APIError } = require('../middleware/errorMiddleware');
+const { putFile, fileExists, deleteFile } = require('./storage');
+
+// Square profile picture variants, in pixels
+const PROFILE_VARIANTS = {
+  thumb: 96,
+  medium: 320,
+  large: 800
+};
+
+// Service gallery variants, longest side in pixels
+const SERVICE_IMAGE_VARIANTS = {
+  thumb: 320,
+  large: 1280
+};
+
+// Portfolio variants, longest side in pixels
+const PORTFOLIO_VARIANTS = {
+  thumb: 400,
+  large: 1600
+};
+
+const IMAGE_FORMATS = {
+  webp: { contentType: 'image/webp', encode: (image) => image.webp({ quality: 80 }) },
+  jpg: { contentType: 'image/jpeg', encode: (image) => image.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }) }
+};
+
+const HASH_PATTERN = /^[a-f0-9]{32}$/;
+
+// Variant files never change, so caches may keep them
+const imageCacheControl = () => `public, max-age=${Math.floor(config.upload.imageCacheMaxAge / 1000)}, immutable`;
+
+// Leading bytes of the accepted upload formats
+const SIGNATURES = [
+  ['jpeg', (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff],
+  ['png', (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))],
+  ['gif', (buffer) => /^GIF8[79]a/.test(buffer.subarray(0, 6).toString('latin1'))],
+  ['webp', (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP']
+];
+
+/**
+ * Image type from the file content (the name and declared MIME type are not trusted)
+ */
+const detectImageType = (buffer) => {
+  const match = SIGNATURES.find(([, test]) => test(buffer));
+  return match ? match[0] : null;
+};
+
+/**
+ * Stored pictures are content hashes; older ones are upload paths
+ */
+const isImageHash = (value) => HASH_PATTERN.test(value || '');
+
+const variantKey = (folder, hash, size, format) => `${folder}/${hash}-${size}.${format}`;
+
+const variantKeys = (folder, hash, variants) => Object.keys(variants)
+  .flatMap(size => Object.keys(IMAGE_FORMATS).map(format => variantKey(folder, hash, size, format)));
+
+/**
+ * Storage key of a profile picture (legacy uploads have a single file)
+ */
+const profilePictureKey = (picture, size = 'large', format = 'jpg') => {
+  if (isImageHash(picture)) {
+    return variantKey('images', picture, size, format);
+  }
+  return path.basename(picture);
+};
+
+/**
+ * Storage key of a service image variant
+ */
+const serviceImageKey = (hash, size = 'large', format = 'jpg') => variantKey('services', hash, size, format);
+
+/**
+ * Storage key of a portfolio image variant
+ */
+const portfolioImageKey = (hash, size = 'large', format = 'jpg') => variantKey('portfolio', hash, size, format);
+
+/**
+ * Public URL of a profile picture variant
+ */
+const profilePictureUrl = (hash, size = 'medium', format = 'webp') => {
+  return `${config.api.prefix}/profile/pictures/${hash}/${size}.${format}`;
+};
+
+/**
+ * Public URL of a service image variant
+ */
+const serviceImageUrl = (hash, size = 'large', format = 'webp') => {
+  return `${config.api.prefix}/services/images/${hash}/${size}.${format}`;
+};
+
+/**
+ * Public URL of a portfolio image variant
+ */
+const portfolioImageUrl = (hash, size = 'large', format = 'webp') => {
+  return `${config.api.prefix}/professionals/portfolio/images/${hash}/${size}.${format}`;
+};
+
+/**
+ * Validate, re-encode and resize an uploaded image into stored variants.
+ * Re-encoding drops EXIF and other metadata. Returns the content hash.
+ */
+const processImage = async (buffer, { folder, variants, fit }) => {
+  if (!buffer || !detectImageType(buffer)) {
+    throw new APIError('סוג הקובץ אינו נתמך, יש להעלות תמונה', 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+
+  // Identical uploads produce identical files
+  const existing = await Promise.all(variantKeys(folder, hash, variants).map(key => fileExists(key)));
+  if (existing.every(Boolean)) {
+    return hash;
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const source = sharp(buffer, { limitInputPixels: config.upload.maxImagePixels }).rotate();
+
+  try {
+    await source.metadata();
+  } catch (error) {
+    throw new APIError('קובץ התמונה פגום', 422, 'INVALID_IMAGE');
+  }
+
+  for (const [size, pixels] of Object.entries(variants)) {
+    for (const [format, { contentType, encode }] of Object.entries(IMAGE_FORMATS)) {
+      let output;
+      try {
+        const resized = source.clone().resize(pixels, pixels, { fit, withoutEnlargement: true });
+        output = await encode(resized).toBuffer();
+      } catch (error) {
+        throw new APIError('קובץ התמונה פגום', 422, 'INVALID_IMAGE');
+      }
+
+      await putFile(variantKey(folder, hash, size, format), output, {
+        contentType,
+        cacheControl: imageCacheControl()
+      });
+    }
+  }
+
+  return hash;
+};
+
+const processProfilePicture = (buffer) => processImage(buffer, {
+  folder: 'images',
+  variants: PROFILE_VARIANTS,
+  fit: 'cover'
+});
+
+const processServiceImage = (buffer) => processImage(buffer, {
+  folder: 'services',
+  variants: SERVICE_IMAGE_VARIANTS,
+  fit: 'inside'
+});
+
+const processPortfolioImage = (buffer) => processImage(buffer, {
+  folder: 'portfolio',
+  variants: PORTFOLIO_VARIANTS,
+  fit: 'inside'
+});
+
+/**
+ * Remove a profile picture's files unless another user has the same picture
+ */
+const removeProfilePicture = async (picture, userId) => {
+  if (!picture) {
+    return;
+  }
+
+  if (!isImageHash(picture)) {
+    await deleteFile(profilePictureKey(picture));
+    return;
+  }
+
+  const inUse = await User.exists({ profilePicture: picture, _id: { $ne: userId } });
+  if (inUse) {
+    return;
+  }
+
+  await Promise.all(variantKeys('images', picture, PROFILE_VARIANTS).map(key => deleteFile(key)));
+};
+
+/**
+ * Remove a service image's files unless another service uses the same image
+ */
+const removeServiceImage = async (image, serviceId) => {
+  if (!image.hash) {
+    // Images added before uploads went through storage
+    if (image.url && !/^https?:\/\//.test(image.url)) {
+      await deleteFile(path.basename(image.url));
+    }
+    return;
+  }
+
+  const inUse = await Service.exists({ 'images.hash': image.hash, _id: { $ne: serviceId } });
+  if (inUse) {
+    return;
+  }
+
+  await Promise.all(variantKeys('services', image.hash, SERVICE_IMAGE_VARIANTS).map(key => deleteFile(key)));
+};
+
+/**
+ * Remove a portfolio image's files unless an album item still uses it
+ * (as an image or a video poster)
+ */
+const removePortfolioImage = async (hash) => {
+  if (!isImageHash(hash)) {
+    return;
+  }
+
+  const inUse = await PortfolioAlbum.exists({ $or: [{ 'items.hash': hash }, { 'items.poster': hash }] });
+  if (inUse) {
+    return;
+  }
+
+  await Promise.all(variantKeys('portfolio', hash, PORTFOLIO_VARIANTS).map(key => deleteFile(key)));
+};
+
+module.exports = {
+  PROFILE_VARIANTS,
+  SERVICE_IMAGE_VARIANTS,
+  PORTFOLIO_VARIANTS,
+  IMAGE_FORMATS,
+  imageCacheControl,
+  detectImageType,
+  isImageHash,
+  profilePictureKey,
+  profilePictureUrl,
+  serviceImageKey,
+  serviceImageUrl,
+  portfolioImageKey,
+  portfolioImageUrl,
+  processProfilePicture,
+  processServiceImage,
+  processPortfolioImage,
+  removeProfilePicture,
+  removeServiceImage,
+  removePortfolioImage
+};
@@ -0,0 +1,189 @@
+const User = require('../Models/user');
+const LoginAttempt = require('../Models/loginAttempt');
+const { config } = require('../config/config');
+const { logger } = require('./logger');
+const { sendEmail } = require('./notifications');
+
+const settings = () => config.security.login;
+
+/**
+ * Delay required before the next attempt, in ms.
+ * Doubles with every failure after the first `delayAfter` ones.
+ */
+const getRequiredDelay = (failedAttempts) => {
+  const { delayAfter, delayBase, maxDelay } = settings();
+  if (failedAttempts < delayAfter) {
+    return 0;
+  }
+  return Math.min(delayBase * 2 ** (failedAttempts - delayAfter), maxDelay);
+};
+
+/**
+ * Notify the account owner about a lockout
+ */
+const sendLockoutEmail = async (user, { ip, lockedUntil }) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'החשבון שלך ננעל זמנית',
+      template: 'account-locked',
+      context: {
+        recipientName: user.firstName,
+        lockedMinutes: Math.round(settings().lockoutDuration / 60000),
+        lockedUntil: lockedUntil.toLocaleString('he-IL'),
+        ip,
+        resetUrl: `${config.client.url}/forgot-password`
+      }
+    });
+  } catch (error) {
+    logger.error('Error sending lockout email:', error);
+  }
+};
+
+/**
+ * Count a login attempt for the IP and, when known, the account before its
+ * credentials are checked, so concurrent guesses cannot share one allowance.
+ * Returns null, or { reason, retryAfter } with retryAfter in seconds.
+ */
+const registerLoginAttempt = async ({ user, ip }) => {
+  const {
+    maxAttempts,
+    lockoutDuration,
+    ipMaxAttempts,
+    ipWindow,
+    ipLockoutDuration
+  } = settings();
+  const now = new Date();
+
+  if (ip) {
+    let attempt = await LoginAttempt.registerAttempt(ip, { window: ipWindow });
+
+    // Only the attempt past the limit locks the address
+    if (attempt && !attempt.isLocked && attempt.failedAttempts > ipMaxAttempts) {
+      const locked = await LoginAttempt.lock(attempt._id, ipLockoutDuration);
+      if (locked) {
+        logger.warn('IP address locked after failed logins:', { ip });
+      }
+      attempt = locked || await LoginAttempt.findOne({ ip });
+    }
+
+    if (attempt?.isLocked) {
+      return {
+        reason: 'ip_locked',
+        retryAfter: Math.ceil((attempt.lockedUntil.getTime() - now.getTime()) / 1000)
+      };
+    }
+  }
+
+  if (!user) {
+    return null;
+  }
+
+  // The counters as they were before this attempt; each concurrent attempt
+  // sees a different count
+  const unlocked = {
+    $or: [
+      { 'loginSecurity.lockedUntil': null },
+      { 'loginSecurity.lockedUntil': { $lte: now } }
+    ]
+  };
+  const previous = await User.findOneAndUpdate(
+    { _id: user._id, ...unlocked },
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': now }
+    },
+    { new: false, projection: { loginSecurity: 1 } }
+  );
+
+  if (!previous) {
+    const current = await User.findById(user._id).select('loginSecurity');
+    const lockedUntil = current?.loginSecurity?.lockedUntil;
+    return lockedUntil > now
+      ? { reason: 'account_locked', retryAfter: Math.ceil((lockedUntil.getTime() - now.getTime()) / 1000) }
+      : null;
+  }
+
+  const security = previous.loginSecurity || {};
+  const failedAttempts = security.failedAttempts || 0;
+
+  if (failedAttempts >= maxAttempts) {
+    // Only the attempt that crosses the limit locks the account
+    const lockedUntil = new Date(now.getTime() + lockoutDuration);
+    const locked = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        'loginSecurity.failedAttempts': { $gt: maxAttempts },
+        ...unlocked
+      },
+      {
+        $set: {
+          'loginSecurity.failedAttempts': 0,
+          'loginSecurity.lockedUntil': lockedUntil
+        },
+        $inc: { 'loginSecurity.lockouts': 1 }
+      },
+      { new: true }
+    );
+
+    if (locked) {
+      logger.warn('Account locked after failed logins:', { userId: user._id, ip });
+      await sendLockoutEmail(user, { ip, lockedUntil });
+    }
+    return {
+      reason: 'account_locked',
+      retryAfter: Math.ceil(lockoutDuration / 1000)
+    };
+  }
+
+  const delay = getRequiredDelay(failedAttempts);
+  if (delay && security.lastFailedAt) {
+    const allowedAt = security.lastFailedAt.getTime() + delay;
+    if (allowedAt > now.getTime()) {
+      return {
+        reason: 'too_many_attempts',
+        retryAfter: Math.ceil((allowedAt - now.getTime()) / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Clear the account counters and release the IP attempt after a successful login
+ */
+const recordLoginSuccess = async ({ user, ip }) => {
+  if (ip) {
+    await LoginAttempt.releaseAttempt(ip);
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0 },
+      $unset: { 'loginSecurity.lastFailedAt': '', 'loginSecurity.lockedUntil': '' }
+    }
+  );
+};
+
+/**
+ * Unlock an account (admin)
+ */
+const unlockAccount = (userId) => {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      $set: { 'loginSecurity.failedAttempts': 0 },
+      $unset: { 'loginSecurity.lastFailedAt': '', 'loginSecurity.lockedUntil': '' }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  getRequiredDelay,
+  registerLoginAttempt,
+  recordLoginSuccess,
+  unlockAccount
+};
@@ -2,7 +2,10 @@ const nodemailer = require('nodemailer');
 const handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
+const User = require('../Models/user');
+const NotificationPreference = require('../Models/notificationPreference');
 const { config } = require('../config/config');
+const { CHANNELS, NOTIFICATION_EVENTS } = require('../config/notifications');
 const { logger } = require('./logger');
 const { emitToUser, emitToProfessional } = require('./socketManager');
 
@@ -35,8 +38,11 @@ const sendEmail = async ({ to, subject, template, context }) => {
     // Load layout template
     const layoutTemplate = await loadTemplate('layout');
     const finalHtml = layoutTemplate({
-      content: html,
-      year: new Date().getFullYear()
+      body: html,
+      websiteName: 'My Professional',
+      websiteUrl: config.client.url,
+      supportEmail: config.email.from,
+      currentYear: new Date().getFullYear()
     });
 
     // Send email
@@ -112,114 +118,257 @@ const sendSMS = async ({ phone, message }) => {
   }
 };
 
+/**
+ * Notify a user about an event on the channels their preferences allow
+ *
+ * `messages` holds the content per channel ({ email, sms, push, inApp });
+ * channels without content are skipped, as is SMS for users without a phone.
+ * A failing channel does not stop the others. Resolves to the channels the
+ * notification was delivered on.
+ */
+const notifyUser = async (recipient, event, messages, { channels, preferences, date = new Date() } = {}) => {
+  const user = recipient?.email
+    ? recipient
+    : await User.findById(recipient?._id || recipient).select('firstName lastName email phone');
+  if (!user) {
+    return [];
+  }
+
+  const userPreferences = preferences || await NotificationPreference.forUser(user._id);
+  const senders = {
+    [CHANNELS.EMAIL]: (content) => sendEmail({ to: user.email, ...content }),
+    [CHANNELS.SMS]: user.phone && ((content) => sendSMS({ phone: user.phone, ...content })),
+    [CHANNELS.PUSH]: (content) => sendPushNotification({ userId: user._id, ...content }),
+    [CHANNELS.IN_APP]: (content) => sendInAppNotification({ userId: user._id, type: event, ...content })
+  };
+
+  const deliveries = Object.entries(senders).filter(([channel, send]) =>
+    send &&
+    messages[channel] &&
+    (!channels || channels.includes(channel)) &&
+    userPreferences.allowsChannel(event, channel, date)
+  );
+
+  const results = await Promise.allSettled(deliveries.map(([channel, send]) => send(messages[channel])));
+  return deliveries
+    .filter((delivery, index) => results[index].status === 'fulfilled')
+    .map(([channel]) => channel);
+};
+
+const fullName = (user) => [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+
+// Shared email context of appointment notifications
+const appointmentContext = ({ appointment, service = appointment.service, client, professionalUser }) => ({
+  clientName: fullName(client),
+  professionalName: fullName(professionalUser),
+  serviceName: service?.name,
+  dateTime: new Date(appointment.startTime).toLocaleString('he-IL'),
+  price: appointment.price,
+  appointmentUrl: `${config.client.url}/appointments/${appointment._id}`
+});
+
+// Link that adds an appointment to the recipient's Google Calendar
+const googleCalendarUrl = ({ startTime, endTime }, { serviceName, professionalName }) => {
+  const format = (date) => new Date(date).toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: [serviceName, professionalName].filter(Boolean).join(' - '),
+    dates: `${format(startTime)}/${format(endTime)}`
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+};
+
 /**
  * Notification templates
  */
 const templates = {
   // Appointment notifications
-  appointmentConfirmation: async (appointment) => {
-    const { user, professional, datetime } = appointment;
-    
-    // Send email to user
-    await sendEmail({
-      to: user.email,
-      subject: 'אישור תור',
-      template: 'appointment-confirmation',
-      context: { appointment, user, professional }
+  appointmentCreated: async ({ appointment, service, client, professionalUser }) => {
+    const context = appointmentContext({ appointment, service, client, professionalUser });
+    const data = { appointmentId: appointment._id };
+
+    await Promise.all([
+      notifyUser(client, NOTIFICATION_EVENTS.APPOINTMENT_CREATED, {
+        email: { subject: 'אישור קביעת תור', template: 'appointment-confirmation', context },
+        sms: { message: `התור שלך ל${context.serviceName} ב-${context.dateTime} נקבע וממתין לאישור` },
+        push: { title: 'התור נקבע', body: `${context.serviceName} ב-${context.dateTime}`, data },
+        inApp: { message: `התור שלך עם ${context.professionalName} נקבע וממתין לאישור`, data }
+      }),
+      notifyUser(professionalUser, NOTIFICATION_EVENTS.APPOINTMENT_CREATED, {
+        email: { subject: 'תור חדש נקבע', template: 'new-appointment-notification', context },
+        sms: { message: `תור חדש: ${context.clientName}, ${context.serviceName} ב-${context.dateTime}` },
+        push: { title: 'תור חדש', body: `${context.clientName} ב-${context.dateTime}`, data },
+        inApp: { message: `${context.clientName} קבע/ה תור חדש ל${context.serviceName}`, data }
+      })
+    ]);
+  },
+
+  appointmentConfirmed: async ({ appointment, client, professionalUser }) => {
+    const context = appointmentContext({ appointment, client, professionalUser });
+    const data = { appointmentId: appointment._id };
+
+    await notifyUser(client, NOTIFICATION_EVENTS.APPOINTMENT_CONFIRMED, {
+      email: { subject: 'התור שלך אושר', template: 'appointment-confirmed', context },
+      sms: { message: `התור שלך עם ${context.professionalName} ב-${context.dateTime} אושר` },
+      push: { title: 'התור אושר', body: `${context.professionalName} ב-${context.dateTime}`, data },
+      inApp: { message: `התור שלך עם ${context.professionalName} אושר`, data }
     });
+  },
+
+  appointmentCancelled: async ({ appointment, client, professionalUser, cancelledByProfessional, reason }) => {
+    const context = {
+      ...appointmentContext({ appointment, client, professionalUser }),
+      cancelledByProfessional,
+      cancellationReason: reason,
+      searchUrl: `${config.client.url}/search`
+    };
+    const recipient = cancelledByProfessional ? client : professionalUser;
+    const otherParty = cancelledByProfessional ? context.professionalName : context.clientName;
+    const data = { appointmentId: appointment._id };
 
-    // Send in-app notification
-    await sendInAppNotification({
-      userId: user.id,
-      type: 'appointment_confirmation',
-      message: `התור שלך עם ${professional.name} אושר`,
-      data: { appointmentId: appointment.id }
+    await notifyUser(recipient, NOTIFICATION_EVENTS.APPOINTMENT_CANCELLED, {
+      email: {
+        subject: 'התור בוטל',
+        template: 'appointment-cancelled',
+        context: { ...context, clientName: fullName(recipient) }
+      },
+      sms: { message: `התור עם ${otherParty} ב-${context.dateTime} בוטל` },
+      push: { title: 'התור בוטל', body: `${otherParty} ב-${context.dateTime}`, data },
+      inApp: { message: `התור עם ${otherParty} בוטל`, data }
     });
   },
 
-  appointmentReminder: async (appointment) => {
-    const { user, professional, datetime } = appointment;
-    
-    await Promise.all([
-      // Send email
-      sendEmail({
-        to: user.email,
-        subject: 'תזכורת לתור',
-        template: 'appointment-reminder',
-        context: { appointment, user, professional }
-      }),
+  // The client gets the email; the professional is told when the client moved it
+  appointmentRescheduled: async ({ appointment, service, client, professionalUser, reschedule }) => {
+    const context = appointmentContext({ appointment, service, client, professionalUser });
+    const oldDateTime = new Date(reschedule.previousStartTime).toLocaleString('he-IL');
+    const data = { appointmentId: appointment._id };
 
-      // Send SMS
-      sendSMS({
-        phone: user.phone,
-        message: `תזכורת: יש לך תור עם ${professional.name} ב-${datetime}`
+    await Promise.all([
+      notifyUser(client, NOTIFICATION_EVENTS.APPOINTMENT_RESCHEDULED, {
+        email: {
+          subject: 'התור נקבע מחדש',
+          template: 'appointment-rescheduled',
+          context: {
+            ...context,
+            newDateTime: context.dateTime,
+            oldDateTime,
+            rescheduledByProfessional: reschedule.byProfessional,
+            reschedulingReason: reschedule.reason,
+            rescheduleUrl: context.appointmentUrl,
+            cancelUrl: context.appointmentUrl,
+            newGoogleCalendarUrl: googleCalendarUrl(appointment, context)
+          }
+        },
+        sms: { message: `התור שלך עם ${context.professionalName} הועבר ל-${context.dateTime}` },
+        push: { title: 'התור נקבע מחדש', body: `${context.professionalName} ב-${context.dateTime}`, data },
+        inApp: { message: `התור שלך עם ${context.professionalName} הועבר ל-${context.dateTime}`, data }
       }),
-
-      // Send in-app notification
-      sendInAppNotification({
-        userId: user.id,
-        type: 'appointment_reminder',
-        message: `תזכורת: התור שלך עם ${professional.name} מתקרב`,
-        data: { appointmentId: appointment.id }
+      !reschedule.byProfessional && notifyUser(professionalUser, NOTIFICATION_EVENTS.APPOINTMENT_RESCHEDULED, {
+        sms: { message: `${context.clientName} העביר/ה את התור מ-${oldDateTime} ל-${context.dateTime}` },
+        push: { title: 'תור הועבר', body: `${context.clientName} ב-${context.dateTime}`, data },
+        inApp: { message: `${context.clientName} העביר/ה את התור ל-${context.dateTime}`, data }
       })
     ]);
   },
 
-  // Comment notifications
-  newComment: async (comment) => {
-    const { professional, user } = comment;
+  // Ask the other party to approve a new time
+  appointmentRescheduleRequested: async ({ appointment, service, client, professionalUser, reschedule }) => {
+    const context = appointmentContext({ appointment, service, client, professionalUser });
+    const recipient = reschedule.byProfessional ? client : professionalUser;
+    const requester = reschedule.byProfessional ? context.professionalName : context.clientName;
+    const newDateTime = new Date(reschedule.startTime).toLocaleString('he-IL');
+    const data = { appointmentId: appointment._id };
 
-    await Promise.all([
-      // Notify professional
-      sendInAppNotification({
-        userId: professional.userId,
-        type: 'new_comment',
-        message: `${user.name} הוסיף תגובה חדשה`,
-        data: { commentId: comment.id }
-      }),
+    await notifyUser(recipient, NOTIFICATION_EVENTS.APPOINTMENT_RESCHEDULED, {
+      sms: { message: `${requester} מבקש/ת להעביר את התור מ-${context.dateTime} ל-${newDateTime}` },
+      push: { title: 'בקשה לשינוי מועד', body: `${requester}: ${newDateTime}`, data },
+      inApp: { message: `${requester} מבקש/ת להעביר את התור ל-${newDateTime}`, data }
+    });
+  },
 
-      // Send email
-      sendEmail({
-        to: professional.email,
+  // Tell the requester the other party declined the new time
+  appointmentRescheduleDeclined: async ({ appointment, service, client, professionalUser, reschedule }) => {
+    const context = appointmentContext({ appointment, service, client, professionalUser });
+    const recipient = reschedule.byProfessional ? professionalUser : client;
+    const otherParty = reschedule.byProfessional ? context.clientName : context.professionalName;
+    const data = { appointmentId: appointment._id };
+
+    await notifyUser(recipient, NOTIFICATION_EVENTS.APPOINTMENT_RESCHEDULED, {
+      push: { title: 'שינוי המועד נדחה', body: `${otherParty}: התור נשאר ב-${context.dateTime}`, data },
+      inApp: { message: `${otherParty} דחה/תה את שינוי המועד; התור נשאר ב-${context.dateTime}`, data }
+    });
+  },
+
+  // `channels` limits a reminder to the channels it was scheduled for
+  appointmentReminder: async ({ appointment, client, professionalUser }, { channels } = {}) => {
+    const context = appointmentContext({ appointment, client, professionalUser });
+    const data = { appointmentId: appointment._id };
+
+    return notifyUser(client, NOTIFICATION_EVENTS.APPOINTMENT_REMINDER, {
+      email: { subject: 'תזכורת לתור', template: 'appointment-reminder', context },
+      sms: { message: `תזכורת: יש לך תור עם ${context.professionalName} ב-${context.dateTime}` },
+      push: { title: 'תזכורת לתור', body: `${context.professionalName} ב-${context.dateTime}`, data },
+      inApp: { message: `תזכורת: התור שלך עם ${context.professionalName} מתקרב`, data }
+    }, { channels });
+  },
+
+  // Comment notifications
+  newComment: async ({ comment, author, professionalUser }) => {
+    const data = { commentId: comment._id };
+
+    await notifyUser(professionalUser, NOTIFICATION_EVENTS.NEW_COMMENT, {
+      email: {
         subject: 'תגובה חדשה',
         template: 'new-comment',
-        context: { comment, user }
-      })
-    ]);
+        context: {
+          recipientName: professionalUser.firstName,
+          authorName: fullName(author),
+          commentUrl: `${config.client.url}/professionals/${comment.professional}#comment-${comment._id}`,
+          dashboardUrl: `${config.client.url}/dashboard`
+        }
+      },
+      push: { title: 'תגובה חדשה', body: `${fullName(author)} הוסיף/ה תגובה חדשה`, data },
+      inApp: { message: `${fullName(author)} הוסיף/ה תגובה חדשה`, data }
+    });
   },
 
-  commentReply: async (reply) => {
-    const { parentComment, user } = reply;
+  commentReply: async ({ reply, author, parentAuthor, professionalName }) => {
+    const data = { commentId: reply._id };
 
-    await sendInAppNotification({
-      userId: parentComment.userId,
-      type: 'comment_reply',
-      message: `${user.name} הגיב לתגובה שלך`,
-      data: { commentId: reply.id }
+    await notifyUser(parentAuthor, NOTIFICATION_EVENTS.NEW_COMMENT, {
+      email: {
+        subject: 'תגובה חדשה לתגובה שלך',
+        template: 'comment-reply',
+        context: {
+          recipientName: parentAuthor.firstName,
+          authorName: fullName(author),
+          professionalName,
+          commentUrl: `${config.client.url}/professionals/${reply.professional}#comment-${reply._id}`
+        }
+      },
+      push: { title: 'תגובה חדשה', body: `${fullName(author)} הגיב/ה לתגובה שלך`, data },
+      inApp: { message: `${fullName(author)} הגיב/ה לתגובה שלך`, data }
     });
   },
 
   // Review notifications
-  newReview: async (review) => {
-    const { professional, user } = review;
-
-    await sendInAppNotification({
-      userId: professional.userId,
-      type: 'new_review',
-      message: `${user.name} הוסיף ביקורת חדשה`,
-      data: { reviewId: review.id }
+  newReview: async ({ review, author, professionalUser }) => {
+    const data = { reviewId: review._id };
+
+    await notifyUser(professionalUser, NOTIFICATION_EVENTS.NEW_REVIEW, {
+      push: { title: 'ביקורת חדשה', body: `${fullName(author)} הוסיף/ה ביקורת חדשה`, data },
+      inApp: { message: `${fullName(author)} הוסיף/ה ביקורת חדשה`, data }
     });
   },
 
   // Chat notifications
-  newMessage: async (message) => {
-    const { recipientId, sender } = message;
-
-    await sendInAppNotification({
-      userId: recipientId,
-      type: 'new_message',
-      message: `הודעה חדשה מ-${sender.name}`,
-      data: { messageId: message.id }
+  newMessage: async ({ message, sender, recipient }) => {
+    const data = { messageId: message._id };
+
+    await notifyUser(recipient, NOTIFICATION_EVENTS.CHAT_MESSAGE, {
+      push: { title: `הודעה חדשה מ-${fullName(sender)}`, body: message.content, data },
+      inApp: { message: `הודעה חדשה מ-${fullName(sender)}`, data }
     });
   }
 };
@@ -229,5 +378,6 @@ module.exports = {
   sendPushNotification,
   sendInAppNotification,
   sendSMS,
+  notifyUser,
   templates
 };
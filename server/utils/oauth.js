@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config/config');
+const { APIError } = require('../middleware/errorMiddleware');
+
+/**
+ * Provider definitions.
+ * Endpoint URLs come from config so tests can point them at a fake server.
+ */
+const providers = {
+  google: {
+    clientId: () => config.oauth.google.clientId,
+    clientSecret: () => config.oauth.google.clientSecret,
+    callbackURL: () => config.oauth.google.callbackURL,
+    authorizationURL: () => config.oauth.google.authorizationURL,
+    tokenURL: () => config.oauth.google.tokenURL,
+    profileURL: () => config.oauth.google.profileURL,
+    scope: [
+      'openid',
+      'email',
+      'profile',
+      'https://www.googleapis.com/auth/calendar.events'
+    ],
+    // Offline access so the calendar integration gets a refresh token
+    authParams: {
+      access_type: 'offline',
+      prompt: 'consent'
+    },
+    normalizeProfile: (data) => ({
+      id: data.sub,
+      email: data.email,
+      emailVerified: data.email_verified === true || data.email_verified === 'true',
+      firstName: data.given_name,
+      lastName: data.family_name
+    })
+  },
+  facebook: {
+    clientId: () => config.oauth.facebook.appId,
+    clientSecret: () => config.oauth.facebook.appSecret,
+    callbackURL: () => config.oauth.facebook.callbackURL,
+    authorizationURL: () => config.oauth.facebook.authorizationURL,
+    tokenURL: () => config.oauth.facebook.tokenURL,
+    profileURL: () => `${config.oauth.facebook.profileURL}?fields=id,email,first_name,last_name`,
+    scope: ['email', 'public_profile'],
+    authParams: {},
+    // Facebook does not tell whether the email was confirmed, so it is never
+    // trusted for linking to an existing account
+    normalizeProfile: (data) => ({
+      id: data.id,
+      email: data.email,
+      emailVerified: false,
+      firstName: data.first_name,
+      lastName: data.last_name
+    })
+  }
+};
+
+/**
+ * Get provider definition or fail
+ */
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new APIError('ספק התחברות לא נתמך', 400, 'UNSUPPORTED_OAUTH_PROVIDER');
+  }
+  if (!provider.clientId() || !provider.clientSecret()) {
+    throw new APIError('התחברות באמצעות ספק זה אינה מוגדרת', 503, 'OAUTH_NOT_CONFIGURED');
+  }
+  return provider;
+};
+
+// Cookie binding the state to the browser that started the login
+const NONCE_COOKIE = 'oauth_nonce';
+const STATE_EXPIRY = 10 * 60 * 1000;
+
+const nonceCookieOptions = {
+  httpOnly: true,
+  secure: config.isProduction,
+  // Lax so the cookie is sent on the top-level redirect back from the provider
+  sameSite: 'lax',
+  path: `${config.api.prefix}/auth`
+};
+
+/**
+ * Create a login nonce and store it in a cookie
+ */
+const setNonceCookie = (res) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  res.cookie(NONCE_COOKIE, nonce, { ...nonceCookieOptions, maxAge: STATE_EXPIRY });
+  return nonce;
+};
+
+/**
+ * Read the login nonce cookie, if any
+ */
+const readNonceCookie = (req) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${NONCE_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(NONCE_COOKIE.length + 1)) : undefined;
+};
+
+const clearNonceCookie = (res) => {
+  res.clearCookie(NONCE_COOKIE, nonceCookieOptions);
+};
+
+/**
+ * Signed, short-lived state parameter (CSRF protection without a session).
+ * It carries the nonce of the browser's cookie, so a state cannot be
+ * replayed from another browser.
+ */
+const createState = (providerName, nonce) => {
+  return jwt.sign(
+    {
+      type: 'oauth_state',
+      provider: providerName,
+      nonce
+    },
+    config.jwt.secret,
+    { expiresIn: STATE_EXPIRY / 1000 }
+  );
+};
+
+const verifyState = (state, providerName, nonce) => {
+  try {
+    const decoded = jwt.verify(state, config.jwt.secret);
+    if (decoded.type !== 'oauth_state' || decoded.provider !== providerName) {
+      throw new Error('State mismatch');
+    }
+    if (!nonce || typeof decoded.nonce !== 'string' || decoded.nonce.length !== nonce.length ||
+        !crypto.timingSafeEqual(Buffer.from(decoded.nonce), Buffer.from(nonce))) {
+      throw new Error('Nonce mismatch');
+    }
+  } catch (error) {
+    throw new APIError('בקשת התחברות לא תקינה', 400, 'INVALID_OAUTH_STATE');
+  }
+};
+
+/**
+ * Build the provider authorization URL for the nonce of setNonceCookie
+ */
+const getAuthorizationUrl = (providerName, nonce) => {
+  const provider = getProvider(providerName);
+
+  const params = new URLSearchParams({
+    client_id: provider.clientId(),
+    redirect_uri: provider.callbackURL(),
+    response_type: 'code',
+    scope: provider.scope.join(' '),
+    state: createState(providerName, nonce),
+    ...provider.authParams
+  });
+
+  return `${provider.authorizationURL()}?${params.toString()}`;
+};
+
+/**
+ * Perform a JSON request against a provider endpoint
+ */
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new APIError(
+      'ההתחברות מול הספק נכשלה',
+      502,
+      'OAUTH_PROVIDER_ERROR',
+      { status: response.status, error: data.error }
+    );
+  }
+
+  return data;
+};
+
+/**
+ * Exchange an authorization code for provider tokens and profile.
+ * nonce is the value of the browser's nonce cookie.
+ */
+const handleCallback = async (providerName, { code, state, nonce }) => {
+  const provider = getProvider(providerName);
+
+  if (!code) {
+    throw new APIError('חסר קוד הרשאה', 400, 'MISSING_OAUTH_CODE');
+  }
+  verifyState(state, providerName, nonce);
+
+  const tokenData = await requestJson(provider.tokenURL(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      code,
+      client_id: provider.clientId(),
+      client_secret: provider.clientSecret(),
+      redirect_uri: provider.callbackURL(),
+      grant_type: 'authorization_code'
+    }).toString()
+  });
+
+  const profileData = await requestJson(provider.profileURL(), {
+    headers: { Authorization: `Bearer ${tokenData.access_token}` }
+  });
+
+  return {
+    profile: provider.normalizeProfile(profileData),
+    tokens: {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      expiresAt: tokenData.expires_in
+        ? new Date(Date.now() + tokenData.expires_in * 1000)
+        : undefined,
+      scope: tokenData.scope
+    }
+  };
+};
+
+module.exports = {
+  providers,
+  setNonceCookie,
+  readNonceCookie,
+  clearNonceCookie,
+  getAuthorizationUrl,
+  handleCallback
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const PortfolioAlbum = require('../Models/portfolioAlbum');
+const { config } = require('../config/config');
+const { APIError } = require('../middleware/errorMiddleware');
+const { logger } = require('./logger');
+const { portfolioImageUrl, removePortfolioImage } = require('./images');
+const { putFile, fileExists, deleteFile } = require('./storage');
+
+const VIDEO_FORMATS = {
+  mp4: { contentType: 'video/mp4' },
+  webm: { contentType: 'video/webm' }
+};
+
+// ISO base media brands browsers play as MP4
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'];
+
+/**
+ * Video container from the file content (the name and declared MIME type are not trusted)
+ */
+const detectVideoType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp' &&
+      MP4_BRANDS.includes(buffer.subarray(8, 12).toString('latin1'))) {
+    return 'mp4';
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3 && buffer.subarray(0, 64).includes('webm')) {
+    return 'webm';
+  }
+  return null;
+};
+
+const portfolioVideoKey = (hash, format) => `portfolio/videos/${hash}.${format}`;
+
+const portfolioVideoUrl = (hash, format) => `${config.api.prefix}/professionals/portfolio/videos/${hash}.${format}`;
+
+/**
+ * Store an uploaded video under its content hash.
+ * Videos are not re-encoded, so only the container type and size are checked.
+ */
+const storePortfolioVideo = async (buffer) => {
+  const format = detectVideoType(buffer);
+  if (!format) {
+    throw new APIError('סוג הקובץ אינו נתמך, יש להעלות סרטון MP4 או WebM', 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  const key = portfolioVideoKey(hash, format);
+
+  if (!(await fileExists(key))) {
+    await putFile(key, buffer, { contentType: VIDEO_FORMATS[format].contentType });
+  }
+
+  return { hash, format };
+};
+
+/**
+ * Public representation of an album with media URLs
+ */
+const formatAlbum = (album) => {
+  const data = album.toObject ? album.toObject() : album;
+  const cover = album.cover ? album.cover() : null;
+
+  const items = data.items.map(item => {
+    const imageHash = item.type === 'video' ? item.poster : item.hash;
+    return {
+      ...item,
+      url: item.type === 'video' ? portfolioVideoUrl(item.hash, item.format) : portfolioImageUrl(item.hash),
+      thumbnailUrl: imageHash ? portfolioImageUrl(imageHash, 'thumb') : null
+    };
+  });
+
+  return {
+    ...data,
+    items,
+    cover: cover ? items.find(item => item._id.equals(cover._id)) : null
+  };
+};
+
+/**
+ * Albums of a professional in display order
+ */
+const getPortfolio = async (professionalId) => {
+  const albums = await PortfolioAlbum.find({ professional: professionalId }).sort({ position: 1, createdAt: 1 });
+  return albums.map(formatAlbum);
+};
+
+/**
+ * Remove the files of removed portfolio items unless another item uses them
+ */
+const removePortfolioFiles = async (items) => {
+  for (const item of items) {
+    try {
+      if (item.type === 'video') {
+        if (!(await PortfolioAlbum.exists({ 'items.hash': item.hash }))) {
+          await deleteFile(portfolioVideoKey(item.hash, item.format));
+        }
+        await removePortfolioImage(item.poster);
+      } else {
+        await removePortfolioImage(item.hash);
+      }
+    } catch (error) {
+      logger.error(`Failed to remove portfolio file ${item.hash}:`, error);
+    }
+  }
+};
+
+/**
+ * Delete all albums of a professional with their files
+ */
+const removePortfolio = async (professionalId) => {
+  const albums = await PortfolioAlbum.find({ professional: professionalId }).select('items');
+  await PortfolioAlbum.deleteMany({ professional: professionalId });
+  await removePortfolioFiles(albums.flatMap(album => album.items));
+  return albums.length;
+};
+
+module.exports = {
+  VIDEO_FORMATS,
+  detectVideoType,
+  portfolioVideoKey,
+  portfolioVideoUrl,
+  storePortfolioVideo,
+  formatAlbum,
+  getPortfolio,
+  removePortfolioFiles,
+  removePortfolio
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const Appointment = require('../Models/appointment');
+const NotificationPreference = require('../Models/notificationPreference');
+const { config } = require('../config/config');
+const { CHANNELS, NOTIFICATION_EVENTS, QUIET_HOURS_CHANNELS } = require('../config/notifications');
+const { logger } = require('./logger');
+const { templates } = require('./notifications');
+
+// Reminders held back by quiet hours are tried again after this long
+const QUIET_HOURS_DELAY = 15 * 60 * 1000;
+
+/**
+ * Claim one due reminder. The claim is a single atomic update, so when
+ * several server instances run the scheduler each reminder goes to one of
+ * them. A claim that is not finished within config.reminders.lockDuration
+ * (a crashed instance) lapses and the reminder is picked up again.
+ */
+const claimDueReminder = async (now) => {
+  const claim = crypto.randomUUID();
+  const appointment = await Appointment.findOneAndUpdate(
+    {
+      status: { $in: ['pending', 'confirmed'] },
+      startTime: { $gt: now },
+      reminders: {
+        $elemMatch: {
+          $or: [
+            { status: 'pending', dueAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lte: now } }
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        'reminders.$.status': 'sending',
+        'reminders.$.claim': claim,
+        'reminders.$.lockedUntil': new Date(now.getTime() + config.reminders.lockDuration)
+      }
+    },
+    { new: true, timestamps: false }
+  );
+  if (!appointment) {
+    return null;
+  }
+
+  return { appointment, reminder: appointment.reminders.find(entry => entry.claim === claim) };
+};
+
+/**
+ * Record the outcome of a claimed reminder, unless the appointment was moved
+ * meanwhile (moving it resets the reminders and drops the claim)
+ */
+const finishReminder = (appointment, reminder, fields, delivery) => Appointment.updateOne(
+  { _id: appointment._id, 'reminders.claim': reminder.claim },
+  {
+    $set: Object.fromEntries(Object.entries(fields).map(([field, value]) => [`reminders.$.${field}`, value])),
+    $unset: { 'reminders.$.claim': '', 'reminders.$.lockedUntil': '' },
+    ...(delivery && { $push: { notifications: delivery } })
+  },
+  { timestamps: false }
+);
+
+/**
+ * Send one claimed reminder on its channel. Failures are retried with
+ * exponential backoff up to config.reminders.maxAttempts.
+ */
+const sendReminder = async (appointment, reminder, now) => {
+  await appointment.populate([
+    { path: 'client', select: 'firstName lastName email phone' },
+    { path: 'professional', select: 'userId', populate: { path: 'userId', select: 'firstName lastName email phone' } },
+    { path: 'service', select: 'name' }
+  ]);
+  const { client } = appointment;
+  const channel = reminder.type;
+
+  const preferences = client && await NotificationPreference.forUser(client._id);
+  if (!client || !preferences.channelsFor(NOTIFICATION_EVENTS.APPOINTMENT_REMINDER).includes(channel) ||
+      (channel === CHANNELS.SMS && !client.phone)) {
+    return finishReminder(appointment, reminder, { status: 'skipped' });
+  }
+
+  if (QUIET_HOURS_CHANNELS.includes(channel) && preferences.isQuietTime(now)) {
+    const later = new Date(now.getTime() + QUIET_HOURS_DELAY);
+    return finishReminder(appointment, reminder, later < appointment.startTime
+      ? { status: 'pending', dueAt: later }
+      : { status: 'skipped' });
+  }
+
+  const attempts = reminder.attempts + 1;
+  let error;
+  try {
+    const delivered = await templates.appointmentReminder({
+      appointment,
+      client,
+      professionalUser: appointment.professional?.userId
+    }, { channels: [channel] });
+    if (!delivered.includes(channel)) {
+      error = 'Delivery failed';
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  const delivery = { type: channel, scheduledFor: reminder.dueAt };
+  if (!error) {
+    const sentAt = new Date();
+    return finishReminder(appointment, reminder, { status: 'sent', attempts, sentAt },
+      { ...delivery, status: 'sent', sentAt });
+  }
+
+  const retryAt = new Date(now.getTime() + config.reminders.retryDelay * 2 ** (attempts - 1));
+  const giveUp = attempts >= config.reminders.maxAttempts || retryAt >= appointment.startTime;
+  logger.warn('Appointment reminder failed', { appointmentId: appointment._id, channel, attempts, error });
+  return finishReminder(appointment, reminder,
+    giveUp ? { status: 'failed', attempts, error } : { status: 'pending', attempts, error, dueAt: retryAt },
+    { ...delivery, status: 'failed', error });
+};
+
+/**
+ * Send the reminders that are due, up to config.reminders.batchSize per run
+ */
+const processDueReminders = async (now = new Date()) => {
+  let processed = 0;
+  for (; processed < config.reminders.batchSize; processed++) {
+    const claimed = await claimDueReminder(now);
+    if (!claimed) {
+      break;
+    }
+
+    try {
+      await sendReminder(claimed.appointment, claimed.reminder, now);
+    } catch (error) {
+      // Left claimed; it is retried once the claim lapses
+      logger.error('Appointment reminder error:', { appointmentId: claimed.appointment._id, error: error.message });
+    }
+  }
+
+  if (processed) {
+    logger.info('Appointment reminders processed', { processed });
+  }
+  return processed;
+};
+
+module.exports = {
+  processDueReminders
+};
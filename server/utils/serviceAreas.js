@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const City = require('../Models/city');
+const User = require('../Models/user');
+const { config } = require('../config/config');
+const { APIError } = require('../middleware/errorMiddleware');
+
+const point = (coordinates) => ({ type: 'Point', coordinates });
+
+/**
+ * Validate a service area sent by a professional.
+ * `location` is { lat, lng }; a radius needs it, cities and districts do not.
+ * Without a location the base is the first listed city, or the owner's city.
+ */
+const resolveServiceArea = async ({ location, radiusKm, cities = [], districts = [] }, professional) => {
+  const cityIds = [...new Set([].concat(cities).map(String))];
+  const districtNames = [...new Set([].concat(districts))];
+
+  if (radiusKm && !location) {
+    throw new APIError('רדיוס שירות דורש מיקום בסיס', 400, 'INVALID_SERVICE_AREA');
+  }
+  if (radiusKm > config.search.maxServiceRadius) {
+    throw new APIError(`רדיוס השירות המרבי הוא ${config.search.maxServiceRadius} ק"מ`, 400, 'INVALID_SERVICE_AREA');
+  }
+  if (!radiusKm && !cityIds.length && !districtNames.length) {
+    throw new APIError('יש להגדיר רדיוס שירות, ערים או מחוזות', 400, 'INVALID_SERVICE_AREA');
+  }
+  if (!cityIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new APIError('עיר לא תקינה', 400, 'INVALID_SERVICE_AREA');
+  }
+  if (districtNames.some(district => !City.DISTRICTS.includes(district))) {
+    throw new APIError('מחוז לא תקין', 400, 'INVALID_SERVICE_AREA');
+  }
+
+  const found = await City.find({ _id: { $in: cityIds }, isActive: true }).select('location');
+  if (found.length !== cityIds.length) {
+    throw new APIError('עיר לא קיימת או לא פעילה', 400, 'INVALID_SERVICE_AREA');
+  }
+
+  let base = location && [Number(location.lng), Number(location.lat)];
+  if (!base && cityIds.length) {
+    base = found.find(city => city._id.equals(cityIds[0])).location.coordinates;
+  }
+  if (!base) {
+    const owner = await User.findById(professional.userId).select('cityId').populate('cityId', 'location');
+    base = owner?.cityId?.location?.coordinates;
+  }
+
+  return {
+    ...(base && { location: point(base) }),
+    radiusKm: radiusKm || undefined,
+    cities: cityIds,
+    districts: districtNames
+  };
+};
+
+/**
+ * Starting service area of a new profile: the owner's own city
+ */
+const defaultServiceArea = async (cityId) => {
+  const city = cityId && await City.findById(cityId).select('location');
+  return city ? { location: point(city.location.coordinates), cities: [city._id] } : undefined;
+};
+
+/**
+ * Point searched for, from `lat`/`lng` or a city id, with the city it falls in
+ * (the nearest one within config.search.cityMatchDistance). Null without either.
+ */
+const resolveSearchArea = async ({ lat, lng, city }) => {
+  if (city) {
+    const found = await City.findById(city).select('name district location');
+    if (!found) {
+      throw new APIError('עיר לא נמצאה', 404, 'CITY_NOT_FOUND');
+    }
+    return { coordinates: found.location.coordinates, city: found };
+  }
+
+  if (lat === undefined || lng === undefined) {
+    return null;
+  }
+
+  const coordinates = [parseFloat(lng), parseFloat(lat)];
+  const [nearest] = await City.findNearby(coordinates, config.search.cityMatchDistance)
+    .select('name district location')
+    .limit(1);
+
+  return { coordinates, city: nearest || null };
+};
+
+/**
+ * Aggregation stages for professionals whose service area covers the
+ * searched point, nearest first. `distance` is in meters from their base;
+ * `maxDistance` (km) leaves out bases further away.
+ */
+const servingAreaStages = ({ coordinates, city }, query, { maxDistance } = {}) => [
+  {
+    $geoNear: {
+      near: point(coordinates),
+      key: 'serviceArea.location',
+      distanceField: 'distance',
+      spherical: true,
+      query,
+      ...(maxDistance && { maxDistance: maxDistance * 1000 })
+    }
+  },
+  {
+    $match: {
+      $or: [
+        { $expr: { $lte: ['$distance', { $multiply: ['$serviceArea.radiusKm', 1000] }] } },
+        ...(city ? [{ 'serviceArea.cities': city._id }, { 'serviceArea.districts': city.district }] : [])
+      ]
+    }
+  }
+];
+
+module.exports = {
+  resolveServiceArea,
+  defaultServiceArea,
+  resolveSearchArea,
+  servingAreaStages
+};
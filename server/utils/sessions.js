@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Session = require('../Models/session');
+const RefreshToken = require('../Models/refreshToken');
+const { disconnectSession } = require('./socketManager');
+
+// Only write lastSeenAt once per interval
+const TOUCH_INTERVAL = 60 * 1000;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Rough device description from a user agent string
+ */
+const describeDevice = (userAgent = '') => {
+  const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+  let type = 'unknown';
+  if (/iPad|Tablet/.test(userAgent)) {
+    type = 'tablet';
+  } else if (/Mobi|Android|iPhone/.test(userAgent)) {
+    type = 'mobile';
+  } else if (userAgent) {
+    type = 'desktop';
+  }
+
+  return {
+    browser: match(BROWSERS),
+    os: match(OPERATING_SYSTEMS),
+    type
+  };
+};
+
+const isSessionId = (sessionId) => mongoose.Types.ObjectId.isValid(sessionId)
+  && String(new mongoose.Types.ObjectId(sessionId)) === String(sessionId);
+
+/**
+ * Record a new login session
+ */
+const createSession = (sessionId, user, { ip, userAgent } = {}, expiresAt, { impersonatedBy } = {}) => {
+  return Session.create({
+    _id: sessionId,
+    user: user._id,
+    impersonatedBy,
+    userAgent,
+    device: describeDevice(userAgent),
+    createdByIp: ip,
+    lastSeenAt: new Date(),
+    lastSeenIp: ip,
+    expiresAt
+  });
+};
+
+/**
+ * Get a session that is neither revoked nor expired
+ */
+const getActiveSession = (sessionId) => {
+  if (!isSessionId(sessionId)) {
+    return null;
+  }
+
+  return Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+};
+
+/**
+ * Update last-seen information (throttled)
+ */
+const touchSession = (sessionId, { ip, expiresAt } = {}) => {
+  const now = new Date();
+  const update = { lastSeenAt: now, lastSeenIp: ip };
+
+  // Rotation extends the session to the new refresh token's expiry
+  if (expiresAt) {
+    update.expiresAt = expiresAt;
+    return Session.updateOne({ _id: sessionId }, update);
+  }
+
+  return Session.updateOne(
+    { _id: sessionId, lastSeenAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL) } },
+    update
+  );
+};
+
+/**
+ * Revoke a session, its refresh tokens and live sockets
+ */
+const revokeSession = async (sessionId, reason = 'revoked') => {
+  await RefreshToken.revokeFamily(String(sessionId), reason);
+
+  if (!isSessionId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  disconnectSession(sessionId);
+  return session;
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ */
+const revokeUserSessions = async (userId, { except, reason = 'revoked' } = {}) => {
+  const revokedAt = new Date();
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const sessions = await Session.find(query).select('_id').lean();
+  await Session.updateMany(query, { revokedAt, revokedReason: reason });
+
+  // Also covers refresh tokens issued before sessions existed
+  const tokenQuery = { user: userId, revokedAt: null };
+  if (except) {
+    tokenQuery.family = { $ne: String(except) };
+  }
+  await RefreshToken.updateMany(tokenQuery, { revokedAt, revokedReason: reason });
+
+  sessions.forEach(session => disconnectSession(session._id));
+  return sessions.length;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  getActiveSession,
+  touchSession,
+  revokeSession,
+  revokeUserSessions
+};
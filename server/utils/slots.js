@@ -0,0 +1,86 @@
+const Appointment = require('../Models/appointment');
+const SlotHold = require('../Models/slotHold');
+const { config } = require('../config/config');
+const { APIError } = require('../middleware/errorMiddleware');
+const { clearCache, cacheKeys } = require('../middleware/cacheMiddleware');
+const {
+  formatTime,
+  addDays,
+  localDateTime,
+  zonedTime
+} = require('./time');
+
+// Cache key prefix of a professional's computed slots
+const slotsKey = (professionalId) => cacheKeys.professionalKey(professionalId, 'slots');
+
+/**
+ * Drop cached slots of a professional after their appointments or schedule change
+ */
+const invalidateSlots = (professionalId) => clearCache(slotsKey(professionalId));
+
+/**
+ * Local dates ('YYYY-MM-DD', both included) of a slots request; defaults to
+ * the coming week in the schedule's timezone
+ */
+const resolveRange = (schedule, { from, to }) => {
+  const start = from || localDateTime(new Date(), schedule.timezone).date;
+  const end = to || addDays(start, 6);
+
+  if (end < start) {
+    throw new APIError('תאריך הסיום חייב להיות אחרי תאריך ההתחלה', 400, 'INVALID_RANGE');
+  }
+  if (end > addDays(start, config.booking.maxSlotDays - 1)) {
+    throw new APIError(`ניתן לבקש עד ${config.booking.maxSlotDays} ימים`, 400, 'INVALID_RANGE');
+  }
+  return { from: start, to: end };
+};
+
+/**
+ * Free start times for a service between two local dates. A slot fits in
+ * one open period of the working hours, starts after the minimum notice
+ * and keeps the schedule's buffer from non-cancelled appointments and
+ * unexpired holds.
+ */
+const findSlots = async (schedule, service, range) => {
+  const { from, to } = resolveRange(schedule, range);
+  const { timezone, bufferMinutes } = schedule;
+  const buffer = bufferMinutes * 60000;
+  const duration = service.duration * 60000;
+
+  const rangeStart = zonedTime(from, 0, timezone);
+  const rangeEnd = zonedTime(addDays(to, 1), 0, timezone);
+  const [appointments, holds] = await Promise.all([
+    Appointment.findOverlapping(schedule.professional, rangeStart, rangeEnd, bufferMinutes),
+    SlotHold.findOverlapping(schedule.professional, rangeStart, rangeEnd, bufferMinutes)
+  ]);
+  const busy = [...appointments, ...holds];
+  const isFree = (start, end) => !busy.some(entry =>
+    entry.startTime.getTime() < end + buffer && entry.endTime.getTime() > start - buffer);
+
+  const earliest = schedule.earliestStart().getTime();
+  const slots = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    schedule.openPeriods(date).forEach(period => {
+      for (let minutes = period.start; minutes + service.duration <= period.end; minutes += config.booking.slotInterval) {
+        const start = zonedTime(date, minutes, timezone).getTime();
+        if (start >= earliest && isFree(start, start + duration)) {
+          slots.push({
+            date,
+            time: formatTime(minutes),
+            startTime: new Date(start),
+            endTime: new Date(start + duration)
+          });
+        }
+      }
+    });
+  }
+
+  return { from, to, timezone, slots };
+};
+
+module.exports = {
+  slotsKey,
+  invalidateSlots,
+  findSlots
+};
@@ -2,6 +2,7 @@ const socketIO = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { config } = require('../config/config');
 const { logger } = require('./logger');
+const Session = require('../Models/session');
 
 let io;
 
@@ -25,6 +26,22 @@ const initializeSocket = (server) => {
       }
 
       const decoded = jwt.verify(token, config.jwt.secret);
+      if (decoded.type !== 'access') {
+        return next(new Error('Authentication failed'));
+      }
+
+      // Reject revoked or expired sessions
+      if (decoded.sid) {
+        const session = await Session.exists({
+          _id: decoded.sid,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() }
+        });
+        if (!session) {
+          return next(new Error('Session revoked'));
+        }
+      }
+
       socket.user = decoded;
       next();
     } catch (error) {
@@ -43,6 +60,11 @@ const initializeSocket = (server) => {
     // Join user's room
     if (socket.user) {
       socket.join(`user:${socket.user.id}`);
+
+      // Lets a session revocation reach its sockets
+      if (socket.user.sid) {
+        socket.join(`session:${socket.user.sid}`);
+      }
       
       // Join professional's room if applicable
       if (socket.user.professionalId) {
@@ -185,6 +207,23 @@ const emitToAll = (event, data) => {
   }
 };
 
+/**
+ * Disconnect all sockets of a session
+ */
+const disconnectSession = (sessionId) => {
+  // Nothing to do when Socket.IO is disabled
+  if (!io) {
+    return;
+  }
+
+  try {
+    io.to(`session:${sessionId}`).emit('session:revoked', { sessionId: String(sessionId) });
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  } catch (error) {
+    logger.error('Disconnect session error:', error);
+  }
+};
+
 /**
  * Get connected clients count
  */
@@ -228,6 +267,7 @@ module.exports = {
   emitToUser,
   emitToProfessional,
   emitToAll,
+  disconnectSession,
   getConnectedClients,
   getRoomsInfo
 };
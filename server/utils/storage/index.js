@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const { config } = require('../../config/config');
+const { APIError } = require('../../middleware/errorMiddleware');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+const drivers = {};
+
+/**
+ * Storage driver by name (defaults to STORAGE_DRIVER)
+ */
+const getStorage = (name = config.storage.driver) => {
+  if (!drivers[name]) {
+    switch (name) {
+      case 'local':
+        drivers[name] = createLocalStorage({ root: config.upload.dir });
+        break;
+      case 's3':
+        drivers[name] = createS3Storage(config.aws);
+        break;
+      default:
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+  }
+  return drivers[name];
+};
+
+/**
+ * Keys are relative paths made of safe segments (no "..", no absolute paths)
+ */
+const assertKey = (key) => {
+  const valid = typeof key === 'string'
+    && key.length <= 1024
+    && !/[\\\x00-\x1f]/.test(key)
+    && key.split('/').every(part => part && part !== '.' && part !== '..');
+
+  if (!valid) {
+    throw new APIError('מזהה קובץ לא תקין', 400, 'INVALID_FILE_KEY');
+  }
+  return key;
+};
+
+const sign = (key, expires, filename = '') => crypto
+  .createHmac('sha256', config.storage.signingSecret)
+  .update(`${key}\n${expires}\n${filename}`)
+  .digest('hex');
+
+const putFile = (key, body, options) => getStorage().put(assertKey(key), body, options);
+const fileExists = (key) => getStorage().exists(assertKey(key));
+const deleteFile = (key) => getStorage().delete(assertKey(key));
+const getFileStream = (key) => getStorage().getStream(assertKey(key));
+
+/**
+ * Temporary URL for a private file.
+ * S3 signs its own URLs; local files are served by the /files route.
+ */
+const getSignedFileUrl = async (key, { expiresIn = config.storage.signedUrlExpiry, filename } = {}) => {
+  const storage = getStorage();
+  assertKey(key);
+
+  if (storage.getSignedUrl) {
+    return storage.getSignedUrl(key, { expiresIn, filename });
+  }
+
+  const expires = Date.now() + expiresIn;
+  const params = new URLSearchParams({ expires, signature: sign(key, expires, filename) });
+  if (filename) {
+    params.set('filename', filename);
+  }
+  return `${config.api.url}${config.api.prefix}/files/${key}?${params}`;
+};
+
+/**
+ * Check a URL produced by getSignedFileUrl for the local driver
+ */
+const verifySignedFileUrl = (key, { expires, signature, filename = '' }) => {
+  if (!expires || !signature || Number(expires) < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires, filename), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Stream a stored file as the response
+ */
+const sendStoredFile = async (res, key, { cacheControl, contentType, filename, headers = {} } = {}) => {
+  const file = await getFileStream(key);
+
+  res.set(headers);
+  res.type(contentType || file.contentType || path.extname(key));
+  if (file.contentLength !== undefined) {
+    res.set('Content-Length', String(file.contentLength));
+  }
+  if (file.lastModified) {
+    res.set('Last-Modified', new Date(file.lastModified).toUTCString());
+  }
+  if (cacheControl) {
+    res.set('Cache-Control', cacheControl);
+  }
+  if (filename) {
+    res.attachment(filename);
+  }
+
+  file.body.on('error', () => res.destroy());
+  file.body.pipe(res);
+};
+
+module.exports = {
+  getStorage,
+  assertKey,
+  putFile,
+  fileExists,
+  deleteFile,
+  getFileStream,
+  getSignedFileUrl,
+  verifySignedFileUrl,
+  sendStoredFile
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { APIError } = require('../../middleware/errorMiddleware');
+
+/**
+ * Files under a directory on the local disk.
+ * Signed URLs point to the API, which verifies them (see storage/index.js).
+ */
+const createLocalStorage = ({ root }) => {
+  const resolve = (key) => path.join(root, ...key.split('/'));
+
+  const put = async (key, body) => {
+    const target = resolve(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(temp, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(temp));
+      }
+      await fs.promises.rename(temp, target);
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true });
+      throw error;
+    }
+  };
+
+  const getStream = async (key) => {
+    const file = resolve(key);
+    let stats;
+    try {
+      stats = await fs.promises.stat(file);
+    } catch (error) {
+      stats = null;
+    }
+    if (!stats || !stats.isFile()) {
+      throw new APIError('הקובץ לא נמצא', 404, 'FILE_NOT_FOUND');
+    }
+
+    return {
+      body: fs.createReadStream(file),
+      contentLength: stats.size,
+      lastModified: stats.mtime
+    };
+  };
+
+  const exists = async (key) => {
+    try {
+      return (await fs.promises.stat(resolve(key))).isFile();
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const remove = (key) => fs.promises.rm(resolve(key), { force: true });
+
+  // Every file below a prefix, as keys
+  async function* list(prefix = '') {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(full);
+        } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+          yield path.relative(root, full).split(path.sep).join('/');
+        }
+      }
+    };
+
+    for await (const key of walk(root)) {
+      if (key.startsWith(prefix)) {
+        yield key;
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+    put,
+    getStream,
+    exists,
+    delete: remove,
+    list
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,128 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { APIError } = require('../../middleware/errorMiddleware');
+
+const isNotFound = (error) => error.name === 'NoSuchKey'
+  || error.name === 'NotFound'
+  || error.$metadata?.httpStatusCode === 404;
+
+/**
+ * Files in an S3 bucket or an S3-compatible service (MinIO).
+ * Objects stay private; public files are streamed through the API.
+ */
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('AWS_BUCKET_NAME is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const put = async (key, body, { contentType, cacheControl, contentLength } = {}) => {
+    // A single PUT needs the length up front, so streams of unknown size go up in parts
+    if (!Buffer.isBuffer(body) && contentLength === undefined) {
+      await new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          CacheControl: cacheControl
+        }
+      }).done();
+      return;
+    }
+
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentLength: Buffer.isBuffer(body) ? body.length : contentLength,
+      ContentType: contentType,
+      CacheControl: cacheControl
+    }));
+  };
+
+  const getStream = async (key) => {
+    try {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        body: result.Body,
+        contentLength: result.ContentLength,
+        contentType: result.ContentType,
+        lastModified: result.LastModified
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw new APIError('הקובץ לא נמצא', 404, 'FILE_NOT_FOUND');
+      }
+      throw error;
+    }
+  };
+
+  const exists = async (key) => {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  async function* list(prefix = '') {
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix || undefined,
+        ContinuationToken
+      }));
+      for (const object of page.Contents || []) {
+        yield object.Key;
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+  }
+
+  const getUrl = (key, { expiresIn, filename } = {}) => getSignedUrl(
+    client,
+    new GetObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ResponseContentDisposition: filename ? `attachment; filename="${encodeURIComponent(filename)}"` : undefined
+    }),
+    { expiresIn: Math.floor(expiresIn / 1000) }
+  );
+
+  return {
+    name: 's3',
+    put,
+    getStream,
+    exists,
+    delete: remove,
+    list,
+    getSignedUrl: getUrl
+  };
+};
+
+module.exports = { createS3Storage };
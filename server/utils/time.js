@@ -0,0 +1,84 @@
+// Wall-clock helpers for schedules kept in a user's timezone
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const isTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 'HH:mm' as minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since midnight as 'HH:mm'
+ */
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Calendar date ('YYYY-MM-DD') a number of days after another
+ */
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Local calendar date ('YYYY-MM-DD'), weekday (0 = Sunday) and minutes since
+ * midnight of an instant in a timezone
+ */
+const localDateTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+  const day = `${get('year')}-${get('month')}-${get('day')}`;
+
+  return {
+    date: day,
+    weekday: new Date(`${day}T00:00:00Z`).getUTCDay(),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+};
+
+// Wall-clock time minus UTC at an instant, in milliseconds
+const timezoneOffset = (instant, timezone) => {
+  const { date, minutes } = localDateTime(new Date(instant), timezone);
+  return Date.parse(`${date}T00:00:00Z`) + minutes * 60000 - Math.floor(instant / 60000) * 60000;
+};
+
+/**
+ * Instant of a local date ('YYYY-MM-DD') and minutes since midnight in a timezone
+ */
+const zonedTime = (date, minutes, timezone) => {
+  const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  const guess = wallClock - timezoneOffset(wallClock, timezone);
+  // Around DST changes the offset at the result can differ from the guess
+  return new Date(wallClock - timezoneOffset(guess, timezone));
+};
+
+module.exports = {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isTimeZone,
+  toMinutes,
+  formatTime,
+  addDays,
+  localDateTime,
+  zonedTime
+};
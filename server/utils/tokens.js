@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { config } = require('../config/config');
+const { logger } = require('./logger');
+const { APIError } = require('../middleware/errorMiddleware');
+const RefreshToken = require('../Models/refreshToken');
+const User = require('../Models/user');
+const Session = require('../Models/session');
+const {
+  createSession,
+  touchSession,
+  revokeSession,
+  revokeUserSessions
+} = require('./sessions');
+
+/**
+ * Hash a token before storing or looking it up
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a short-lived access token bound to a session
+ */
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      sid: sessionId,
+      type: 'access'
+    },
+    config.jwt.secret,
+    { expiresIn: config.jwt.accessExpiry }
+  );
+};
+
+/**
+ * Generate and persist a refresh token for a session
+ */
+const generateRefreshToken = async (user, { ip, userAgent } = {}, family) => {
+  const token = jwt.sign(
+    {
+      id: user._id,
+      family,
+      type: 'refresh'
+    },
+    config.jwt.secret,
+    {
+      expiresIn: config.jwt.refreshExpiry,
+      jwtid: crypto.randomUUID()
+    }
+  );
+
+  const { exp } = jwt.decode(token);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(exp * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return token;
+};
+
+/**
+ * Start a session with its first refresh token
+ */
+const startSession = async (user, meta = {}) => {
+  const sessionId = new mongoose.Types.ObjectId().toString();
+  const refreshToken = await generateRefreshToken(user, meta, sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  await createSession(sessionId, user, meta, new Date(exp * 1000));
+
+  return { sessionId, refreshToken };
+};
+
+/**
+ * Issue an access/refresh token pair for a fresh login
+ */
+const issueTokens = async (user, meta) => {
+  const { sessionId, refreshToken } = await startSession(user, meta);
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken
+  };
+};
+
+/**
+ * Access-only token for an admin acting as another user.
+ * Runs in its own session so it can be listed and revoked.
+ */
+const issueImpersonationToken = async (user, admin, meta = {}) => {
+  const sessionId = new mongoose.Types.ObjectId().toString();
+  const duration = config.security.impersonationDuration;
+  const expiresAt = new Date(Date.now() + duration);
+
+  await createSession(sessionId, user, meta, expiresAt, { impersonatedBy: admin._id });
+
+  const token = jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      sid: sessionId,
+      imp: admin._id,
+      type: 'access'
+    },
+    config.jwt.secret,
+    { expiresIn: Math.floor(duration / 1000) }
+  );
+
+  return { token, sessionId, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new pair.
+ * Presenting an already rotated token revokes its whole family.
+ */
+const rotateRefreshToken = async (token, meta = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new APIError('טוקן רענון פג תוקף', 401, 'REFRESH_TOKEN_EXPIRED');
+    }
+    throw new APIError('טוקן רענון לא תקין', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (decoded.type !== 'refresh') {
+    throw new APIError('טוקן רענון לא תקין', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  const tokenHash = hashToken(token);
+  const stored = await RefreshToken.findOne({ tokenHash });
+  if (!stored) {
+    throw new APIError('טוקן רענון לא תקין', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  // A rotated token came back - assume it was stolen
+  const reuseDetected = async () => {
+    await revokeSession(stored.family, 'reuse');
+    logger.warn('Refresh token reuse detected, token family revoked:', {
+      userId: stored.user,
+      family: stored.family,
+      ip: meta.ip
+    });
+    return new APIError('זוהה שימוש חוזר בטוקן רענון', 401, 'REFRESH_TOKEN_REUSED');
+  };
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      throw await reuseDetected();
+    }
+    throw new APIError('טוקן רענון בוטל', 401, 'REFRESH_TOKEN_REVOKED');
+  }
+
+  if (stored.isExpired) {
+    throw new APIError('טוקן רענון פג תוקף', 401, 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const user = await User.findById(stored.user).select('-password');
+  if (!user) {
+    await revokeSession(stored.family, 'logout');
+    throw new APIError('משתמש לא נמצא', 401, 'USER_NOT_FOUND');
+  }
+
+  if (User.isSuspended(user)) {
+    throw new APIError('החשבון הושעה', 403, 'ACCOUNT_SUSPENDED');
+  }
+
+  let sessionId = stored.family;
+  let refreshToken;
+  const session = mongoose.Types.ObjectId.isValid(sessionId)
+    ? await Session.findById(sessionId)
+    : null;
+
+  if (session && !session.isActive) {
+    await RefreshToken.revokeFamily(stored.family, session.revokedReason || 'logout');
+    throw new APIError('החיבור בוטל', 401, 'SESSION_REVOKED');
+  }
+
+  // Claim the token atomically; when two requests rotate it at once only
+  // one gets it, and the other counts as reuse
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+  if (!claimed) {
+    throw await reuseDetected();
+  }
+
+  if (session) {
+    refreshToken = await generateRefreshToken(user, meta, sessionId);
+    await touchSession(sessionId, {
+      ip: meta.ip,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    });
+  } else {
+    // Token from before sessions were tracked - move it to a new session
+    ({ sessionId, refreshToken } = await startSession(user, meta));
+  }
+
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(refreshToken) });
+
+  return {
+    user,
+    token: generateAccessToken(user, sessionId),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ */
+const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) {
+    return false;
+  }
+
+  await revokeSession(stored.family, 'logout');
+  return true;
+};
+
+/**
+ * Revoke every session and refresh token a user holds
+ */
+const revokeAllUserTokens = (userId, reason = 'logout') => {
+  return revokeUserSessions(userId, { reason });
+};
+
+/**
+ * Generate a signed email verification token.
+ * The email is embedded so a changed address invalidates old links.
+ */
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      type: 'email_verification'
+    },
+    config.jwt.secret,
+    { expiresIn: config.jwt.emailVerificationExpiry }
+  );
+};
+
+/**
+ * Verify an email verification token and return its payload
+ */
+const verifyEmailVerificationToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new APIError('קישור האימות פג תוקף', 400, 'VERIFICATION_TOKEN_EXPIRED');
+    }
+    throw new APIError('קישור האימות לא תקין', 400, 'INVALID_VERIFICATION_TOKEN');
+  }
+
+  if (decoded.type !== 'email_verification') {
+    throw new APIError('קישור האימות לא תקין', 400, 'INVALID_VERIFICATION_TOKEN');
+  }
+
+  return decoded;
+};
+
+/**
+ * Short-lived token proving the password step of a two-factor login.
+ * Purpose is 'login' (code required) or 'setup' (enrollment required).
+ */
+const generateTwoFactorChallenge = (user, purpose = 'login') => {
+  return jwt.sign(
+    {
+      id: user._id,
+      purpose,
+      type: 'two_factor'
+    },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token and return its payload
+ */
+const verifyTwoFactorChallenge = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    throw new APIError('תוקף ההתחברות פג, יש להתחבר מחדש', 401, 'TWO_FACTOR_CHALLENGE_EXPIRED');
+  }
+
+  if (decoded.type !== 'two_factor' || (purpose && decoded.purpose !== purpose)) {
+    throw new APIError('טוקן לא תקין', 401, 'INVALID_TOKEN');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateRefreshToken,
+  issueTokens,
+  issueImpersonationToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
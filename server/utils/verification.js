@@ -0,0 +1,51 @@
+const VerificationRequest = require('../Models/verificationRequest');
+const { config } = require('../config/config');
+const { logger } = require('./logger');
+const { sendEmail } = require('./notifications');
+const { removeDocuments } = require('./documents');
+
+const EMAILS = {
+  pending: { subject: 'קיבלנו את בקשת האימות שלך', template: 'verification-submitted' },
+  approved: { subject: 'הפרופיל שלך אומת', template: 'verification-approved' },
+  rejected: { subject: 'בקשת האימות שלך לא אושרה', template: 'verification-rejected' }
+};
+
+/**
+ * Tell the professional where their request stands (email failures are logged only)
+ */
+const sendVerificationEmail = async (user, request) => {
+  const { subject, template } = EMAILS[request.status];
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject,
+      template,
+      context: {
+        recipientName: user.firstName,
+        documentCount: request.documents.length,
+        decisionNote: request.decisionNote,
+        verificationUrl: `${config.client.url}/professional/verification`
+      }
+    });
+  } catch (error) {
+    logger.error('Error sending verification email:', error);
+  }
+};
+
+/**
+ * Delete the verification requests of a professional with their documents
+ */
+const removeVerificationRequests = async (professionalId) => {
+  const requests = await VerificationRequest.find({ professional: professionalId }).select('documents');
+  for (const request of requests) {
+    await removeDocuments(request.documents);
+  }
+  await VerificationRequest.deleteMany({ professional: professionalId });
+  return requests.length;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  removeVerificationRequests
+};